@@ -0,0 +1,132 @@
+const logger = require('../utils/logger');
+
+/**
+ * Namespaced cache with per-namespace TTLs and hit/miss counters.
+ *
+ * Wraps a backend (MemoryCache or RedisCache). Backend failures never reach
+ * callers: a failed read counts as a miss and a failed write is logged, so a
+ * Redis outage only costs extra upstream requests.
+ */
+class Cache {
+  /**
+   * @param {MemoryCache|RedisCache} backend - Cache backend
+   * @param {Object} options - { ttlSeconds: { namespace: seconds } }
+   */
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.ttlSeconds = options.ttlSeconds || {};
+    this.stats = new Map(); // namespace -> { hits, misses, errors }
+  }
+
+  /**
+   * Read a value
+   * @param {string} namespace - Namespace, selects the TTL
+   * @param {string} key - Key within the namespace
+   * @returns {Promise<*>} Cached value, or undefined on a miss
+   */
+  async get(namespace, key) {
+    const stats = this.getNamespaceStats(namespace);
+
+    try {
+      const value = await this.backend.get(`${namespace}:${key}`);
+      if (value === undefined) {
+        stats.misses++;
+      } else {
+        stats.hits++;
+      }
+      return value;
+    } catch (error) {
+      stats.errors++;
+      stats.misses++;
+      logger.warn(`Cache read failed for ${namespace}:${key}: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a value for the namespace's TTL
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key within the namespace
+   * @param {*} value - JSON-serializable value (not undefined)
+   */
+  async set(namespace, key, value) {
+    const ttlSeconds = this.ttlSeconds[namespace];
+    if (!ttlSeconds) return;
+
+    try {
+      await this.backend.set(`${namespace}:${key}`, value, ttlSeconds * 1000);
+    } catch (error) {
+      this.getNamespaceStats(namespace).errors++;
+      logger.warn(`Cache write failed for ${namespace}:${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key within the namespace
+   * @returns {Promise<boolean>} True if a value was removed
+   */
+  async delete(namespace, key) {
+    try {
+      return await this.backend.delete(`${namespace}:${key}`);
+    } catch (error) {
+      logger.warn(`Cache delete failed for ${namespace}:${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Return the cached value, or load and cache it
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key within the namespace
+   * @param {Function} load - Async loader called on a miss
+   * @param {Object} options - { skipCache: ignore the cached value but store the fresh one }
+   * @returns {Promise<*>} Cached or loaded value
+   */
+  async wrap(namespace, key, load, options = {}) {
+    if (!options.skipCache) {
+      const cached = await this.get(namespace, key);
+      if (cached !== undefined) return cached;
+    }
+
+    const value = await load();
+    if (value !== undefined) {
+      await this.set(namespace, key, value);
+    }
+    return value;
+  }
+
+  /**
+   * Hit/miss counters per namespace and backend details
+   * @returns {Object} { backend, namespaces: { namespace: { hits, misses, errors, hitRate, ttlSeconds } } }
+   */
+  getStats() {
+    const namespaces = {};
+    this.stats.forEach((stats, namespace) => {
+      const lookups = stats.hits + stats.misses;
+      namespaces[namespace] = {
+        ...stats,
+        hitRate: lookups > 0 ? stats.hits / lookups : 0,
+        ttlSeconds: this.ttlSeconds[namespace] || 0
+      };
+    });
+    return { backend: this.backend.getInfo(), namespaces };
+  }
+
+  getNamespaceStats(namespace) {
+    if (!this.stats.has(namespace)) {
+      this.stats.set(namespace, { hits: 0, misses: 0, errors: 0 });
+    }
+    return this.stats.get(namespace);
+  }
+
+  /**
+   * Release the backend
+   */
+  async close() {
+    await this.backend.close();
+  }
+}
+
+module.exports = Cache;
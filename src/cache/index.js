@@ -0,0 +1,26 @@
+const Cache = require('./cache');
+const MemoryCache = require('./memoryCache');
+const RedisCache = require('./redisCache');
+
+/**
+ * Create the cache selected in config
+ * @param {Object} options - { driver: 'memory' | 'redis', maxEntries, redisUrl, keyPrefix, ttlSeconds }
+ * @returns {Cache} Cache instance
+ */
+function createCache(options) {
+  switch (options.driver) {
+    case 'memory':
+      return new Cache(new MemoryCache({ maxEntries: options.maxEntries }), options);
+    case 'redis':
+      return new Cache(new RedisCache(options.redisUrl, { keyPrefix: options.keyPrefix }), options);
+    default:
+      throw new Error(`Unknown cache driver: ${options.driver}`);
+  }
+}
+
+module.exports = {
+  createCache,
+  Cache,
+  MemoryCache,
+  RedisCache
+};
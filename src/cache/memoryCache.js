@@ -0,0 +1,59 @@
+/**
+ * In-process LRU cache backend.
+ *
+ * Entries live in a Map, whose insertion order doubles as the recency order:
+ * a read moves the entry to the end and inserting past `maxEntries` evicts
+ * from the front. Expired entries are dropped when they are read or when
+ * they reach the front.
+ */
+class MemoryCache {
+  /**
+   * @param {Object} options - { maxEntries }
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 5000;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      if (this.entries.get(oldest).expiresAt > Date.now()) {
+        this.evictions++;
+      }
+      this.entries.delete(oldest);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+
+  /**
+   * Describe the backend for admin statistics
+   */
+  getInfo() {
+    return { driver: 'memory', size: this.entries.size, maxEntries: this.maxEntries, evictions: this.evictions };
+  }
+}
+
+module.exports = MemoryCache;
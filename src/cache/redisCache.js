@@ -0,0 +1,225 @@
+const net = require('net');
+const logger = require('../utils/logger');
+
+/**
+ * Cache backend speaking the Redis protocol (RESP) over a single socket.
+ *
+ * Only GET, SET with PX, DEL, AUTH and SELECT are used, so any server that
+ * speaks RESP (Redis, Valkey, KeyDB, Dragonfly) works. Values are stored as
+ * JSON under `keyPrefix`, letting several bot instances share one cache.
+ * The connection is opened on first use and reopened after a failure;
+ * commands that fail are rejected and treated as misses by the caller.
+ */
+class RedisCache {
+  /**
+   * @param {string} url - redis://[:password@]host[:port][/db]
+   * @param {Object} options - { keyPrefix, commandTimeoutMs }
+   */
+  constructor(url, options = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+    this.db = parseInt(parsed.pathname.slice(1)) || 0;
+    this.keyPrefix = options.keyPrefix || '';
+    this.commandTimeoutMs = options.commandTimeoutMs || 2000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = []; // replies are matched to commands in send order
+    this.buffer = Buffer.alloc(0);
+  }
+
+  async get(key) {
+    const value = await this.command(['GET', this.keyPrefix + key]);
+    return value === null ? undefined : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.command(['SET', this.keyPrefix + key, JSON.stringify(value), 'PX', String(Math.max(1, Math.round(ttlMs)))]);
+  }
+
+  async delete(key) {
+    return (await this.command(['DEL', this.keyPrefix + key])) > 0;
+  }
+
+  async close() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    socket.end();
+  }
+
+  /**
+   * Describe the backend for admin statistics
+   */
+  getInfo() {
+    return { driver: 'redis', server: `${this.host}:${this.port}/${this.db}`, connected: Boolean(this.socket) };
+  }
+
+  /**
+   * Send a command and wait for its reply
+   * @param {Array<string>} args - Command name and arguments
+   * @returns {Promise<*>} Decoded reply
+   */
+  async command(args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // A late reply would be matched to the wrong command, so start over
+        this.reset(new Error(`Redis command ${args[0]} timed out`));
+      }, this.commandTimeoutMs);
+
+      this.pending.push({
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (error) => { clearTimeout(timer); reject(error); }
+      });
+      this.socket.write(RedisCache.encode(args));
+    });
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(this.commandTimeoutMs);
+
+      socket.once('connect', async () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        try {
+          if (this.password) {
+            await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          }
+          if (this.db) {
+            await this.send(['SELECT', String(this.db)]);
+          }
+          logger.info(`Connected to Redis cache at ${this.host}:${this.port}`);
+          resolve();
+        } catch (error) {
+          this.reset(error);
+          reject(error);
+        }
+      });
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('timeout', () => socket.destroy(new Error(`Connecting to Redis at ${this.host}:${this.port} timed out`)));
+      socket.on('error', (error) => {
+        logger.warn(`Redis cache connection error: ${error.message}`);
+        if (this.socket === socket) {
+          this.reset(error);
+        } else {
+          reject(error);
+        }
+      });
+      socket.on('close', () => {
+        if (this.socket === socket) {
+          this.reset(new Error('Redis connection closed'));
+        }
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Drop the connection and fail every command waiting for a reply
+   */
+  reset(error) {
+    const socket = this.socket;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    if (socket) socket.destroy();
+
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(command => command.reject(error));
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.pending.length > 0) {
+      try {
+        reply = RedisCache.decode(this.buffer, 0);
+      } catch (error) {
+        // The stream can't be resynchronized after a reply we don't understand
+        logger.warn(`Dropping Redis connection: ${error.message}`);
+        this.reset(error);
+        return;
+      }
+      if (reply === null) return;
+
+      this.buffer = this.buffer.subarray(reply.offset);
+      const command = this.pending.shift();
+      if (reply.value instanceof Error) {
+        command.reject(reply.value);
+      } else {
+        command.resolve(reply.value);
+      }
+    }
+  }
+
+  /**
+   * Encode a command as a RESP array of bulk strings
+   */
+  static encode(args) {
+    return `*${args.length}\r\n` + args.map(arg => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join('');
+  }
+
+  /**
+   * Decode one RESP reply
+   * @param {Buffer} buffer - Received bytes
+   * @param {number} offset - Where the reply starts
+   * @returns {{value: *, offset: number}|null} Reply and the offset after it, or null if incomplete
+   */
+  static decode(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(line), offset: next };
+      case ':':
+        return { value: parseInt(line, 10), offset: next };
+      case '$': {
+        const length = parseInt(line, 10);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = parseInt(line, 10);
+        if (count === -1) return { value: null, offset: next };
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = RedisCache.decode(buffer, position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.offset;
+        }
+        return { value: items, offset: position };
+      }
+      default:
+        throw new Error(`Unexpected Redis reply type: ${type}`);
+    }
+  }
+}
+
+module.exports = RedisCache;
@@ -1,14 +1,38 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   telegram: {
     token: process.env.TELEGRAM_BOT_TOKEN,
-    prefix: process.env.BOT_PREFIX || '/doma'
+    prefix: process.env.BOT_PREFIX || '/doma',
+    mode: process.env.TELEGRAM_MODE || 'polling' // 'polling' or 'webhook'
+  },
+  webhook: {
+    url: process.env.WEBHOOK_URL, // Public base URL, e.g. https://bot.example.com
+    path: process.env.WEBHOOK_PATH || '/telegram/webhook',
+    secretToken: process.env.WEBHOOK_SECRET_TOKEN,
+    deleteOnShutdown: process.env.WEBHOOK_DELETE_ON_SHUTDOWN === 'true'
+  },
+  api: {
+    enabled: process.env.API_ENABLED === 'true',
+    keys: (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+  },
+  http: {
+    port: parseInt(process.env.HTTP_PORT) || 8080,
+    host: process.env.HTTP_HOST || '0.0.0.0'
   },
   doma: {
     apiEndpoint: process.env.DOMA_API_ENDPOINT || 'https://api-testnet.doma.xyz',
     graphqlEndpoint: process.env.DOMA_GRAPHQL_ENDPOINT || 'https://api-testnet.doma.xyz/graphql',
-    rpcEndpoint: process.env.DOMA_RPC_ENDPOINT || 'https://rpc-testnet.doma.xyz'
+    rpcEndpoint: process.env.DOMA_RPC_ENDPOINT || 'https://rpc-testnet.doma.xyz',
+    apiKey: process.env.DOMA_API_KEY,
+    dataSource: process.env.DOMA_DATA_SOURCE || 'api', // 'api' or 'fixtures'
+    fixturesDir: process.env.DOMA_FIXTURES_DIR || path.join(__dirname, '../../fixtures/doma'),
+    recordFixtures: process.env.DOMA_RECORD_FIXTURES === 'true',
+    pageSize: parseInt(process.env.DOMA_PAGE_SIZE) || 50,
+    maxPages: parseInt(process.env.DOMA_MAX_PAGES) || 5,
+    batchWindowMs: parseInt(process.env.DOMA_BATCH_WINDOW_MS) || 10,
+    batchMaxOperations: parseInt(process.env.DOMA_BATCH_MAX_OPERATIONS) || 20
   },
   external: {
     moz: {
@@ -21,9 +45,106 @@ const config = {
       apiKey: process.env.SEMRUSH_API_KEY
     }
   },
+  upstream: {
+    timeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS) || 10000,
+    retries: parseInt(process.env.UPSTREAM_RETRIES) >= 0 ? parseInt(process.env.UPSTREAM_RETRIES) : 2,
+    baseDelayMs: parseInt(process.env.UPSTREAM_RETRY_BASE_MS) || 250,
+    maxDelayMs: parseInt(process.env.UPSTREAM_RETRY_MAX_MS) || 4000,
+    failureThreshold: parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD) || 5,
+    resetTimeoutMs: parseInt(process.env.UPSTREAM_BREAKER_RESET_MS) || 30000
+  },
+  rdap: {
+    baseUrl: process.env.RDAP_BASE_URL || 'https://rdap.org',
+    // TLDs whose 404s mean unregistered; empty trusts every 404
+    bootstrapUrl: process.env.RDAP_BOOTSTRAP_URL !== undefined ? process.env.RDAP_BOOTSTRAP_URL : 'https://data.iana.org/rdap/dns.json',
+    dataSource: process.env.RDAP_DATA_SOURCE || process.env.DOMA_DATA_SOURCE || 'api', // 'api' or 'fixtures'
+    fixturesDir: process.env.RDAP_FIXTURES_DIR || path.join(__dirname, '../../fixtures/rdap')
+  },
+  variants: {
+    tlds: (process.env.VARIANT_TLDS || 'com,net,org,io,co,ai,xyz,app,dev,eth').split(',').map(tld => tld.trim().toLowerCase()).filter(Boolean),
+    // Lookups asked in order: doma, dns, rdap, fixture
+    resolvers: (process.env.VARIANT_RESOLVERS || (process.env.DOMA_DATA_SOURCE === 'fixtures' ? 'doma,fixture' : 'doma,dns,rdap'))
+      .split(',').map(name => name.trim()).filter(Boolean),
+    dnsServers: (process.env.VARIANT_DNS_SERVERS || '').split(',').map(server => server.trim()).filter(Boolean),
+    dnsTimeoutMs: parseInt(process.env.VARIANT_DNS_TIMEOUT_MS) || 3000,
+    fixturesPath: process.env.VARIANT_FIXTURES_PATH || path.join(__dirname, '../../fixtures/variants.json')
+  },
+  suggestions: {
+    tlds: (process.env.SUGGEST_TLDS || 'com,io,ai,co,app').split(',').map(tld => tld.trim().toLowerCase()).filter(Boolean),
+    limit: parseInt(process.env.SUGGEST_LIMIT) || 5,
+    // Best pre-ranked candidates checked for availability, and how many of the free ones are scored
+    maxChecked: parseInt(process.env.SUGGEST_MAX_CHECKED) || 40,
+    maxScored: parseInt(process.env.SUGGEST_MAX_SCORED) || 10
+  },
   bot: {
-    maxDomainsPerRequest: parseInt(process.env.MAX_DOMAINS_PER_REQUEST) || 5,
-    cacheTtlMinutes: parseInt(process.env.CACHE_TTL_MINUTES) || 30
+    maxDomainsPerRequest: parseInt(process.env.MAX_DOMAINS_PER_REQUEST) || 5
+  },
+  domains: {
+    // Normalization of names on web3 TLDs: 'ens' (ENS-style, allows emoji sequences) or 'uts46'
+    web3Normalization: process.env.WEB3_NAME_NORMALIZATION || 'ens',
+    publicSuffixListPath: process.env.PUBLIC_SUFFIX_LIST_PATH || path.join(__dirname, 'publicSuffixList.dat'),
+    // english.txt and terms.txt used for word splitting and pronounceability
+    wordListsDir: process.env.WORD_LISTS_DIR || path.join(__dirname, 'words')
+  },
+  cache: {
+    driver: process.env.CACHE_DRIVER || 'memory', // 'memory' or 'redis'
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 5000,
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    keyPrefix: process.env.CACHE_KEY_PREFIX || 'doma:',
+    ttlSeconds: {
+      scores: (parseInt(process.env.CACHE_TTL_MINUTES) || 30) * 60,
+      domainData: parseInt(process.env.CACHE_TTL_DOMAIN_DATA_SECONDS) || 600,
+      listings: parseInt(process.env.CACHE_TTL_LISTINGS_SECONDS) || 60,
+      activities: parseInt(process.env.CACHE_TTL_ACTIVITIES_SECONDS) || 120,
+      // Last good upstream data, used for degraded scoring when an upstream is down
+      lastKnown: parseInt(process.env.CACHE_TTL_LAST_KNOWN_SECONDS) || 7 * 24 * 60 * 60,
+      variants: parseInt(process.env.CACHE_TTL_VARIANTS_SECONDS) || 3600,
+      registration: parseInt(process.env.CACHE_TTL_REGISTRATION_SECONDS) || 24 * 60 * 60
+    }
+  },
+  admin: {
+    adminUserIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => parseInt(id, 10)).filter(Boolean),
+    operatorUserIds: (process.env.OPERATOR_USER_IDS || '').split(',').map(id => parseInt(id, 10)).filter(Boolean)
+  },
+  rateLimit: {
+    userCapacity: parseInt(process.env.RATE_LIMIT_USER_CAPACITY) || 10,
+    userRefillPerMinute: parseInt(process.env.RATE_LIMIT_USER_PER_MINUTE) || 10,
+    chatCapacity: parseInt(process.env.RATE_LIMIT_CHAT_CAPACITY) || 20,
+    chatRefillPerMinute: parseInt(process.env.RATE_LIMIT_CHAT_PER_MINUTE) || 20,
+    exemptUserIds: (process.env.RATE_LIMIT_EXEMPT_USER_IDS || '').split(',').map(id => parseInt(id, 10)).filter(Boolean),
+    maxConcurrentScores: parseInt(process.env.MAX_CONCURRENT_SCORES) || 3
+  },
+  inline: {
+    debounceMs: parseInt(process.env.INLINE_DEBOUNCE_MS) || 600,
+    cacheTimeSeconds: parseInt(process.env.INLINE_CACHE_TIME_SECONDS) || 300
+  },
+  scoring: {
+    profilesPath: process.env.WEIGHT_PROFILES_PATH || path.join(__dirname, 'weightProfiles.json'),
+    defaultProfile: process.env.DEFAULT_WEIGHT_PROFILE || 'default'
+  },
+  scoreHistory: {
+    maxEntries: parseInt(process.env.SCORE_HISTORY_MAX_ENTRIES) || 200
+  },
+  notifications: {
+    perChatIntervalMs: parseInt(process.env.NOTIFY_PER_CHAT_INTERVAL_MS) || 1000,
+    globalPerSecond: parseInt(process.env.NOTIFY_GLOBAL_PER_SECOND) || 30,
+    maxRetries: parseInt(process.env.NOTIFY_MAX_RETRIES) || 3
+  },
+  expiration: {
+    leadDays: (process.env.EXPIRATION_LEAD_DAYS || '60,30,7,1').split(',').map(days => parseInt(days, 10)).filter(days => days > 0),
+    graceDays: parseInt(process.env.EXPIRATION_GRACE_DAYS) || 30,
+    schedule: process.env.EXPIRATION_CHECK_CRON || '0 * * * *'
+  },
+  scoreMonitor: {
+    schedule: process.env.SCORE_CHECK_CRON || '*/30 * * * *',
+    topMovers: parseInt(process.env.SCORE_TOP_MOVERS) || 3
+  },
+  priceHistory: {
+    maxPoints: parseInt(process.env.PRICE_HISTORY_MAX_POINTS) || 100
+  },
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'file', // 'file' or 'memory'
+    path: process.env.STORAGE_PATH || path.join(__dirname, '../../data/storage.json')
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info'
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const config = require('./config');
+
+const TRAITS = [
+  'popularity',
+  'blockchain',
+  'extension',
+  'saleVolume',
+  'length',
+  'brandScore',
+  'marketTrends',
+  'traffic',
+  'crossExtension',
+  'age'
+];
+
+/**
+ * Validate a weight profile
+ * @param {string} name - Profile name
+ * @param {Object} profile - { description, weights }
+ * @throws {Error} If a trait is missing or unknown, a weight is negative, or the weights don't sum to 1
+ */
+function validateProfile(name, profile) {
+  const weights = profile && profile.weights;
+  if (!weights || typeof weights !== 'object') {
+    throw new Error(`Weight profile "${name}" has no weights`);
+  }
+
+  const missing = TRAITS.filter(trait => !(trait in weights));
+  const unknown = Object.keys(weights).filter(trait => !TRAITS.includes(trait));
+  if (missing.length > 0 || unknown.length > 0) {
+    throw new Error(`Weight profile "${name}" must define exactly the traits ${TRAITS.join(', ')}` +
+      `${missing.length ? ` (missing: ${missing.join(', ')})` : ''}${unknown.length ? ` (unknown: ${unknown.join(', ')})` : ''}`);
+  }
+
+  TRAITS.forEach(trait => {
+    if (typeof weights[trait] !== 'number' || weights[trait] < 0) {
+      throw new Error(`Weight profile "${name}" has an invalid weight for ${trait}`);
+    }
+  });
+
+  const total = TRAITS.reduce((sum, trait) => sum + weights[trait], 0);
+  if (Math.abs(total - 1) > 1e-6) {
+    throw new Error(`Weights of profile "${name}" sum to ${total}, expected 1`);
+  }
+}
+
+/**
+ * Load and validate the weight profiles file
+ * @param {string} filePath - Path of the JSON profiles file
+ * @returns {Object} name -> { description, weights }
+ */
+function loadWeightProfiles(filePath = config.scoring.profilesPath) {
+  const profiles = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  Object.keys(profiles).forEach(name => validateProfile(name, profiles[name]));
+  if (!profiles[config.scoring.defaultProfile]) {
+    throw new Error(`Default weight profile "${config.scoring.defaultProfile}" is not defined in ${filePath}`);
+  }
+
+  return profiles;
+}
+
+module.exports = {
+  TRAITS,
+  validateProfile,
+  loadWeightProfiles
+};
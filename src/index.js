@@ -1,19 +1,157 @@
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 const config = require('./config/config');
 const logger = require('./utils/logger');
 const DomainScoringService = require('./services/domainScoringService');
+const DomaService = require('./services/domaService');
 const SubscriptionService = require('./services/SubscriptionService');
+const TelegramNotifier = require('./services/telegramNotifier');
+const ExpirationService = require('./services/expirationService');
+const ScoreMonitorService = require('./services/scoreMonitorService');
+const UserSettingsService = require('./services/userSettingsService');
+const ScoreHistoryService = require('./services/scoreHistoryService');
+const RoleService = require('./services/roleService');
+const RateLimitService = require('./services/rateLimitService');
+const FairQueue = require('./services/fairQueue');
+const { UpstreamError, getUpstreamStates } = require('./services/upstreamClient');
+const { VariantResolver } = require('./services/variantResolver');
+const RdapClient = require('./services/rdapClient');
+const SuggestionService = require('./services/suggestionService');
+const InlineQueryService = require('./services/inlineQueryService');
 const DomainValidator = require('./utils/domainValidator');
 const ResponseFormatter = require('./utils/responseFormatter');
 const SubscriptionFormatter = require('./utils/SubscriptionFormatter');
+const AdminFormatter = require('./utils/adminFormatter');
+const { createStorage } = require('./storage');
+const { createCache } = require('./cache');
+const { HttpServer } = require('./server/httpServer');
+const { registerWebhookRoutes } = require('./server/webhookRoutes');
+const { registerApiRoutes } = require('./server/apiRoutes');
 
 class DomaTelegramBot {
   constructor() {
-    this.bot = new TelegramBot(config.telegram.token, { polling: true });
-    this.scoringService = new DomainScoringService();
-    this.subscriptionService = new SubscriptionService();
+    this.bot = new TelegramBot(config.telegram.token, { polling: false });
+    this.storage = createStorage(config.storage);
+    this.cache = createCache(config.cache);
+    this.scoreHistoryService = new ScoreHistoryService(this.storage);
+    this.domaService = new DomaService({ cache: this.cache });
+    this.rdapClient = new RdapClient({ cache: this.cache });
+    this.variantResolver = new VariantResolver({ domaService: this.domaService, rdapClient: this.rdapClient, cache: this.cache });
+    this.scoringService = new DomainScoringService(this.scoreHistoryService, {
+      cache: this.cache,
+      domaService: this.domaService,
+      variantResolver: this.variantResolver,
+      rdapClient: this.rdapClient
+    });
+    this.suggestionService = new SuggestionService({ scoringService: this.scoringService, variantResolver: this.variantResolver });
+    this.userSettingsService = new UserSettingsService(this.storage);
+    this.roleService = new RoleService(this.storage);
+    this.rateLimitService = new RateLimitService(this.storage);
+    this.scoreQueue = new FairQueue({ concurrency: config.rateLimit.maxConcurrentScores });
+    this.inlineQueryService = new InlineQueryService(this.bot, {
+      scoringService: this.scoringService,
+      userSettingsService: this.userSettingsService,
+      scoreQueue: this.scoreQueue,
+      checkRateLimit: (userId, chatId, cost) => this.checkRateLimit(userId, chatId, cost)
+    });
+    this.subscriptionService = new SubscriptionService(this.storage, { domaService: this.domaService });
+    this.notifier = new TelegramNotifier(this.bot, {
+      ...config.notifications,
+      onBlocked: (chatId) => this.subscriptionService.unsubscribeAll(chatId)
+    });
+    this.subscriptionService.setNotifier(this.notifier);
+    this.expirationService = new ExpirationService(this.subscriptionService, this.storage);
+    this.scoreMonitorService = new ScoreMonitorService(
+      this.subscriptionService,
+      this.scoringService,
+      this.userSettingsService,
+      this.storage
+    );
+  }
+
+  /**
+   * Load persisted state and start receiving updates
+   */
+  async start() {
+    await this.storage.init();
+    await this.subscriptionService.init();
+    this.expirationService.start();
+    this.scoreMonitorService.start();
+    this.ignoreBlockedUsers();
     this.setupHandlers();
-    logger.info('Doma Telegram Bot started successfully');
+    await this.startHttpServer();
+    await this.startReceivingUpdates();
+    logger.info(`Doma Telegram Bot started successfully (${config.telegram.mode} mode)`);
+  }
+
+  /**
+   * Start the HTTP server when the webhook or the REST API needs it
+   */
+  async startHttpServer() {
+    const webhookMode = config.telegram.mode === 'webhook';
+    if (!webhookMode && !config.api.enabled) return;
+
+    this.httpServer = new HttpServer();
+    this.httpServer.route('GET', '/health', async () => ({ status: 'ok' }));
+
+    if (webhookMode) {
+      // Telegram echoes the secret in every webhook request; generate one if none is configured
+      this.webhookSecretToken = config.webhook.secretToken || crypto.randomBytes(32).toString('hex');
+      registerWebhookRoutes(this.httpServer, this.bot, { path: config.webhook.path, secretToken: this.webhookSecretToken });
+    }
+    if (config.api.enabled) {
+      registerApiRoutes(this.httpServer, {
+        scoringService: this.scoringService,
+        domaService: this.domaService,
+        rateLimitService: this.rateLimitService,
+        scoreQueue: this.scoreQueue
+      });
+      logger.info('HTTP API enabled at /v1');
+    }
+
+    await this.httpServer.start(config.http.port, config.http.host);
+  }
+
+  /**
+   * Start polling or register the webhook, depending on config
+   */
+  async startReceivingUpdates() {
+    if (config.telegram.mode === 'webhook') {
+      if (!config.webhook.url) {
+        throw new Error('WEBHOOK_URL is required in webhook mode');
+      }
+
+      const webhookUrl = new URL(config.webhook.path, config.webhook.url).toString();
+      await this.bot.setWebHook(webhookUrl, { secret_token: this.webhookSecretToken });
+      logger.info(`Registered Telegram webhook at ${webhookUrl}`);
+      return;
+    }
+
+    if (config.telegram.mode !== 'polling') {
+      throw new Error(`Unknown TELEGRAM_MODE: ${config.telegram.mode}`);
+    }
+
+    // getUpdates fails while a webhook from an earlier webhook-mode run is still registered
+    await this.bot.deleteWebHook();
+    await this.bot.startPolling();
+  }
+
+  /**
+   * Stop polling or the webhook, and the HTTP server
+   */
+  async stopReceivingUpdates() {
+    if (config.telegram.mode === 'webhook') {
+      if (config.webhook.deleteOnShutdown) {
+        await this.bot.deleteWebHook();
+        logger.info('Deleted Telegram webhook');
+      }
+    } else {
+      await this.bot.stopPolling();
+    }
+
+    if (this.httpServer) {
+      await this.httpServer.stop();
+    }
   }
 
   setupHandlers() {
@@ -71,13 +209,25 @@ class DomaTelegramBot {
           return;
         }
 
-        // Process domains
-        if (domains.length === 1) {
-          await this.processSingleDomain(chatId, loadingMsg.message_id, domains[0]);
-        } else {
-          await this.processMultipleDomains(chatId, loadingMsg.message_id, domains);
+        const limit = this.checkRateLimit(msg.from.id, chatId, domains.length);
+        if (!limit.allowed) {
+          await this.bot.editMessageText(
+            ResponseFormatter.formatRateLimited(limit),
+            { chat_id: chatId, message_id: loadingMsg.message_id, parse_mode: 'Markdown' }
+          );
+          return;
         }
 
+        // Process domains with the user's weight profile
+        const profile = this.userSettingsService.getProfile(msg.from.id);
+        await this.runQueued(msg.from.id, chatId, loadingMsg.message_id, input, async () => {
+          if (domains.length === 1) {
+            await this.processSingleDomain(chatId, loadingMsg.message_id, domains[0], profile);
+          } else {
+            await this.processMultipleDomains(chatId, loadingMsg.message_id, domains, profile);
+          }
+        });
+
       } catch (error) {
         logger.error('Error processing score command:', error);
         await this.bot.sendMessage(chatId, ResponseFormatter.formatError('An unexpected error occurred. Please try again.'));
@@ -88,11 +238,11 @@ class DomaTelegramBot {
     this.bot.onText(/\/subscribe (.+)/, async (msg, match) => {
       const chatId = msg.chat.id;
       const userId = msg.from.id;
-      const domain = match[1].trim().toLowerCase();
+      const domain = DomainValidator.extractDomain(match[1].trim().toLowerCase());
       
       try {
         // Validate domain
-        if (!DomainValidator.isValidDomain(domain)) {
+        if (!domain) {
           await this.bot.sendMessage(chatId, SubscriptionFormatter.formatError('Invalid domain format. Please provide a valid domain name.'));
           return;
         }
@@ -117,7 +267,9 @@ class DomaTelegramBot {
     this.bot.onText(/\/unsubscribe (.+)/, async (msg, match) => {
       const chatId = msg.chat.id;
       const userId = msg.from.id;
-      const domain = match[1].trim().toLowerCase();
+      const input = match[1].trim().toLowerCase();
+      // Subscriptions are stored in ASCII form; Unicode input is converted
+      const domain = DomainValidator.extractDomain(input) || input;
       
       try {
         const result = await this.subscriptionService.unsubscribe(userId, domain);
@@ -141,7 +293,7 @@ class DomaTelegramBot {
       
       try {
         const userSub = this.subscriptionService.getUserSubscriptions(userId);
-        await this.bot.sendMessage(chatId, SubscriptionFormatter.formatUserSubscriptions(userSub.domains, userSub.preferences), { parse_mode: 'Markdown' });
+        await this.bot.sendMessage(chatId, SubscriptionFormatter.formatUserSubscriptions(userSub.domains, userSub.preferences, userSub.domainPreferences), { parse_mode: 'Markdown' });
       } catch (error) {
         logger.error('Error processing my_subscriptions command:', error);
         await this.bot.sendMessage(chatId, SubscriptionFormatter.formatError('An unexpected error occurred. Please try again.'));
@@ -149,37 +301,267 @@ class DomaTelegramBot {
     });
 
     // Alerts command (preferences)
-    this.bot.onText(/\/alerts/, (msg) => {
+    this.bot.onText(/\/alerts(?:\s+(.+))?$/, async (msg, match) => {
       const chatId = msg.chat.id;
-      this.bot.sendMessage(chatId, SubscriptionFormatter.formatSubscriptionHelp(), { parse_mode: 'Markdown' });
+      const userId = msg.from.id;
+      const args = match[1] ? match[1].trim().toLowerCase().split(/\s+/) : [];
+      
+      try {
+        const userSub = this.subscriptionService.getUserSubscriptions(userId);
+        if (userSub.domains.length === 0) {
+          await this.bot.sendMessage(chatId, SubscriptionFormatter.formatSubscriptionHelp(), { parse_mode: 'Markdown' });
+          return;
+        }
+
+        // /alerts threshold <0-100> [domain], /alerts price <percent> [domain]
+        if (args[0] === 'threshold' || args[0] === 'price') {
+          const value = parseFloat(args[1]);
+          const domain = args[2] && (DomainValidator.extractDomain(args[2]) || args[2]);
+          const isThreshold = args[0] === 'threshold';
+
+          if (isNaN(value) || value < 0 || (isThreshold && value > 100)) {
+            const error = isThreshold
+              ? 'Threshold must be a number between 0 and 100.'
+              : 'Price change must be a positive percentage.';
+            await this.bot.sendMessage(chatId, SubscriptionFormatter.formatError(error));
+            return;
+          }
+
+          const update = isThreshold ? { scoreThreshold: Math.round(value) } : { priceChangePercent: value };
+          const result = this.subscriptionService.updatePreferences(userId, update, domain);
+          if (!result.success) {
+            await this.bot.sendMessage(chatId, SubscriptionFormatter.formatError(result.message));
+            return;
+          }
+
+          const preferences = domain
+            ? this.subscriptionService.getEffectivePreferences(userId, domain)
+            : this.subscriptionService.getUserSubscriptions(userId).preferences;
+          await this.bot.sendMessage(chatId, SubscriptionFormatter.formatPreferencesUpdate(preferences, domain), { parse_mode: 'Markdown' });
+          return;
+        }
+
+        // /alerts [domain]
+        const scope = args[0] ? userSub.domains.indexOf(DomainValidator.extractDomain(args[0]) || args[0]) : '*';
+        if (scope === -1) {
+          await this.bot.sendMessage(chatId, SubscriptionFormatter.formatError(`Not subscribed to ${args[0]}`));
+          return;
+        }
+
+        const menu = this.buildAlertSettingsMenu(userId, String(scope));
+        await this.bot.sendMessage(chatId, menu.text, { parse_mode: 'Markdown', reply_markup: menu.replyMarkup });
+      } catch (error) {
+        logger.error('Error processing alerts command:', error);
+        await this.bot.sendMessage(chatId, SubscriptionFormatter.formatError('An unexpected error occurred. Please try again.'));
+      }
+    });
+
+    // Inline keyboard buttons
+    this.bot.on('callback_query', async (query) => {
+      try {
+        if (query.data && query.data.startsWith('alerts:')) {
+          await this.handleAlertsCallback(query);
+        } else if (query.data && query.data.startsWith('profile:')) {
+          await this.handleProfileCallback(query);
+        } else if (query.data && query.data.startsWith('suggest:')) {
+          await this.handleSuggestCallback(query);
+        } else {
+          await this.bot.answerCallbackQuery(query.id);
+        }
+      } catch (error) {
+        logger.error('Error processing callback query:', error);
+        await this.bot.answerCallbackQuery(query.id, { text: 'An unexpected error occurred. Please try again.' });
+      }
     });
 
-    // Stats command (admin)
-    this.bot.onText(/\/stats/, async (msg) => {
+    // Weight profile command
+    this.bot.onText(/\/profile(?:\s+(\S+))?$/, async (msg, match) => {
       const chatId = msg.chat.id;
       const userId = msg.from.id;
+      const requested = match[1] ? match[1].trim().toLowerCase() : null;
       
-      // Simple admin check (you can implement proper admin logic)
-      if (userId !== 123456789) { // Replace with your admin user ID
-        await this.bot.sendMessage(chatId, '❌ Access denied. This command is for administrators only.');
-        return;
+      try {
+        if (requested) {
+          if (!this.scoringService.hasProfile(requested)) {
+            await this.bot.sendMessage(chatId, ResponseFormatter.formatError(`Unknown profile \`${requested}\`. Use /profile to see the available profiles.`), { parse_mode: 'Markdown' });
+            return;
+          }
+          this.userSettingsService.setProfile(userId, requested);
+        }
+
+        const current = this.userSettingsService.getProfile(userId);
+        await this.bot.sendMessage(chatId, ResponseFormatter.formatProfiles(this.scoringService.getProfiles(), current, Boolean(requested)), {
+          parse_mode: 'Markdown',
+          reply_markup: ResponseFormatter.buildProfilesKeyboard(this.scoringService.getProfiles(), current)
+        });
+      } catch (error) {
+        logger.error('Error processing profile command:', error);
+        await this.bot.sendMessage(chatId, ResponseFormatter.formatError('An unexpected error occurred. Please try again.'), { parse_mode: 'Markdown' });
       }
+    });
+
+    // Score history command
+    this.bot.onText(/\/history (.+)/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const domain = DomainValidator.extractDomain(match[1].trim().toLowerCase());
       
       try {
-        const stats = this.subscriptionService.getStats();
-        const message = `📊 **Bot Statistics**\n\n` +
-          `• Total Users: ${stats.totalUsers}\n` +
-          `• Total Domains: ${stats.totalDomains}\n` +
-          `• Monitoring: ${stats.isMonitoring ? '✅ Active' : '❌ Inactive'}\n\n` +
-          `_Last updated: ${new Date().toLocaleString()}_`;
-        
-        await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        if (!domain) {
+          await this.bot.sendMessage(chatId, ResponseFormatter.formatError('Invalid domain format. Please provide a valid domain name.'), { parse_mode: 'Markdown' });
+          return;
+        }
+
+        const profile = this.userSettingsService.getProfile(msg.from.id);
+        const history = this.scoreHistoryService.getHistory(domain, profile);
+        await this.bot.sendMessage(chatId, ResponseFormatter.formatScoreHistory(domain, history, profile), { parse_mode: 'Markdown' });
+      } catch (error) {
+        logger.error('Error processing history command:', error);
+        await this.bot.sendMessage(chatId, ResponseFormatter.formatError('An unexpected error occurred. Please try again.'), { parse_mode: 'Markdown' });
+      }
+    });
+
+    // Price history command
+    this.bot.onText(/\/price (.+)/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const domain = DomainValidator.extractDomain(match[1].trim().toLowerCase());
+      
+      try {
+        if (!domain) {
+          await this.bot.sendMessage(chatId, ResponseFormatter.formatError('Invalid domain format. Please provide a valid domain name.'), { parse_mode: 'Markdown' });
+          return;
+        }
+
+        const limit = this.checkRateLimit(msg.from.id, chatId, 1);
+        if (!limit.allowed) {
+          await this.bot.sendMessage(chatId, ResponseFormatter.formatRateLimited(limit), { parse_mode: 'Markdown' });
+          return;
+        }
+
+        const loadingMsg = await this.bot.sendMessage(chatId, ResponseFormatter.formatLoading(domain));
+        await this.runQueued(msg.from.id, chatId, loadingMsg.message_id, domain, async () => {
+          try {
+            const domainData = await this.domaService.getDomainData(domain);
+            const [listings, offers] = await Promise.all([
+              this.domaService.getDomainListings(domain),
+              this.domaService.getDomainOffers(domain, domainData)
+            ]);
+
+            // Only watched domains keep a series; others just show their current prices
+            const priceHistory = this.subscriptionService.priceHistoryService;
+            const watched = this.subscriptionService.domainWatchers.has(domain);
+            let history;
+            if (watched) {
+              priceHistory.record(domain, listings, offers);
+              history = priceHistory.getHistory(domain);
+            } else {
+              history = priceHistory.previewHistory(domain, listings, offers);
+            }
+
+            await this.bot.editMessageText(ResponseFormatter.formatPriceHistory(domain, history, watched), {
+              chat_id: chatId,
+              message_id: loadingMsg.message_id,
+              parse_mode: 'Markdown'
+            });
+          } catch (error) {
+            logger.error(`Error loading prices for ${domain}:`, error);
+            const message = error instanceof UpstreamError
+              ? 'Doma data is unavailable right now. Please try again in a few minutes.'
+              : 'An unexpected error occurred. Please try again.';
+            await this.bot.editMessageText(ResponseFormatter.formatError(message), {
+              chat_id: chatId,
+              message_id: loadingMsg.message_id,
+              parse_mode: 'Markdown'
+            });
+          }
+        });
       } catch (error) {
-        logger.error('Error processing stats command:', error);
-        await this.bot.sendMessage(chatId, '❌ Error retrieving statistics.');
+        logger.error('Error processing price command:', error);
+        await this.bot.sendMessage(chatId, ResponseFormatter.formatError('An unexpected error occurred. Please try again.'), { parse_mode: 'Markdown' });
       }
     });
 
+    // Variants command (the name's label on other extensions)
+    this.bot.onText(/\/variants (.+)/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const domain = DomainValidator.extractDomain(match[1].trim().toLowerCase());
+
+      try {
+        if (!domain) {
+          await this.bot.sendMessage(chatId, ResponseFormatter.formatError('Invalid domain format. Please provide a valid domain name.'), { parse_mode: 'Markdown' });
+          return;
+        }
+
+        const limit = this.checkRateLimit(msg.from.id, chatId, 1);
+        if (!limit.allowed) {
+          await this.bot.sendMessage(chatId, ResponseFormatter.formatRateLimited(limit), { parse_mode: 'Markdown' });
+          return;
+        }
+
+        const { variants } = await this.variantResolver.resolve(domain);
+        const response = ResponseFormatter.formatVariants(
+          DomainValidator.toUnicode(domain),
+          variants.map(variant => ({ ...variant, displayName: DomainValidator.toUnicode(variant.name) }))
+        );
+        await this.bot.sendMessage(chatId, response, { parse_mode: 'Markdown' });
+      } catch (error) {
+        logger.error('Error processing variants command:', error);
+        await this.bot.sendMessage(chatId, ResponseFormatter.formatError('An unexpected error occurred. Please try again.'), { parse_mode: 'Markdown' });
+      }
+    });
+
+    // Suggest command (generate, filter and rank names for keywords)
+    this.bot.onText(/\/suggest (.+)/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const { keywords, tlds } = SuggestionService.parseQuery(match[1]);
+
+      try {
+        if (keywords.length === 0) {
+          await this.bot.sendMessage(chatId, ResponseFormatter.formatError('Please provide keywords, e.g. /suggest coffee shop .io'), { parse_mode: 'Markdown' });
+          return;
+        }
+
+        // One token to start; the names actually scored are charged afterwards
+        const limit = this.checkRateLimit(msg.from.id, chatId, 1);
+        if (!limit.allowed) {
+          await this.bot.sendMessage(chatId, ResponseFormatter.formatRateLimited(limit), { parse_mode: 'Markdown' });
+          return;
+        }
+
+        const input = keywords.join(' ');
+        const loadingMsg = await this.bot.sendMessage(chatId, ResponseFormatter.formatLoading(input));
+        const profile = this.userSettingsService.getProfile(msg.from.id);
+        await this.runQueued(msg.from.id, chatId, loadingMsg.message_id, input, async () => {
+          try {
+            const result = await this.suggestionService.suggest(keywords, { tlds, profile });
+            this.chargeRateLimit(msg.from.id, chatId, result.scored - 1);
+            await this.bot.editMessageText(ResponseFormatter.formatSuggestions(result), {
+              chat_id: chatId,
+              message_id: loadingMsg.message_id,
+              parse_mode: 'Markdown',
+              reply_markup: ResponseFormatter.buildSuggestionsKeyboard(result.suggestions)
+            });
+          } catch (error) {
+            logger.error(`Error suggesting names for ${input}:`, error);
+            await this.bot.editMessageText(ResponseFormatter.formatError('Could not generate suggestions. Please try again.'), {
+              chat_id: chatId,
+              message_id: loadingMsg.message_id,
+              parse_mode: 'Markdown'
+            });
+          }
+        });
+      } catch (error) {
+        logger.error('Error processing suggest command:', error);
+        await this.bot.sendMessage(chatId, ResponseFormatter.formatError('An unexpected error occurred. Please try again.'), { parse_mode: 'Markdown' });
+      }
+    });
+
+    this.setupStaffHandlers();
+
+    // Inline mode (@bot example.com from any chat)
+    this.bot.on('inline_query', (query) => {
+      this.inlineQueryService.debounce(query);
+    });
+
     // Handle any other text messages
     this.bot.on('message', (msg) => {
       const chatId = msg.chat.id;
@@ -192,6 +574,10 @@ class DomaTelegramBot {
     });
 
     // Error handling
+    this.bot.on('webhook_error', (error) => {
+      logger.error('Webhook error:', error);
+    });
+
     this.bot.on('polling_error', (error) => {
       logger.error('Polling error:', error);
     });
@@ -201,15 +587,246 @@ class DomaTelegramBot {
     });
   }
 
+  /**
+   * Register the operator and admin commands
+   */
+  setupStaffHandlers() {
+    this.onStaffCommand(/\/admin$/, 'operator', async (msg) => {
+      const role = this.roleService.getRole(msg.from.id);
+      await this.bot.sendMessage(msg.chat.id, AdminFormatter.formatCommands(role), { parse_mode: 'Markdown' });
+    });
+
+    this.onStaffCommand(/\/stats/, 'operator', async (msg) => {
+      const stats = this.subscriptionService.getStats();
+      const message = AdminFormatter.formatStats(stats, this.roleService.getBlockedCount());
+      await this.bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown' });
+    });
+
+    this.onStaffCommand(/\/domains$/, 'operator', async (msg) => {
+      const counts = this.subscriptionService.getDomainCounts();
+      await this.bot.sendMessage(msg.chat.id, AdminFormatter.formatDomainCounts(counts), { parse_mode: 'Markdown' });
+    });
+
+    this.onStaffCommand(/\/user (\d+)$/, 'operator', async (msg, match) => {
+      const userId = Number(match[1]);
+      const message = AdminFormatter.formatUser({
+        userId,
+        role: this.roleService.getRole(userId),
+        block: this.roleService.getBlock(userId),
+        profile: this.userSettingsService.getProfile(userId),
+        subscriptions: this.subscriptionService.getUserSubscriptions(userId)
+      });
+      await this.bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown' });
+    });
+
+    this.onStaffCommand(/\/cache$/, 'operator', async (msg) => {
+      await this.bot.sendMessage(msg.chat.id, AdminFormatter.formatCacheStats(this.cache.getStats()), { parse_mode: 'Markdown' });
+    });
+
+    this.onStaffCommand(/\/upstreams$/, 'operator', async (msg) => {
+      await this.bot.sendMessage(msg.chat.id, AdminFormatter.formatUpstreams(getUpstreamStates()), { parse_mode: 'Markdown' });
+    });
+
+    // Rescore from fresh Doma data; dropping the cached scores affects every
+    // user, so it stays with staff
+    this.onStaffCommand(/\/refresh (.+)/, 'operator', async (msg, match) => {
+      const chatId = msg.chat.id;
+      const domain = DomainValidator.extractDomain(match[1].trim().toLowerCase());
+      if (!domain) {
+        await this.bot.sendMessage(chatId, ResponseFormatter.formatError('Invalid domain format. Please provide a valid domain name.'), { parse_mode: 'Markdown' });
+        return;
+      }
+
+      // Scores of other profiles were computed from the same stale data
+      const removed = await this.scoringService.invalidateDomain(domain);
+      logger.info(`User ${msg.from.id} refreshed ${domain} (${removed} cached scores dropped)`);
+
+      const loadingMsg = await this.bot.sendMessage(chatId, ResponseFormatter.formatLoading(domain));
+      const profile = this.userSettingsService.getProfile(msg.from.id);
+      await this.runQueued(msg.from.id, chatId, loadingMsg.message_id, domain, () =>
+        this.processSingleDomain(chatId, loadingMsg.message_id, domain, profile, { skipCache: true })
+      );
+    });
+
+    this.onStaffCommand(/\/block (\d+)(?:\s+(.+))?$/, 'operator', async (msg, match) => {
+      const userId = Number(match[1]);
+      const result = this.roleService.block(userId, msg.from.id, match[2] ? match[2].trim() : null);
+      if (!result.success) {
+        await this.bot.sendMessage(msg.chat.id, `❌ ${result.message}`);
+        return;
+      }
+
+      const removed = this.subscriptionService.unsubscribeAll(userId);
+      await this.bot.sendMessage(msg.chat.id, `🚫 ${result.message}, ${removed} ${removed === 1 ? 'subscription' : 'subscriptions'} removed.`);
+    });
+
+    this.onStaffCommand(/\/unblock (\d+)$/, 'operator', async (msg, match) => {
+      const result = this.roleService.unblock(Number(match[1]), msg.from.id);
+      await this.bot.sendMessage(msg.chat.id, `${result.success ? '✅' : '❌'} ${result.message}`);
+    });
+
+    this.onStaffCommand(/\/monitoring(?:\s+(pause|resume))?$/, 'admin', async (msg, match) => {
+      if (match[1] === 'pause') {
+        this.pauseMonitoring();
+        logger.warn(`User ${msg.from.id} paused event monitoring`);
+      } else if (match[1] === 'resume') {
+        this.resumeMonitoring();
+        logger.info(`User ${msg.from.id} resumed event monitoring`);
+      }
+
+      const state = AdminFormatter.formatMonitoringState(this.subscriptionService.getStats());
+      await this.bot.sendMessage(msg.chat.id, `📡 Event monitoring: ${state}`);
+    });
+
+    this.onStaffCommand(/\/role (\d+) (\S+)$/, 'admin', async (msg, match) => {
+      const result = this.roleService.setRole(Number(match[1]), match[2].toLowerCase(), msg.from.id);
+      await this.bot.sendMessage(msg.chat.id, `${result.success ? '✅' : '❌'} ${result.message}`);
+    });
+
+    this.onStaffCommand(/\/ratelimit(?:\s+(exempt|unexempt) (\d+))?$/, 'admin', async (msg, match) => {
+      if (match[1]) {
+        const userId = Number(match[2]);
+        const result = match[1] === 'exempt'
+          ? this.rateLimitService.addExemption(userId, msg.from.id)
+          : this.rateLimitService.removeExemption(userId, msg.from.id);
+        await this.bot.sendMessage(msg.chat.id, `${result.success ? '✅' : '❌'} ${result.message}`);
+        return;
+      }
+
+      const message = AdminFormatter.formatRateLimits(config.rateLimit, this.rateLimitService.getExemptions(), this.scoreQueue.getStats());
+      await this.bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown' });
+    });
+
+    this.onStaffCommand(/\/staff$/, 'admin', async (msg) => {
+      await this.bot.sendMessage(msg.chat.id, AdminFormatter.formatStaff(this.roleService.getStaff()), { parse_mode: 'Markdown' });
+    });
+  }
+
+  /**
+   * Register a command that requires a staff role
+   * @param {RegExp} regexp - Command pattern
+   * @param {string} role - Minimum role ('operator' or 'admin')
+   * @param {Function} handler - Called with (msg, match)
+   */
+  onStaffCommand(regexp, role, handler) {
+    this.bot.onText(regexp, async (msg, match) => {
+      if (!this.roleService.hasRole(msg.from.id, role)) {
+        await this.bot.sendMessage(msg.chat.id, '❌ Access denied. This command is for administrators only.');
+        return;
+      }
+
+      try {
+        await handler(msg, match);
+      } catch (error) {
+        logger.error(`Error processing staff command ${msg.text}:`, error);
+        await this.bot.sendMessage(msg.chat.id, ResponseFormatter.formatError('An unexpected error occurred. Please try again.'), { parse_mode: 'Markdown' });
+      }
+    });
+  }
+
+  /**
+   * Charge a scoring request against the rate limits; staff are never limited
+   * @param {number} userId - Telegram user ID
+   * @param {number} [chatId] - Chat the request came from
+   * @param {number} cost - Number of domains to score
+   * @returns {Object} { allowed, retryAfterSeconds, scope }
+   */
+  checkRateLimit(userId, chatId, cost) {
+    if (this.roleService.hasRole(userId, 'operator')) {
+      return { allowed: true };
+    }
+    return this.rateLimitService.consume(userId, chatId, cost);
+  }
+
+  /**
+   * Charge scoring work that already ran; staff are never charged
+   * @param {number} userId - Telegram user ID
+   * @param {number} [chatId] - Chat the request came from
+   * @param {number} cost - Number of domains scored beyond what was charged up front
+   */
+  chargeRateLimit(userId, chatId, cost) {
+    if (this.roleService.hasRole(userId, 'operator')) return;
+    this.rateLimitService.charge(userId, chatId, cost);
+  }
+
+  /**
+   * Run scoring work through the fair queue, telling the user when it has to wait
+   * @param {number} userId - Telegram user ID
+   * @param {number} chatId - Chat ID
+   * @param {number} messageId - Loading message to update
+   * @param {string} input - Requested domains, for the loading message
+   * @param {Function} work - Async scoring work
+   */
+  async runQueued(userId, chatId, messageId, input, work) {
+    let queuedNotice = null;
+
+    const job = this.scoreQueue.enqueue(userId, async () => {
+      if (queuedNotice) {
+        await queuedNotice;
+        await this.bot.editMessageText(ResponseFormatter.formatLoading(input), { chat_id: chatId, message_id: messageId });
+      }
+      await work();
+    });
+
+    if (job.position > 0) {
+      queuedNotice = this.bot.editMessageText(ResponseFormatter.formatQueued(job.position), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown'
+      }).catch(error => logger.warn(`Could not show queue position in chat ${chatId}: ${error.message}`));
+    }
+
+    await job.promise;
+  }
+
+  /**
+   * Drop every update sent by a blocked user before any handler sees it
+   */
+  ignoreBlockedUsers() {
+    const processUpdate = this.bot.processUpdate.bind(this.bot);
+
+    this.bot.processUpdate = (update) => {
+      const source = update.message || update.edited_message || update.callback_query ||
+        update.inline_query || update.chosen_inline_result;
+      const userId = source?.from?.id;
+
+      if (userId && this.roleService.isBlocked(userId)) {
+        logger.debug(`Ignoring update ${update.update_id} from blocked user ${userId}`);
+        return;
+      }
+      processUpdate(update);
+    };
+  }
+
+  /**
+   * Stop event, expiration and score monitoring until resumed
+   */
+  pauseMonitoring() {
+    this.subscriptionService.pauseMonitoring();
+    this.expirationService.stop();
+    this.scoreMonitorService.stop();
+  }
+
+  /**
+   * Restart monitoring stopped by pauseMonitoring()
+   */
+  resumeMonitoring() {
+    this.subscriptionService.resumeMonitoring();
+    this.expirationService.start();
+    this.scoreMonitorService.start();
+  }
+
   /**
    * Process single domain scoring
    * @param {number} chatId - Chat ID
    * @param {number} messageId - Message ID to edit
    * @param {string} domain - Domain to analyze
+   * @param {string} profile - Weight profile to score with
+   * @param {Object} [options] - { skipCache: bypass cached scores and Doma data }
    */
-  async processSingleDomain(chatId, messageId, domain) {
+  async processSingleDomain(chatId, messageId, domain, profile, options = {}) {
     try {
-      const scoreData = await this.scoringService.calculateDomainScore(domain);
+      const scoreData = await this.scoringService.calculateDomainScore(domain, { profile, skipCache: options.skipCache });
       const response = ResponseFormatter.formatDomainScore(scoreData);
 
       await this.bot.editMessageText(response, {
@@ -233,16 +850,19 @@ class DomaTelegramBot {
    * @param {number} chatId - Chat ID
    * @param {number} messageId - Message ID to edit
    * @param {Array} domains - Domains to analyze
+   * @param {string} profile - Weight profile to score with
    */
-  async processMultipleDomains(chatId, messageId, domains) {
+  async processMultipleDomains(chatId, messageId, domains, profile) {
     try {
       // Process domains in parallel
       const promises = domains.map(async (domain) => {
         try {
-          const scoreData = await this.scoringService.calculateDomainScore(domain);
+          const scoreData = await this.scoringService.calculateDomainScore(domain, { profile });
           return {
             domain,
-            overallScore: scoreData.overallScore
+            displayName: scoreData.displayName,
+            overallScore: scoreData.overallScore,
+            degraded: scoreData.degraded
           };
         } catch (error) {
           logger.error(`Error processing domain ${domain}:`, error);
@@ -255,7 +875,7 @@ class DomaTelegramBot {
       });
 
       const results = await Promise.all(promises);
-      const response = ResponseFormatter.formatMultipleDomains(results);
+      const response = ResponseFormatter.formatMultipleDomains(results, profile);
 
       await this.bot.editMessageText(response, {
         chat_id: chatId,
@@ -273,28 +893,149 @@ class DomaTelegramBot {
   }
 
   /**
-   * Extract domains from input text
-   * @param {string} input - Input text
-   * @returns {Array} Array of valid domains
+   * Build the alert settings menu for a scope
+   * @param {number} userId - User ID
+   * @param {string} scope - '*' for global settings, or the index of a subscribed domain
+   * @returns {Object|null} { text, replyMarkup }, or null if the domain is gone
    */
-  extractDomains(input) {
-    const domains = input.split(/[,\s]+/).map(d => d.trim().toLowerCase());
-    return domains.filter(domain => DomainValidator.isValidDomain(domain));
+  buildAlertSettingsMenu(userId, scope) {
+    const userSub = this.subscriptionService.getUserSubscriptions(userId);
+
+    if (scope === '*') {
+      return {
+        text: SubscriptionFormatter.formatPreferencesMenu(userSub.preferences),
+        replyMarkup: SubscriptionFormatter.buildPreferencesKeyboard(userSub.preferences, scope, { domains: userSub.domains })
+      };
+    }
+
+    const domain = userSub.domains[Number(scope)];
+    if (!domain) return null;
+
+    const preferences = this.subscriptionService.getEffectivePreferences(userId, domain);
+    const hasOverrides = Boolean(userSub.domainPreferences[domain]);
+    return {
+      text: SubscriptionFormatter.formatPreferencesMenu(preferences, domain, hasOverrides),
+      replyMarkup: SubscriptionFormatter.buildPreferencesKeyboard(preferences, scope, { hasOverrides })
+    };
   }
 
   /**
-   * Send event alert to user
-   * @param {number} userId - User ID
-   * @param {string} domain - Domain name
-   * @param {Array} events - Events to alert about
+   * Handle a button press in the alert settings menu
+   * @param {Object} query - Telegram callback query
    */
-  async sendEventAlert(userId, domain, events) {
-    try {
-      const message = SubscriptionFormatter.formatEventAlert(domain, events);
-      await this.bot.sendMessage(userId, message, { parse_mode: 'Markdown' });
-    } catch (error) {
-      logger.error(`Error sending event alert to user ${userId}:`, error);
+  async handleAlertsCallback(query) {
+    const userId = query.from.id;
+    const [, action, scope, arg] = query.data.split(':');
+    const userSub = this.subscriptionService.getUserSubscriptions(userId);
+    const domain = scope === '*' ? undefined : userSub.domains[Number(scope)];
+
+    if (scope !== '*' && !domain) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'This domain is no longer subscribed.' });
+      return;
+    }
+
+    let result = { success: true };
+    if (action === 't' && !['priceAlerts', 'saleAlerts', 'transferAlerts', 'expirationAlerts'].includes(arg)) {
+      result = { success: false, message: 'Unknown setting' };
+    } else if (action === 't') {
+      const current = domain
+        ? this.subscriptionService.getEffectivePreferences(userId, domain)
+        : userSub.preferences;
+      result = this.subscriptionService.updatePreferences(userId, { [arg]: !current[arg] }, domain);
+    } else if (action === 's') {
+      const threshold = Math.min(100, Math.max(0, parseInt(arg, 10) || 0));
+      result = this.subscriptionService.updatePreferences(userId, { scoreThreshold: threshold }, domain);
+    } else if (action === 'p') {
+      const priceChangePercent = Math.max(0, parseFloat(arg) || 0);
+      result = this.subscriptionService.updatePreferences(userId, { priceChangePercent }, domain);
+    } else if (action === 'r') {
+      result = this.subscriptionService.resetDomainPreferences(userId, domain);
     }
+
+    if (!result.success) {
+      await this.bot.answerCallbackQuery(query.id, { text: result.message });
+      return;
+    }
+
+    const menu = this.buildAlertSettingsMenu(userId, scope);
+    await this.bot.editMessageText(menu.text, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: menu.replyMarkup
+    });
+    await this.bot.answerCallbackQuery(query.id, action === 'm' ? {} : { text: 'Settings updated' });
+  }
+
+  /**
+   * Handle a weight profile button press
+   * @param {Object} query - Telegram callback query
+   */
+  async handleProfileCallback(query) {
+    const userId = query.from.id;
+    const profile = query.data.slice('profile:'.length);
+
+    if (!this.scoringService.hasProfile(profile)) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'This profile no longer exists.' });
+      return;
+    }
+
+    if (profile !== this.userSettingsService.getProfile(userId)) {
+      this.userSettingsService.setProfile(userId, profile);
+      const profiles = this.scoringService.getProfiles();
+      await this.bot.editMessageText(ResponseFormatter.formatProfiles(profiles, profile, true), {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: ResponseFormatter.buildProfilesKeyboard(profiles, profile)
+      });
+    }
+    await this.bot.answerCallbackQuery(query.id, { text: `Scoring with the ${profile} profile` });
+  }
+
+  /**
+   * Handle the score and subscribe buttons of /suggest results
+   * @param {Object} query - Telegram callback query (suggest:s:<domain> or suggest:b:<domain>)
+   */
+  async handleSuggestCallback(query) {
+    const [, action, name] = query.data.split(':');
+    const domain = DomainValidator.extractDomain(name);
+    const userId = query.from.id;
+    const chatId = query.message.chat.id;
+
+    if (!domain) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'Invalid domain.' });
+      return;
+    }
+
+    if (action === 'b') {
+      const result = await this.subscriptionService.subscribe(userId, domain);
+      await this.bot.answerCallbackQuery(query.id, { text: result.message });
+      return;
+    }
+
+    const limit = this.checkRateLimit(userId, chatId, 1);
+    if (!limit.allowed) {
+      await this.bot.answerCallbackQuery(query.id, { text: `Rate limit reached, try again in ${ResponseFormatter.formatDuration(limit.retryAfterSeconds)}.` });
+      return;
+    }
+
+    await this.bot.answerCallbackQuery(query.id);
+    const loadingMsg = await this.bot.sendMessage(chatId, ResponseFormatter.formatLoading(domain));
+    const profile = this.userSettingsService.getProfile(userId);
+    await this.runQueued(userId, chatId, loadingMsg.message_id, domain, () =>
+      this.processSingleDomain(chatId, loadingMsg.message_id, domain, profile)
+    );
+  }
+
+  /**
+   * Extract domains from input text
+   * @param {string} input - Input text
+   * @returns {Array} Array of valid domains
+   */
+  extractDomains(input) {
+    const domains = input.split(/[,\s]+/).map(d => DomainValidator.extractDomain(d.trim().toLowerCase()));
+    return domains.filter(Boolean);
   }
 
   /**
@@ -303,7 +1044,13 @@ class DomaTelegramBot {
   async shutdown() {
     logger.info('Stopping Doma Telegram Bot...');
     this.subscriptionService.stopEventMonitoring();
-    this.bot.stopPolling();
+    this.expirationService.stop();
+    this.scoreMonitorService.stop();
+    this.notifier.stop();
+    this.inlineQueryService.stop();
+    await this.stopReceivingUpdates();
+    await this.storage.close();
+    await this.cache.close();
     logger.info('Doma Telegram Bot stopped');
   }
 }
@@ -327,5 +1074,9 @@ process.on('SIGINT', async () => {
 
 // Initialize bot
 const bot = new DomaTelegramBot();
+bot.start().catch((error) => {
+  logger.error('Failed to start Doma Telegram Bot:', error);
+  process.exit(1);
+});
 
 module.exports = DomaTelegramBot;
@@ -0,0 +1,166 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const DomainValidator = require('../utils/domainValidator');
+const { HttpError } = require('./httpServer');
+
+const openApiDocument = JSON.parse(fs.readFileSync(path.join(__dirname, 'openapi.json'), 'utf8'));
+
+/**
+ * Parse API_KEYS ("name:key,key2") into a key -> client name map
+ * @param {Array<string>} entries - Configured key entries
+ * @returns {Map<string, string>} Keys and the client they belong to
+ */
+function parseApiKeys(entries) {
+  const keys = new Map();
+  entries.forEach((entry, index) => {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      keys.set(entry.slice(separator + 1), entry.slice(0, separator));
+    } else {
+      keys.set(entry, `client-${index + 1}`);
+    }
+  });
+  return keys;
+}
+
+/**
+ * Strip a score result down to what API clients get
+ */
+function toScoreResponse(result) {
+  return {
+    domain: result.domain,
+    displayName: result.displayName,
+    scripts: result.scripts,
+    mixedScript: result.mixedScript,
+    profile: result.profile,
+    overallScore: result.overallScore,
+    scores: result.scores,
+    weights: result.weights,
+    breakdown: result.breakdown,
+    confidence: result.confidence,
+    provenance: result.provenance,
+    missingInputs: result.missingInputs,
+    degraded: result.degraded,
+    unavailableTraits: result.unavailableTraits,
+    staleTraits: result.staleTraits,
+    registration: result.registration,
+    linguistics: result.linguistics,
+    timestamp: result.timestamp
+  };
+}
+
+/**
+ * Register the REST API endpoints
+ * @param {HttpServer} server - HTTP server
+ * @param {Object} services - { scoringService, domaService, rateLimitService, scoreQueue }
+ * @param {Object} options - { keys }
+ */
+function registerApiRoutes(server, services, options = config.api) {
+  const { scoringService, domaService, rateLimitService, scoreQueue } = services;
+  const apiKeys = parseApiKeys(options.keys);
+
+  if (apiKeys.size === 0) {
+    logger.warn('HTTP API is enabled without API_KEYS, every authenticated request will be rejected');
+  }
+
+  const authenticate = (req) => {
+    const header = req.headers.authorization || '';
+    const key = req.headers['x-api-key'] || (header.startsWith('Bearer ') ? header.slice(7) : null);
+    if (!key || !apiKeys.has(key)) {
+      throw new HttpError(401, 'Missing or invalid API key');
+    }
+    return apiKeys.get(key);
+  };
+
+  const parseDomain = (input) => {
+    const domain = DomainValidator.extractDomain(String(input || '').toLowerCase());
+    if (!domain) {
+      throw new HttpError(400, `Invalid domain: ${input}`);
+    }
+    return domain;
+  };
+
+  const parseProfile = (profile) => {
+    if (profile && !scoringService.hasProfile(profile)) {
+      throw new HttpError(400, `Unknown profile: ${profile}`);
+    }
+    return profile || undefined;
+  };
+
+  // API clients share the bot's rate limits and scoring slots, keyed by client name
+  const score = (client, domains, profile) => {
+    const limit = rateLimitService.consume(`api:${client}`, undefined, domains.length);
+    if (!limit.allowed) {
+      throw new HttpError(429, `Rate limit exceeded, retry in ${limit.retryAfterSeconds}s`, {
+        'Retry-After': String(limit.retryAfterSeconds)
+      });
+    }
+
+    const { promise } = scoreQueue.enqueue(`api:${client}`, () => Promise.all(domains.map(async (domain) => {
+      try {
+        return toScoreResponse(await scoringService.calculateDomainScore(domain, { profile }));
+      } catch (error) {
+        return { domain, error: error.message };
+      }
+    })));
+    return promise;
+  };
+
+  server.route('GET', '/v1/openapi.json', async () => openApiDocument);
+
+  server.route('GET', '/v1/score/:domain', async ({ req, params, query }) => {
+    const client = authenticate(req);
+    const domain = parseDomain(params.domain);
+    const profile = parseProfile(query.profile);
+
+    logger.info(`API client ${client} scoring ${domain}`);
+    const [result] = await score(client, [domain], profile);
+    if (result.error) {
+      throw new HttpError(502, result.error);
+    }
+    return result;
+  });
+
+  server.route('POST', '/v1/score', async ({ req, body }) => {
+    const client = authenticate(req);
+    if (!body || !Array.isArray(body.domains) || body.domains.length === 0) {
+      throw new HttpError(400, 'Body must contain a non-empty "domains" array');
+    }
+    if (body.domains.length > config.bot.maxDomainsPerRequest) {
+      throw new HttpError(400, `Too many domains. Maximum ${config.bot.maxDomainsPerRequest} domains per request.`);
+    }
+
+    const domains = body.domains.map(parseDomain);
+    const profile = parseProfile(body.profile);
+
+    logger.info(`API client ${client} scoring ${domains.length} domains`);
+    return { results: await score(client, domains, profile) };
+  });
+
+  server.route('GET', '/v1/domains/:domain/activities', async ({ req, params }) => {
+    authenticate(req);
+    const domain = parseDomain(params.domain);
+    try {
+      return { domain, activities: await domaService.getDomainActivities(domain) };
+    } catch (error) {
+      throw new HttpError(502, error.message);
+    }
+  });
+
+  server.route('GET', '/v1/domains/:domain/listings', async ({ req, params }) => {
+    authenticate(req);
+    const domain = parseDomain(params.domain);
+    try {
+      return { domain, listings: await domaService.getDomainListings(domain) };
+    } catch (error) {
+      throw new HttpError(502, error.message);
+    }
+  });
+}
+
+module.exports = {
+  registerApiRoutes,
+  parseApiKeys
+};
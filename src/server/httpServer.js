@@ -0,0 +1,191 @@
+const http = require('http');
+const logger = require('../utils/logger');
+
+/**
+ * Error with an HTTP status code, thrown by route handlers
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Minimal JSON HTTP server with method/path routing.
+ *
+ * Paths may contain `:name` segments, which are passed to handlers as
+ * params. Handlers receive ({ req, params, query, body }) and return
+ * { status, body } or just a body (sent with status 200).
+ */
+class HttpServer {
+  /**
+   * @param {Object} options - { maxBodyBytes }
+   */
+  constructor(options = {}) {
+    this.maxBodyBytes = options.maxBodyBytes || 1024 * 1024;
+    this.routes = [];
+    this.server = null;
+  }
+
+  /**
+   * Register a route
+   * @param {string} method - HTTP method
+   * @param {string} path - Path pattern, e.g. /v1/score/:domain
+   * @param {Function} handler - Async route handler
+   */
+  route(method, path, handler) {
+    const names = [];
+    const pattern = path
+      .split('/')
+      .map(segment => {
+        if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      })
+      .join('/');
+
+    this.routes.push({ method, names, regex: new RegExp(`^${pattern}$`), handler });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port
+   * @param {string} host - Interface to bind
+   */
+  start(port, host) {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        logger.error('Unhandled HTTP error:', error);
+        this.send(res, 500, { error: 'Internal server error' });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        logger.info(`HTTP server listening on ${host}:${port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections and wait for open ones to finish
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        logger.info('HTTP server stopped');
+        resolve();
+      });
+      this.server = null;
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const pathRoutes = this.routes
+      .map(route => ({ route, match: route.regex.exec(url.pathname) }))
+      .filter(candidate => candidate.match);
+
+    if (pathRoutes.length === 0) {
+      this.send(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const matched = pathRoutes.find(candidate => candidate.route.method === req.method);
+    if (!matched) {
+      this.send(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      const params = {};
+      matched.route.names.forEach((name, index) => {
+        params[name] = HttpServer.decodeParam(matched.match[index + 1]);
+      });
+
+      const body = await this.readBody(req);
+      const result = await matched.route.handler({
+        req,
+        params,
+        query: Object.fromEntries(url.searchParams),
+        body
+      });
+
+      if (result && result.status !== undefined) {
+        this.send(res, result.status, result.body, result.headers);
+      } else {
+        this.send(res, 200, result);
+      }
+    } catch (error) {
+      if (error instanceof HttpError) {
+        this.send(res, error.statusCode, { error: error.message }, error.headers);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  static decodeParam(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      throw new HttpError(400, 'Malformed path parameter');
+    }
+  }
+
+  readBody(req) {
+    if (req.method === 'GET' || req.method === 'HEAD') return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > this.maxBodyBytes) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (chunks.length === 0) {
+          resolve(null);
+          return;
+        }
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(new HttpError(400, 'Invalid JSON body'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, body, headers = {}) {
+    if (res.headersSent) return;
+
+    const payload = body === undefined || body === null ? '' : JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers
+    });
+    res.end(payload);
+  }
+}
+
+module.exports = {
+  HttpServer,
+  HttpError
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { HttpError } = require('./httpServer');
+
+/**
+ * Compare two secrets in constant time
+ */
+function secretsMatch(expected, received) {
+  if (typeof received !== 'string') return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Register the Telegram webhook endpoint
+ * @param {HttpServer} server - HTTP server
+ * @param {TelegramBot} bot - Bot that processes the updates
+ * @param {Object} options - { path, secretToken }
+ */
+function registerWebhookRoutes(server, bot, options) {
+  server.route('POST', options.path, async ({ req, body }) => {
+    if (!secretsMatch(options.secretToken, req.headers['x-telegram-bot-api-secret-token'])) {
+      logger.warn(`Rejected webhook request from ${req.socket.remoteAddress}: bad secret token`);
+      throw new HttpError(401, 'Unauthorized');
+    }
+    if (!body || typeof body.update_id !== 'number') {
+      throw new HttpError(400, 'Invalid update');
+    }
+
+    // Handlers run asynchronously; Telegram only needs to know the update arrived
+    bot.processUpdate(body);
+    return { status: 200, body: { ok: true } };
+  });
+}
+
+module.exports = {
+  registerWebhookRoutes,
+  secretsMatch
+};
@@ -1,13 +1,68 @@
 const logger = require('../utils/logger');
-const DomaService = require('./DomaService');
+const DomaService = require('./domaService');
+const PriceHistoryService = require('./priceHistoryService');
+const MemoryStorage = require('../storage/memoryStorage');
+
+const DEFAULT_PREFERENCES = {
+  priceAlerts: true,
+  expirationAlerts: true,
+  saleAlerts: true,
+  transferAlerts: true,
+  scoreThreshold: 50,
+  priceChangePercent: 10
+};
+
+// Preference that enables each event type
+const EVENT_PREFERENCES = {
+  ACTIVITY: 'transferAlerts',
+  TRANSFER: 'transferAlerts',
+  LISTING: 'saleAlerts',
+  OFFER: 'saleAlerts',
+  SALE: 'saleAlerts',
+  PRICE_CHANGE: 'priceAlerts',
+  EXPIRATION: 'expirationAlerts'
+};
 
 class SubscriptionService {
-  constructor() {
-    this.subscriptions = new Map(); // userId -> { domains: Set, preferences: Object }
+  /**
+   * @param {MemoryStorage} storage - Storage backend for subscriptions
+   * @param {Object} options - { domaService: shared DomaService, cache: Cache for a DomaService of its own }
+   */
+  constructor(storage = new MemoryStorage(), options = {}) {
+    this.storage = storage; // 'subscriptions': userId -> { domains: Array, preferences: Object, domainPreferences: Object }
     this.domainWatchers = new Map(); // domain -> Set of userIds
-    this.domaService = new DomaService();
+    this.domaService = options.domaService || new DomaService({ cache: options.cache });
+    this.priceHistoryService = new PriceHistoryService(storage);
     this.eventCheckInterval = 30000; // Check for events every 30 seconds
+    this.eventCheckConcurrency = 5; // Domains checked at once
     this.isMonitoring = false;
+    this.isPaused = false; // Set by admins; subscribing does not restart monitoring while paused
+    this.notifier = null;
+  }
+
+  /**
+   * Register the notifier that delivers alerts
+   * @param {Object} notifier - Object implementing notify(userId, domain, events)
+   */
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  /**
+   * Rebuild domain watchers from storage and resume monitoring
+   */
+  async init() {
+    this.domainWatchers.clear();
+
+    for (const [userId, userSub] of this.storage.entries('subscriptions')) {
+      userSub.domains.forEach(domain => this.addWatcher(domain, Number(userId)));
+    }
+
+    logger.info(`Loaded ${this.storage.count('subscriptions')} users watching ${this.domainWatchers.size} domains`);
+
+    if (this.domainWatchers.size > 0 && !this.isPaused) {
+      this.startEventMonitoring();
+    }
   }
 
   /**
@@ -19,35 +74,26 @@ class SubscriptionService {
   async subscribe(userId, domain, preferences = {}) {
     try {
       // Initialize user subscription if not exists
-      if (!this.subscriptions.has(userId)) {
-        this.subscriptions.set(userId, {
-          domains: new Set(),
-          preferences: {
-            priceAlerts: true,
-            expirationAlerts: true,
-            saleAlerts: true,
-            transferAlerts: true,
-            scoreThreshold: 50
-          }
-        });
-      }
+      const userSub = this.storage.get('subscriptions', userId) || {
+        domains: [],
+        preferences: { ...DEFAULT_PREFERENCES },
+        domainPreferences: {}
+      };
 
-      const userSub = this.subscriptions.get(userId);
-      
       // Add domain to user's subscriptions
-      userSub.domains.add(domain);
-      
+      if (!userSub.domains.includes(domain)) {
+        userSub.domains.push(domain);
+      }
+
       // Update preferences
       userSub.preferences = { ...userSub.preferences, ...preferences };
+      this.storage.set('subscriptions', userId, userSub);
 
       // Add user to domain watchers
-      if (!this.domainWatchers.has(domain)) {
-        this.domainWatchers.set(domain, new Set());
-      }
-      this.domainWatchers.get(domain).add(userId);
+      this.addWatcher(domain, userId);
 
       // Start monitoring if not already running
-      if (!this.isMonitoring) {
+      if (!this.isMonitoring && !this.isPaused) {
         this.startEventMonitoring();
       }
 
@@ -67,28 +113,22 @@ class SubscriptionService {
    */
   async unsubscribe(userId, domain) {
     try {
-      if (!this.subscriptions.has(userId)) {
+      const userSub = this.storage.get('subscriptions', userId);
+      if (!userSub) {
         return { success: false, message: 'No active subscriptions found' };
       }
 
-      const userSub = this.subscriptions.get(userId);
-      
-      if (!userSub.domains.has(domain)) {
+      if (!userSub.domains.includes(domain)) {
         return { success: false, message: `Not subscribed to ${domain}` };
       }
 
       // Remove domain from user's subscriptions
-      userSub.domains.delete(domain);
+      userSub.domains = userSub.domains.filter(d => d !== domain);
+      delete userSub.domainPreferences[domain];
+      this.storage.set('subscriptions', userId, userSub);
 
       // Remove user from domain watchers
-      if (this.domainWatchers.has(domain)) {
-        this.domainWatchers.get(domain).delete(userId);
-        
-        // Clean up empty domain watchers
-        if (this.domainWatchers.get(domain).size === 0) {
-          this.domainWatchers.delete(domain);
-        }
-      }
+      this.removeWatcher(domain, userId);
 
       logger.info(`User ${userId} unsubscribed from domain ${domain}`);
       return { success: true, message: `Successfully unsubscribed from ${domain}` };
@@ -99,19 +139,55 @@ class SubscriptionService {
     }
   }
 
+  /**
+   * Remove every subscription of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {number} Number of domains the user was unsubscribed from
+   */
+  unsubscribeAll(userId) {
+    const userSub = this.storage.get('subscriptions', userId);
+    if (!userSub) return 0;
+
+    userSub.domains.forEach(domain => this.removeWatcher(domain, userId));
+    this.storage.delete('subscriptions', userId);
+
+    logger.info(`User ${userId} unsubscribed from all ${userSub.domains.length} domains`);
+    return userSub.domains.length;
+  }
+
   /**
    * Get user's active subscriptions
    * @param {number} userId - Telegram user ID
    */
   getUserSubscriptions(userId) {
-    if (!this.subscriptions.has(userId)) {
-      return { domains: [], preferences: {} };
+    const userSub = this.storage.get('subscriptions', userId);
+    if (!userSub) {
+      return { domains: [], preferences: {}, domainPreferences: {} };
     }
 
-    const userSub = this.subscriptions.get(userId);
     return {
-      domains: Array.from(userSub.domains),
-      preferences: userSub.preferences
+      domains: [...userSub.domains],
+      preferences: { ...userSub.preferences },
+      domainPreferences: JSON.parse(JSON.stringify(userSub.domainPreferences))
+    };
+  }
+
+  /**
+   * Get the preferences that apply to one of the user's domains
+   * @param {number} userId - Telegram user ID
+   * @param {string} domain - Domain name
+   * @returns {Object} Global preferences merged with the domain's overrides
+   */
+  getEffectivePreferences(userId, domain) {
+    const userSub = this.storage.get('subscriptions', userId);
+    if (!userSub) {
+      return { ...DEFAULT_PREFERENCES };
+    }
+
+    return {
+      ...DEFAULT_PREFERENCES,
+      ...userSub.preferences,
+      ...(userSub.domainPreferences[domain] || {})
     };
   }
 
@@ -119,19 +195,96 @@ class SubscriptionService {
    * Update user preferences
    * @param {number} userId - Telegram user ID
    * @param {Object} preferences - New preferences
+   * @param {string} [domain] - Only override preferences for this domain
    */
-  updatePreferences(userId, preferences) {
-    if (!this.subscriptions.has(userId)) {
+  updatePreferences(userId, preferences, domain) {
+    const userSub = this.storage.get('subscriptions', userId);
+    if (!userSub) {
       return { success: false, message: 'No active subscriptions found' };
     }
 
-    const userSub = this.subscriptions.get(userId);
-    userSub.preferences = { ...userSub.preferences, ...preferences };
+    if (domain) {
+      if (!userSub.domains.includes(domain)) {
+        return { success: false, message: `Not subscribed to ${domain}` };
+      }
+      userSub.domainPreferences[domain] = { ...userSub.domainPreferences[domain], ...preferences };
+    } else {
+      userSub.preferences = { ...userSub.preferences, ...preferences };
+    }
+    this.storage.set('subscriptions', userId, userSub);
     
-    logger.info(`Updated preferences for user ${userId}`);
+    logger.info(`Updated preferences for user ${userId}${domain ? ` on ${domain}` : ''}`);
     return { success: true, message: 'Preferences updated successfully' };
   }
 
+  /**
+   * Drop a domain's overrides so it follows the global preferences again
+   * @param {number} userId - Telegram user ID
+   * @param {string} domain - Domain name
+   */
+  resetDomainPreferences(userId, domain) {
+    const userSub = this.storage.get('subscriptions', userId);
+    if (!userSub || !userSub.domainPreferences[domain]) {
+      return { success: false, message: `No custom settings for ${domain}` };
+    }
+
+    delete userSub.domainPreferences[domain];
+    this.storage.set('subscriptions', userId, userSub);
+
+    logger.info(`Reset preferences for user ${userId} on ${domain}`);
+    return { success: true, message: `${domain} now uses your global settings` };
+  }
+
+  /**
+   * Keep only the events a user wants for a domain
+   * @param {number} userId - Telegram user ID
+   * @param {string} domain - Domain name
+   * @param {Array} events - Detected events
+   * @returns {Array} Events enabled by the user's preferences
+   */
+  filterEventsForUser(userId, domain, events) {
+    const preferences = this.getEffectivePreferences(userId, domain);
+
+    return events.filter(event => {
+      const preference = EVENT_PREFERENCES[event.type];
+      if (preference && preferences[preference] === false) return false;
+
+      // Price moves smaller than the user's minimum are not worth an alert
+      const changePercent = event.data && event.data.changePercent;
+      return changePercent === undefined || changePercent >= preferences.priceChangePercent;
+    });
+  }
+
+  /**
+   * Add user to a domain's watchers
+   */
+  addWatcher(domain, userId) {
+    if (!this.domainWatchers.has(domain)) {
+      this.domainWatchers.set(domain, new Set());
+    }
+    this.domainWatchers.get(domain).add(userId);
+  }
+
+  /**
+   * Remove user from a domain's watchers
+   */
+  removeWatcher(domain, userId) {
+    if (this.domainWatchers.has(domain)) {
+      this.domainWatchers.get(domain).delete(userId);
+      
+      // Clean up empty domain watchers, forgetting their watermarks, score
+      // snapshots and sent expiration milestones so a later subscription does
+      // not replay what happened in between. The price series is kept for
+      // /price; without watermarks the next check does not compare against it.
+      if (this.domainWatchers.get(domain).size === 0) {
+        this.domainWatchers.delete(domain);
+        this.storage.delete('watermarks', domain);
+        this.storage.delete('scoreSnapshots', domain);
+        this.storage.delete('expirationMilestones', domain);
+      }
+    }
+  }
+
   /**
    * Start monitoring for domain events
    */
@@ -158,13 +311,35 @@ class SubscriptionService {
     logger.info('Stopped domain event monitoring');
   }
 
+  /**
+   * Pause event monitoring until resumeMonitoring() is called
+   */
+  pauseMonitoring() {
+    this.isPaused = true;
+    this.stopEventMonitoring();
+  }
+
+  /**
+   * Resume event monitoring after pauseMonitoring()
+   */
+  resumeMonitoring() {
+    this.isPaused = false;
+    if (this.domainWatchers.size > 0) {
+      this.startEventMonitoring();
+    }
+  }
+
   /**
    * Check for domain events and send alerts
    */
   async checkForEvents() {
     try {
-      for (const [domain, userIds] of this.domainWatchers) {
-        await this.checkDomainEvents(domain, userIds);
+      // Domains are checked a chunk at a time so their lookups share batched requests
+      const watched = [...this.domainWatchers];
+      for (let i = 0; i < watched.length; i += this.eventCheckConcurrency) {
+        await Promise.all(watched
+          .slice(i, i + this.eventCheckConcurrency)
+          .map(([domain, userIds]) => this.checkDomainEvents(domain, userIds)));
       }
     } catch (error) {
       logger.error('Error checking for events:', error);
@@ -178,29 +353,56 @@ class SubscriptionService {
    */
   async checkDomainEvents(domain, userIds) {
     try {
-      // Get domain data from Doma API
-      const domainData = await this.domaService.getDomainData(domain);
-      const activities = await this.domaService.getDomainActivities(domain);
-      const listings = await this.domaService.getDomainListings(domain);
-      const offers = await this.domaService.getDomainOffers(domain);
-
-      // Check for new events (simplified for now)
+      // Get fresh domain data from Doma API; the results refresh the cache for /score
+      const fresh = { skipCache: true };
+      const [domainData, activities, listings] = await Promise.all([
+        this.domaService.getDomainData(domain, fresh),
+        this.domaService.getDomainActivities(domain, fresh),
+        this.domaService.getDomainListings(domain, fresh)
+      ]);
+      const offers = await this.domaService.getDomainOffers(domain, domainData, fresh);
+
+      // Check for events newer than the stored watermarks
+      const isFirstCheck = !this.storage.get('watermarks', domain);
       const newEvents = this.detectNewEvents(domain, domainData, activities, listings, offers);
-      
-      if (newEvents.length > 0) {
-        // Send alerts to all subscribed users
-        for (const userId of userIds) {
-          await this.sendEventAlert(userId, domain, newEvents);
-        }
+
+      // Check for price moves since the last recorded price point; the first
+      // check after the domain gained watchers only records the current prices
+      const { previous, current } = this.priceHistoryService.record(domain, listings, offers);
+      if (!isFirstCheck) {
+        newEvents.push(...this.priceHistoryService.detectPriceEvents(previous, current));
       }
+      
+      await this.dispatchEvents(domain, newEvents, userIds);
 
     } catch (error) {
       logger.error(`Error checking events for domain ${domain}:`, error);
     }
   }
 
+  /**
+   * Send events to every watcher of a domain that wants them
+   * @param {string} domain - Domain name
+   * @param {Array} events - Detected events
+   * @param {Set} [userIds] - Users to notify, defaults to the domain's watchers
+   */
+  async dispatchEvents(domain, events, userIds = this.domainWatchers.get(domain)) {
+    if (events.length === 0 || !userIds) return;
+
+    for (const userId of userIds) {
+      const userEvents = this.filterEventsForUser(userId, domain, events);
+      if (userEvents.length > 0) {
+        await this.sendEventAlert(userId, domain, userEvents);
+      }
+    }
+  }
+
   /**
    * Detect new events for a domain
+   *
+   * Events are compared against the domain's stored watermarks. The first
+   * check after a domain gains watchers only records the watermarks, so
+   * existing history is never reported as new.
    * @param {string} domain - Domain name
    * @param {Object} domainData - Current domain data
    * @param {Array} activities - Domain activities
@@ -209,71 +411,110 @@ class SubscriptionService {
    */
   detectNewEvents(domain, domainData, activities, listings, offers) {
     const events = [];
+    const watermarks = this.storage.get('watermarks', domain);
 
-    // Check for new activities
-    if (activities && activities.length > 0) {
-      const latestActivity = activities[0];
-      if (this.isNewActivity(domain, latestActivity)) {
-        events.push({
-          type: 'ACTIVITY',
-          message: `New activity detected: ${latestActivity.type}`,
-          data: latestActivity
-        });
-      }
+    const nextWatermarks = {
+      activity: this.advanceWatermark(watermarks?.activity, activities),
+      listing: this.advanceWatermark(watermarks?.listing, listings),
+      offer: this.advanceWatermark(watermarks?.offer, offers)
+    };
+    if (JSON.stringify(nextWatermarks) !== JSON.stringify(watermarks)) {
+      this.storage.set('watermarks', domain, nextWatermarks);
     }
 
-    // Check for new listings
-    if (listings && listings.length > 0) {
-      const latestListing = listings[0];
-      if (this.isNewListing(domain, latestListing)) {
-        events.push({
-          type: 'LISTING',
-          message: `New listing: ${latestListing.price} ETH ($${latestListing.priceInUSD})`,
-          data: latestListing
-        });
-      }
+    if (!watermarks) {
+      logger.info(`Recorded initial event watermarks for ${domain}`);
+      return events;
     }
 
+    // Check for new activities
+    this.getNewItems(watermarks.activity, activities).forEach(activity => {
+      events.push({
+        type: this.getActivityEventType(activity),
+        message: `New activity detected: ${activity.type}`,
+        data: activity
+      });
+    });
+
+    // Check for new listings
+    this.getNewItems(watermarks.listing, listings).forEach(listing => {
+      events.push({
+        type: 'LISTING',
+        message: `New listing: ${listing.price} ${listing.currency || 'ETH'} ($${listing.priceInUSD})`,
+        data: listing
+      });
+    });
+
     // Check for new offers
-    if (offers && offers.length > 0) {
-      const latestOffer = offers[0];
-      if (this.isNewOffer(domain, latestOffer)) {
-        events.push({
-          type: 'OFFER',
-          message: `New offer: ${latestOffer.price} ETH ($${latestOffer.priceInUSD})`,
-          data: latestOffer
-        });
-      }
-    }
+    this.getNewItems(watermarks.offer, offers).forEach(offer => {
+      events.push({
+        type: 'OFFER',
+        message: `New offer: ${offer.price} ${offer.currency || 'ETH'} ($${offer.priceInUSD})`,
+        data: offer
+      });
+    });
 
     return events;
   }
 
   /**
-   * Check if activity is new (simplified)
+   * Map a Doma activity type to an alert event type
    */
-  isNewActivity(domain, activity) {
-    // In a real implementation, you'd check against stored timestamps
-    // For now, we'll assume all activities are new
-    return true;
+  getActivityEventType(activity) {
+    const type = (activity.type || '').toUpperCase();
+    if (type.includes('TRANSFER')) return 'TRANSFER';
+    if (type.includes('PURCHASE') || type.includes('SOLD') || type.includes('SALE')) return 'SALE';
+    return 'ACTIVITY';
   }
 
   /**
-   * Check if listing is new (simplified)
+   * Check whether an item is newer than a watermark
+   * @param {Object} watermark - { timestamp, ids } of the latest seen items
+   * @param {Object} item - Activity, listing or offer with id and timestamp
    */
-  isNewListing(domain, listing) {
-    // In a real implementation, you'd check against stored timestamps
-    // For now, we'll assume all listings are new
-    return true;
+  isNewItem(watermark, item) {
+    const itemTime = Date.parse(item.timestamp) || 0;
+    const watermarkTime = Date.parse(watermark.timestamp) || 0;
+
+    if (itemTime !== watermarkTime) {
+      return itemTime > watermarkTime;
+    }
+    return !watermark.ids.includes(item.id);
   }
 
   /**
-   * Check if offer is new (simplified)
+   * Get items newer than a watermark, oldest first
    */
-  isNewOffer(domain, offer) {
-    // In a real implementation, you'd check against stored timestamps
-    // For now, we'll assume all offers are new
-    return true;
+  getNewItems(watermark, items) {
+    if (!items || items.length === 0) return [];
+    if (!watermark) return [...items];
+
+    return items
+      .filter(item => this.isNewItem(watermark, item))
+      .sort((a, b) => (Date.parse(a.timestamp) || 0) - (Date.parse(b.timestamp) || 0));
+  }
+
+  /**
+   * Move a watermark forward to the latest of the given items
+   * @param {Object} watermark - Current watermark or undefined
+   * @param {Array} items - Items seen in this check
+   * @returns {Object} { timestamp, ids } where ids are the items seen at timestamp
+   */
+  advanceWatermark(watermark, items) {
+    let next = watermark ? { timestamp: watermark.timestamp, ids: [...watermark.ids] } : { timestamp: null, ids: [] };
+
+    (items || []).forEach(item => {
+      const itemTime = Date.parse(item.timestamp) || 0;
+      const nextTime = Date.parse(next.timestamp) || 0;
+
+      if (next.timestamp === null || itemTime > nextTime) {
+        next = { timestamp: item.timestamp || null, ids: [item.id] };
+      } else if (itemTime === nextTime && !next.ids.includes(item.id)) {
+        next.ids.push(item.id);
+      }
+    });
+
+    return next;
   }
 
   /**
@@ -283,21 +524,43 @@ class SubscriptionService {
    * @param {Array} events - Events to alert about
    */
   async sendEventAlert(userId, domain, events) {
-    // This will be implemented in the main bot file
-    // For now, just log the alert
-    logger.info(`Alert for user ${userId} on domain ${domain}:`, events);
+    if (!this.notifier) {
+      logger.warn(`No notifier registered, dropping alert for user ${userId} on domain ${domain}`);
+      return;
+    }
+
+    try {
+      await this.notifier.notify(userId, domain, events);
+    } catch (error) {
+      logger.error(`Error sending event alert to user ${userId}:`, error);
+    }
   }
 
   /**
    * Get subscription statistics
    */
   getStats() {
+    let totalSubscriptions = 0;
+    this.domainWatchers.forEach(userIds => { totalSubscriptions += userIds.size; });
+
     return {
-      totalUsers: this.subscriptions.size,
+      totalUsers: this.storage.count('subscriptions'),
       totalDomains: this.domainWatchers.size,
-      isMonitoring: this.isMonitoring
+      totalSubscriptions,
+      isMonitoring: this.isMonitoring,
+      isPaused: this.isPaused
     };
   }
+
+  /**
+   * Count the subscribers of every watched domain
+   * @returns {Array<{domain: string, users: number}>} Domains, most watched first
+   */
+  getDomainCounts() {
+    return [...this.domainWatchers]
+      .map(([domain, userIds]) => ({ domain, users: userIds.size }))
+      .sort((a, b) => b.users - a.users || a.domain.localeCompare(b.domain));
+  }
 }
 
 module.exports = SubscriptionService;
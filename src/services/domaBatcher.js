@@ -0,0 +1,144 @@
+const { parse, print, visit, Kind } = require('graphql');
+
+const parsedOperations = new Map(); // document -> OperationDefinition
+
+function getOperationDefinition(document) {
+  if (!parsedOperations.has(document)) {
+    const definition = parse(document).definitions.find(def => def.kind === Kind.OPERATION_DEFINITION);
+    parsedOperations.set(document, definition);
+  }
+  return parsedOperations.get(document);
+}
+
+/**
+ * Merge several GraphQL queries into one aliased query.
+ *
+ * Variables of the i-th query are renamed `$name_i` and its top-level fields
+ * aliased `op<i>_<field>`, so queries for different domains, and even
+ * different operations, can travel in one HTTP request.
+ * @param {Array<{document: string, variables: Object}>} operations - Queries to merge
+ * @returns {{document: string, variables: Object, split: Function}} Merged query, and
+ *   split(data, errors) returning one { data } or { error } per input query
+ */
+function mergeOperations(operations) {
+  const variableDefinitions = [];
+  const selections = [];
+  const variables = {};
+  const aliases = []; // per operation: [alias, field] pairs
+
+  operations.forEach((operation, index) => {
+    const suffix = `_${index}`;
+    const definition = visit(getOperationDefinition(operation.document), {
+      Variable: node => ({ ...node, name: { ...node.name, value: node.name.value + suffix } })
+    });
+
+    variableDefinitions.push(...definition.variableDefinitions);
+    aliases[index] = definition.selectionSet.selections.map(selection => {
+      const field = (selection.alias || selection.name).value;
+      const alias = `op${index}_${field}`;
+      selections.push({ ...selection, alias: { kind: Kind.NAME, value: alias } });
+      return [alias, field];
+    });
+    Object.entries(operation.variables || {}).forEach(([name, value]) => {
+      variables[name + suffix] = value;
+    });
+  });
+
+  const document = print({
+    kind: Kind.DOCUMENT,
+    definitions: [{
+      kind: Kind.OPERATION_DEFINITION,
+      operation: 'query',
+      name: { kind: Kind.NAME, value: 'DomaBatch' },
+      variableDefinitions,
+      directives: [],
+      selectionSet: { kind: Kind.SELECTION_SET, selections }
+    }]
+  });
+
+  const split = (data, errors = []) => aliases.map(pairs => {
+    const own = errors.filter(error => pairs.some(([alias]) => error.path && error.path[0] === alias));
+    if (own.length > 0 || !data) {
+      const messages = (own.length > 0 ? own : errors).map(error => error.message);
+      return { error: new Error(messages.join('; ') || 'Empty batched response') };
+    }
+
+    const result = {};
+    pairs.forEach(([alias, field]) => { result[field] = data[alias]; });
+    return { data: result };
+  });
+
+  return { document, variables, split };
+}
+
+/**
+ * Collects GraphQL queries issued within a short window and sends them
+ * together.
+ *
+ * Scoring several domains fires the same handful of lookups per domain at
+ * once; batching them turns N×5 HTTP requests into a few, which is what
+ * counts against the Doma API quota.
+ */
+class DomaBatcher {
+  /**
+   * @param {Function} send - Async (operations) => Array of { data } or { error }, one per operation
+   * @param {Object} options - { windowMs, maxOperations }
+   */
+  constructor(send, options = {}) {
+    this.send = send;
+    this.windowMs = options.windowMs !== undefined ? options.windowMs : 10;
+    this.maxOperations = options.maxOperations || 20;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Queue a query for the next batch
+   * @param {string} document - GraphQL document
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} Response data of this query
+   */
+  load(document, variables) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ document, variables, resolve, reject });
+
+      if (this.queue.length >= this.maxOperations) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.windowMs);
+      }
+    });
+  }
+
+  /**
+   * Send every queued query now
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length > 0) {
+      this.dispatch(this.queue.splice(0, this.maxOperations));
+    }
+  }
+
+  async dispatch(operations) {
+    try {
+      const results = await this.send(operations);
+      results.forEach((result, index) => {
+        if (result.error) {
+          operations[index].reject(result.error);
+        } else {
+          operations[index].resolve(result.data);
+        }
+      });
+    } catch (error) {
+      operations.forEach(operation => operation.reject(error));
+    }
+  }
+}
+
+module.exports = {
+  DomaBatcher,
+  mergeOperations
+};
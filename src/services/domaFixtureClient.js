@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Offline stand-in for the Doma GraphQL client.
+ *
+ * Fixtures live in one JSON file per GraphQL operation (e.g. `GetName.json`),
+ * holding a list of recorded responses:
+ *
+ *   [
+ *     { "variables": { "name": "example.com" }, "data": { ... } },
+ *     { "data": { ... } }
+ *   ]
+ *
+ * The first entry whose variables all match the request wins; an entry
+ * without variables acts as the fallback. Paginated connections recorded
+ * without `skip`/`take` are sliced so paging behaves like the live API.
+ * JSON-RPC responses are read from `rpc.json`, keyed by method name.
+ */
+class DomaFixtureClient {
+  /**
+   * @param {string} fixturesDir - Directory holding the fixture files
+   */
+  constructor(fixturesDir) {
+    this.fixturesDir = fixturesDir;
+    this.fixtures = new Map();
+  }
+
+  /**
+   * Serve a GraphQL request from disk
+   * @param {string} document - GraphQL document
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} Recorded response data
+   */
+  async request(document, variables = {}) {
+    const operation = DomaFixtureClient.getOperationName(document);
+    const entries = this.loadFixture(operation);
+    const entry = entries.find(candidate => this.matches(candidate.variables, variables));
+
+    if (!entry) {
+      throw new Error(`No Doma fixture for ${operation} with variables ${JSON.stringify(variables)}`);
+    }
+
+    logger.debug(`Serving Doma fixture for ${operation}`);
+
+    const paged = entry.variables && entry.variables.skip !== undefined;
+    return paged ? entry.data : this.paginate(entry.data, variables);
+  }
+
+  /**
+   * Serve a JSON-RPC call from disk
+   * @param {string} method - RPC method name
+   * @returns {Promise<*>} Recorded result
+   */
+  async rpc(method) {
+    const results = this.loadFixture('rpc');
+    if (!(method in results)) {
+      throw new Error(`No Doma RPC fixture for ${method}`);
+    }
+    return results[method];
+  }
+
+  /**
+   * Append a live response to the operation's fixture file
+   * @param {string} document - GraphQL document
+   * @param {Object} variables - Query variables
+   * @param {Object} data - Response data
+   */
+  record(document, variables, data) {
+    const operation = DomaFixtureClient.getOperationName(document);
+    const filePath = this.getFixturePath(operation);
+    const entries = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+
+    const existing = entries.findIndex(entry =>
+      JSON.stringify(entry.variables || {}) === JSON.stringify(variables || {})
+    );
+    if (existing >= 0) {
+      entries[existing] = { variables, data };
+    } else {
+      entries.unshift({ variables, data });
+    }
+
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(entries, null, 2)}\n`);
+    this.fixtures.delete(operation);
+    logger.debug(`Recorded Doma fixture for ${operation}`);
+  }
+
+  loadFixture(name) {
+    if (!this.fixtures.has(name)) {
+      const filePath = this.getFixturePath(name);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Doma fixture file not found: ${filePath}`);
+      }
+      this.fixtures.set(name, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+    return this.fixtures.get(name);
+  }
+
+  getFixturePath(name) {
+    return path.join(this.fixturesDir, `${name}.json`);
+  }
+
+  /**
+   * Check whether recorded variables are a subset of the request variables
+   */
+  matches(recorded, requested) {
+    if (!recorded) return true;
+    return Object.keys(recorded).every(key =>
+      JSON.stringify(recorded[key]) === JSON.stringify(requested[key])
+    );
+  }
+
+  /**
+   * Slice paginated connections according to skip/take
+   */
+  paginate(data, variables) {
+    if (variables.take === undefined || !data) return data;
+
+    const skip = variables.skip || 0;
+    const take = variables.take;
+    const result = {};
+
+    Object.keys(data).forEach(field => {
+      const connection = data[field];
+      if (!connection || !Array.isArray(connection.items)) {
+        result[field] = connection;
+        return;
+      }
+
+      result[field] = {
+        ...connection,
+        items: connection.items.slice(skip, skip + take),
+        totalCount: connection.items.length,
+        pageSize: take,
+        currentPage: Math.floor(skip / take) + 1,
+        hasNextPage: skip + take < connection.items.length
+      };
+    });
+
+    return result;
+  }
+
+  /**
+   * Extract the operation name from a GraphQL document
+   * @param {string} document - GraphQL document
+   * @returns {string} Operation name
+   */
+  static getOperationName(document) {
+    const match = /(?:query|mutation)\s+(\w+)/.exec(document);
+    if (!match) {
+      throw new Error('Doma fixtures require named GraphQL operations');
+    }
+    return match[1];
+  }
+}
+
+module.exports = DomaFixtureClient;
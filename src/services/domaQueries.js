@@ -0,0 +1,230 @@
+const { gql } = require('graphql-request');
+
+/**
+ * GraphQL documents for the Doma subgraph.
+ *
+ * Every list query uses the subgraph's `skip`/`take` paging and returns a
+ * paginated connection, see {@link DomaPage}.
+ */
+
+/**
+ * @typedef {Object} DomaPage
+ * @property {Array<Object>} items - Items of the current page
+ * @property {number} totalCount - Total number of items
+ * @property {number} pageSize - Page size used by the server
+ * @property {number} currentPage - Current page (1-based)
+ * @property {boolean} hasNextPage - Whether another page is available
+ */
+
+/**
+ * @typedef {Object} DomaCurrency
+ * @property {string} symbol - Currency symbol (e.g. ETH, USDC)
+ * @property {number} decimals - Number of decimals of the raw amount
+ * @property {number} usdExchangeRate - Price of one unit in USD
+ */
+
+/**
+ * @typedef {Object} DomaName
+ * @property {string} name - Fully qualified domain name
+ * @property {string} expiresAt - Registration expiry (ISO 8601)
+ * @property {string|null} tokenizedAt - Tokenization date (ISO 8601)
+ * @property {boolean} eoi - Expression of interest flag
+ * @property {{name: string, ianaId: string}} registrar - Registrar details
+ * @property {Array<{ldhName: string}>} nameservers - Nameservers
+ * @property {Array<Object>} dsKeys - DNSSEC DS records
+ * @property {boolean} transferLock - Whether transfers are locked
+ * @property {string|null} claimedBy - Address that claimed the name
+ * @property {boolean} isFractionalized - Whether the name is fractionalized
+ * @property {Object|null} fractionalTokenInfo - Fractional token details
+ * @property {Array<{tokenId: string, networkId: string, ownerAddress: string}>} tokens - Ownership tokens
+ */
+
+/**
+ * @typedef {Object} DomaActivity
+ * @property {string} type - Activity type (CLAIMED, RENEWED, TOKENIZED, ...)
+ * @property {string} txHash - Transaction hash
+ * @property {string} createdAt - Activity date (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} DomaOrder
+ * @property {string} id - Order ID
+ * @property {string} externalId - Orderbook order ID
+ * @property {string} price - Raw price in the currency's smallest unit
+ * @property {DomaCurrency} currency - Order currency
+ * @property {string} offererAddress - Address that created the order
+ * @property {string} orderbook - Orderbook the order lives on
+ * @property {string} expiresAt - Order expiry (ISO 8601)
+ * @property {string} createdAt - Order creation date (ISO 8601)
+ */
+
+const CURRENCY_FIELDS = `
+  currency {
+    symbol
+    decimals
+    usdExchangeRate
+  }
+`;
+
+const PAGE_FIELDS = `
+  totalCount
+  pageSize
+  currentPage
+  hasNextPage
+`;
+
+const GET_NAME = gql`
+  query GetName($name: String!) {
+    name(name: $name) {
+      name
+      expiresAt
+      tokenizedAt
+      eoi
+      registrar {
+        name
+        ianaId
+      }
+      nameservers {
+        ldhName
+      }
+      dsKeys {
+        keyTag
+        algorithm
+        digestType
+        digest
+      }
+      transferLock
+      claimedBy
+      isFractionalized
+      fractionalTokenInfo {
+        address
+        fractionalizedAt
+      }
+      tokens {
+        tokenId
+        networkId
+        ownerAddress
+        expiresAt
+      }
+    }
+  }
+`;
+
+const GET_NAME_ACTIVITIES = gql`
+  query GetNameActivities($name: String!, $skip: Int, $take: Int) {
+    nameActivities(name: $name, skip: $skip, take: $take, sortOrder: DESC) {
+      items {
+        ... on NameClaimedActivity {
+          type
+          txHash
+          createdAt
+        }
+        ... on NameRenewedActivity {
+          type
+          txHash
+          createdAt
+        }
+        ... on NameTokenizedActivity {
+          type
+          txHash
+          createdAt
+        }
+        ... on NameDetokenizedActivity {
+          type
+          txHash
+          createdAt
+        }
+      }
+      ${PAGE_FIELDS}
+    }
+  }
+`;
+
+const GET_LISTINGS = gql`
+  query GetListings($sld: String!, $tlds: [String!], $skip: Int, $take: Int) {
+    listings(sld: $sld, tlds: $tlds, skip: $skip, take: $take) {
+      items {
+        id
+        externalId
+        price
+        offererAddress
+        orderbook
+        expiresAt
+        createdAt
+        name
+        tokenId
+        ${CURRENCY_FIELDS}
+      }
+      ${PAGE_FIELDS}
+    }
+  }
+`;
+
+const GET_OFFERS = gql`
+  query GetOffers($tokenId: String!, $skip: Int, $take: Int) {
+    offers(tokenId: $tokenId, skip: $skip, take: $take, status: ACTIVE, sortOrder: DESC) {
+      items {
+        id
+        externalId
+        price
+        offererAddress
+        orderbook
+        expiresAt
+        createdAt
+        name
+        tokenId
+        ${CURRENCY_FIELDS}
+      }
+      ${PAGE_FIELDS}
+    }
+  }
+`;
+
+const SEARCH_NAMES = gql`
+  query SearchNames($name: String!, $skip: Int, $take: Int) {
+    names(name: $name, skip: $skip, take: $take) {
+      items {
+        name
+        tokenizedAt
+        expiresAt
+      }
+      ${PAGE_FIELDS}
+    }
+  }
+`;
+
+const GET_NAME_STATISTICS = gql`
+  query GetNameStatistics($tokenId: String!) {
+    nameStatistics(tokenId: $tokenId) {
+      name
+      activeOffers
+      offersLast3Days
+      highestOffer {
+        price
+        ${CURRENCY_FIELDS}
+      }
+    }
+  }
+`;
+
+const GET_CHAIN_STATISTICS = gql`
+  query GetChainStatistics {
+    chainStatistics {
+      totalNames
+      totalTokenizedNames
+      totalTransactions
+      totalWallets
+      totalRevenueUsd
+    }
+  }
+`;
+
+module.exports = {
+  GET_NAME,
+  GET_NAME_ACTIVITIES,
+  GET_LISTINGS,
+  GET_OFFERS,
+  SEARCH_NAMES,
+  GET_NAME_STATISTICS,
+  GET_CHAIN_STATISTICS
+};
@@ -2,177 +2,194 @@ const axios = require('axios');
 const { GraphQLClient } = require('graphql-request');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const DomaFixtureClient = require('./domaFixtureClient');
+const queries = require('./domaQueries');
+const { DomaBatcher, mergeOperations } = require('./domaBatcher');
+const { getUpstream, UpstreamError } = require('./upstreamClient');
+const { parseDomain } = require('../utils/domainParser');
 
 class DomaService {
-  constructor() {
-    this.graphqlClient = new GraphQLClient(config.doma.graphqlEndpoint, {
-      headers: {
-        'Content-Type': 'application/json',
-        // Add API key header if available
-        // 'Authorization': `Bearer ${config.doma.apiKey}`,
-        // 'X-API-Key': config.doma.apiKey,
-      }
-    });
+  /**
+   * @param {Object} options - { cache: Cache shared with other services }
+   */
+  constructor(options = {}) {
+    this.cache = options.cache || null;
+
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (config.doma.apiKey) {
+      headers['Api-Key'] = config.doma.apiKey;
+    }
+
+    this.graphqlClient = new GraphQLClient(config.doma.graphqlEndpoint, { headers });
     this.apiClient = axios.create({
       baseURL: config.doma.apiEndpoint,
       timeout: 10000
     });
+    this.rpcClient = axios.create({
+      baseURL: config.doma.rpcEndpoint
+    });
+
+    // Timeouts, retries and circuit breaking of live requests
+    this.graphqlUpstream = getUpstream('doma-graphql');
+    this.rpcUpstream = getUpstream('doma-rpc');
+
+    // Identical requests in flight share one promise; the rest are batched
+    this.inFlight = new Map(); // operation + variables -> Promise
+    this.batcher = new DomaBatcher(operations => this.sendBatch(operations), {
+      windowMs: config.doma.batchWindowMs,
+      maxOperations: config.doma.batchMaxOperations
+    });
+
+    this.useFixtures = config.doma.dataSource === 'fixtures';
+    if (this.useFixtures || config.doma.recordFixtures) {
+      this.fixtureClient = new DomaFixtureClient(config.doma.fixturesDir);
+    }
+    if (this.useFixtures) {
+      logger.info(`Doma data source: fixtures (${config.doma.fixturesDir})`);
+    }
   }
 
   /**
    * Fetch domain information from Doma subgraph
    * @param {string} domain - Domain name to query
-   * @returns {Promise<Object>} Domain data
+   * @param {Object} [options] - { skipCache }
+   * @returns {Promise<Object|null>} Domain data or null if the name is unknown to Doma
    */
-  async getDomainData(domain) {
+  async getDomainData(domain, options = {}) {
     try {
-      // For now, return mock data since API requires authentication
-      // In production, you would need to get an API key from Doma
-      logger.info(`Fetching domain data for: ${domain} (using mock data)`);
-      
-      return {
-        name: domain,
-        expiresAt: new Date().toISOString(),
-        tokenizedAt: null,
-        eoi: false,
-        registrar: 'Mock Registrar',
-        nameservers: [],
-        dsKeys: [],
-        transferLock: false,
-        claimedBy: null,
-        tokens: [],
-        activities: [],
-        isFractionalized: false,
-        fractionalTokenInfo: null
-      };
+      return await this.cached('domainData', `name:${domain}`, options, async () => {
+        logger.info(`Fetching domain data for: ${domain}`);
+        const data = await this.request(queries.GET_NAME, { name: domain });
+        return data.name ? this.normalizeName(data.name) : null;
+      });
     } catch (error) {
       logger.error(`Error fetching domain data for ${domain}:`, error);
-      throw new Error(`Failed to fetch domain data: ${error.message}`);
+      throw this.wrapError('Failed to fetch domain data', error);
     }
   }
 
   /**
    * Get domain activities and transactions
    * @param {string} domain - Domain name
-   * @returns {Promise<Array>} Domain activities
+   * @param {Object} [options] - { skipCache }
+   * @returns {Promise<Array>} Domain activities, newest first
    */
-  async getDomainActivities(domain) {
+  async getDomainActivities(domain, options = {}) {
     try {
-      logger.info(`Fetching domain activities for: ${domain} (using mock data)`);
-      
-      // Mock activities data
-      return [
-        {
-          id: `activity_${domain}_1`,
-          blockNumber: 12345,
-          transactionHash: '0x1234567890abcdef',
-          type: 'REGISTRATION',
-          timestamp: new Date().toISOString()
-        },
-        {
-          id: `activity_${domain}_2`,
-          blockNumber: 12346,
-          transactionHash: '0xabcdef1234567890',
-          type: 'TRANSFER',
-          timestamp: new Date().toISOString()
-        }
-      ];
+      return await this.cached('activities', domain, options, async () => {
+        logger.info(`Fetching domain activities for: ${domain}`);
+        const items = await this.paginate(queries.GET_NAME_ACTIVITIES, { name: domain }, 'nameActivities');
+        return items.map(activity => this.normalizeActivity(domain, activity));
+      });
     } catch (error) {
       logger.error(`Error fetching domain activities for ${domain}:`, error);
-      return [];
+      throw this.wrapError('Failed to fetch domain activities', error);
     }
   }
 
   /**
    * Get domain listings
    * @param {string} domain - Domain name
+   * @param {Object} [options] - { skipCache }
    * @returns {Promise<Array>} Domain listings
    */
-  async getDomainListings(domain) {
+  async getDomainListings(domain, options = {}) {
     try {
-      logger.info(`Fetching domain listings for: ${domain} (using mock data)`);
-      
-      // Mock listings data
-      return [
-        {
-          id: `listing_${domain}_1`,
-          price: '1.5',
-          priceInUSD: '1500.00',
-          timestamp: new Date().toISOString(),
-          seller: '0x1234567890abcdef',
-          transactionHash: '0x1234567890abcdef'
-        }
-      ];
+      return await this.cached('listings', `listings:${domain}`, options, async () => {
+        logger.info(`Fetching domain listings for: ${domain}`);
+        const { label: sld, suffix } = parseDomain(domain);
+        const items = await this.paginate(queries.GET_LISTINGS, { sld, tlds: [suffix] }, 'listings');
+
+        return items
+          .filter(listing => !listing.name || listing.name === domain)
+          .map(listing => ({
+            ...this.normalizeOrder(listing),
+            seller: listing.offererAddress
+          }));
+      });
     } catch (error) {
       logger.error(`Error fetching domain listings for ${domain}:`, error);
-      return [];
+      throw this.wrapError('Failed to fetch domain listings', error);
     }
   }
 
   /**
    * Get domain offers
    * @param {string} domain - Domain name
+   * @param {Object} [domainData] - Already fetched domain data, saves a lookup
+   * @param {Object} [options] - { skipCache }
    * @returns {Promise<Array>} Domain offers
    */
-  async getDomainOffers(domain) {
+  async getDomainOffers(domain, domainData, options = {}) {
     try {
-      logger.info(`Fetching domain offers for: ${domain} (using mock data)`);
-      
-      // Mock offers data
-      return [
-        {
-          id: `offer_${domain}_1`,
-          price: '1.2',
-          priceInUSD: '1200.00',
-          timestamp: new Date().toISOString(),
-          buyer: '0xabcdef1234567890',
-          seller: '0x1234567890abcdef',
-          transactionHash: '0xabcdef1234567890'
-        }
-      ];
+      return await this.cached('listings', `offers:${domain}`, options, async () => {
+        logger.info(`Fetching domain offers for: ${domain}`);
+        const tokenId = await this.getTokenId(domain, domainData, options);
+        if (!tokenId) return [];
+
+        const items = await this.paginate(queries.GET_OFFERS, { tokenId }, 'offers');
+        return items.map(offer => ({
+          ...this.normalizeOrder(offer),
+          buyer: offer.offererAddress
+        }));
+      });
     } catch (error) {
       logger.error(`Error fetching domain offers for ${domain}:`, error);
-      return [];
+      throw this.wrapError('Failed to fetch domain offers', error);
     }
   }
 
   /**
    * Get similar domains for comparison
    * @param {string} domain - Domain name
-   * @returns {Promise<Array>} Similar domains
+   * @param {Object} [options] - { skipCache }
+   * @returns {Promise<Array>} Domains sharing the same label on other extensions
    */
-  async getSimilarDomains(domain) {
+  async getSimilarDomains(domain, options = {}) {
+    const baseName = parseDomain(domain).label;
+
     try {
-      logger.info(`Fetching similar domains for: ${domain} (using mock data)`);
-      
-      // Mock similar domains data
-      const baseName = domain.split('.')[0];
-      const extensions = ['com', 'org', 'net', 'io', 'xyz'];
-      
-      return extensions.map(ext => ({
-        name: `${baseName}.${ext}`,
-        createdAt: new Date().toISOString()
-      }));
+      return await this.cached('domainData', `similar:${baseName}`, options, async () => {
+        logger.info(`Fetching similar domains for: ${domain}`);
+        const items = await this.paginate(queries.SEARCH_NAMES, { name: baseName }, 'names');
+
+        return items
+          .filter(item => parseDomain(item.name).label === baseName)
+          .map(item => ({
+            name: item.name,
+            createdAt: item.tokenizedAt,
+            expiresAt: item.expiresAt
+          }));
+      });
     } catch (error) {
       logger.error(`Error fetching similar domains for ${domain}:`, error);
-      return [];
+      throw this.wrapError('Failed to fetch similar domains', error);
     }
   }
 
   /**
    * Get name statistics
+   * @param {string} domain - Domain name
+   * @param {Object} [options] - { skipCache }
    * @returns {Promise<Object>} Name statistics
    */
-  async getNameStatistics() {
+  async getNameStatistics(domain, options = {}) {
     try {
-      logger.info('Fetching name statistics (using mock data)');
-      
-      return {
-        totalNames: 1000,
-        totalTokenizedNames: 500,
-        totalRevenue: '1000000.00',
-        averagePrice: '2000.00'
-      };
+      return await this.cached('domainData', `stats:${domain}`, options, async () => {
+        logger.info(`Fetching name statistics for: ${domain}`);
+        const tokenId = await this.getTokenId(domain, undefined, options);
+        if (!tokenId) return {};
+
+        const data = await this.request(queries.GET_NAME_STATISTICS, { tokenId });
+        const stats = data.nameStatistics || {};
+        return {
+          activeOffers: stats.activeOffers || 0,
+          offersLast3Days: stats.offersLast3Days || 0,
+          highestOffer: stats.highestOffer ? this.normalizeOrder(stats.highestOffer) : null
+        };
+      });
     } catch (error) {
       logger.error('Error fetching name statistics:', error);
       return {};
@@ -185,14 +202,9 @@ class DomaService {
    */
   async getChainStatistics() {
     try {
-      logger.info('Fetching chain statistics (using mock data)');
-      
-      return {
-        totalTransactions: 50000,
-        totalWallets: 10000,
-        totalRevenue: '5000000.00',
-        averageTransactionValue: '100.00'
-      };
+      logger.info('Fetching chain statistics');
+      const data = await this.request(queries.GET_CHAIN_STATISTICS, {});
+      return data.chainStatistics || {};
     } catch (error) {
       logger.error('Error fetching chain statistics:', error);
       return {};
@@ -200,59 +212,221 @@ class DomaService {
   }
 
   /**
-   * Get network information
+   * Get network information from the Doma RPC endpoint
    * @returns {Promise<Object>} Network data
    */
   async getNetworkInfo() {
     try {
-      logger.info('Fetching network info (using mock data)');
-      
+      logger.info('Fetching network info');
+      const [chainId, blockNumber, gasPrice] = await Promise.all([
+        this.rpcCall('eth_chainId'),
+        this.rpcCall('eth_blockNumber'),
+        this.rpcCall('eth_gasPrice')
+      ]);
+
       return {
         networkName: 'Doma Testnet',
-        chainId: 12345,
-        blockHeight: 1000000,
-        gasPrice: '20000000000'
+        chainId: parseInt(chainId, 16),
+        blockHeight: parseInt(blockNumber, 16),
+        gasPrice: BigInt(gasPrice).toString()
       };
     } catch (error) {
       logger.error('Error fetching network info:', error);
-      throw new Error(`Failed to fetch network info: ${error.message}`);
+      throw this.wrapError('Failed to fetch network info', error);
     }
   }
 
   /**
-   * Try to fetch real data from Doma API (requires authentication)
-   * @param {string} domain - Domain name
-   * @returns {Promise<Object|null>} Real domain data or null if not available
+   * Add context to a failed lookup. Upstream failures keep their type so
+   * callers can tell an unavailable upstream from a bad request.
    */
-  async tryGetRealDomainData(domain) {
-    try {
-      // This would be the correct query structure based on the schema we discovered
-      const query = `
-        query GetDomain($domain: String!) {
-          name(name: $domain) {
-            name
-            expiresAt
-            tokenizedAt
-            eoi
-            registrar
-            nameservers
-            dsKeys
-            transferLock
-            claimedBy
-            isFractionalized
-          }
+  wrapError(message, error) {
+    if (error instanceof UpstreamError) {
+      return error;
+    }
+    return new Error(`${message}: ${error.message}`);
+  }
+
+  /**
+   * Serve a lookup from the cache, or run it and cache the result.
+   * Failed lookups throw before anything is cached.
+   * @param {string} namespace - Cache namespace (domainData, listings, activities)
+   * @param {string} key - Cache key
+   * @param {Object} options - { skipCache }
+   * @param {Function} load - Async lookup
+   */
+  cached(namespace, key, options, load) {
+    if (!this.cache) return load();
+    return this.cache.wrap(namespace, key, load, options);
+  }
+
+  /**
+   * Send a GraphQL request to Doma, or serve it from fixtures.
+   * Joins an identical request that is already in flight, otherwise
+   * queues it for the next batch.
+   * @param {string} document - GraphQL document
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} Response data
+   */
+  request(document, variables) {
+    const key = `${DomaFixtureClient.getOperationName(document)}:${JSON.stringify(variables)}`;
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = this.batcher.load(document, variables).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Send a batch of GraphQL requests as one aliased query
+   * @param {Array<{document: string, variables: Object}>} operations - Batched requests
+   * @returns {Promise<Array>} One { data } or { error } per request
+   */
+  async sendBatch(operations) {
+    if (this.useFixtures) {
+      return Promise.all(operations.map(operation =>
+        this.fixtureClient.request(operation.document, operation.variables).then(data => ({ data }), error => ({ error }))
+      ));
+    }
+
+    let results;
+    if (operations.length === 1) {
+      const [operation] = operations;
+      results = [{ data: await this.sendGraphql(operation.document, operation.variables) }];
+    } else {
+      logger.debug(`Sending ${operations.length} Doma queries as one batch`);
+      const batch = mergeOperations(operations);
+      try {
+        results = batch.split(await this.sendGraphql(batch.document, batch.variables));
+      } catch (error) {
+        // Errors of single aliases fail only the requests they belong to
+        if (!error.response || !error.response.errors) throw error;
+        results = batch.split(error.response.data, error.response.errors);
+      }
+    }
+
+    if (config.doma.recordFixtures) {
+      results.forEach((result, index) => {
+        if (result.data) {
+          this.fixtureClient.record(operations[index].document, operations[index].variables, result.data);
         }
-      `;
+      });
+    }
+    return results;
+  }
 
-      const variables = { domain };
-      const data = await this.graphqlClient.request(query, variables);
-      
-      logger.info(`Successfully fetched real domain data for: ${domain}`);
-      return data.name;
-    } catch (error) {
-      logger.warn(`Could not fetch real data for ${domain}: ${error.message}`);
-      return null;
+  sendGraphql(document, variables) {
+    return this.graphqlUpstream.call(signal => this.graphqlClient.request({ document, variables, signal }));
+  }
+
+  /**
+   * Fetch every page of a paginated connection
+   * @param {string} document - GraphQL document accepting skip/take
+   * @param {Object} variables - Query variables
+   * @param {string} field - Connection field in the response
+   * @param {Object} options - { pageSize, maxPages }
+   * @returns {Promise<Array>} Items of all fetched pages
+   */
+  async paginate(document, variables, field, options = {}) {
+    const take = options.pageSize || config.doma.pageSize;
+    const maxPages = options.maxPages || config.doma.maxPages;
+    const items = [];
+
+    for (let page = 0; page < maxPages; page++) {
+      const data = await this.request(document, { ...variables, skip: page * take, take });
+      const connection = data[field];
+      if (!connection) break;
+
+      items.push(...(connection.items || []));
+      if (!connection.hasNextPage) break;
     }
+
+    return items;
+  }
+
+  /**
+   * Call a JSON-RPC method on the Doma chain
+   * @param {string} method - RPC method
+   * @param {Array} params - RPC params
+   */
+  rpcCall(method, params = []) {
+    const key = `rpc:${method}:${JSON.stringify(params)}`;
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = this.sendRpc(method, params).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  async sendRpc(method, params) {
+    if (this.useFixtures) {
+      return this.fixtureClient.rpc(method);
+    }
+
+    const response = await this.rpcUpstream.call(signal =>
+      this.rpcClient.post('', { jsonrpc: '2.0', id: 1, method, params }, { signal })
+    );
+    if (response.data.error) {
+      throw new Error(response.data.error.message);
+    }
+    return response.data.result;
+  }
+
+  /**
+   * Resolve the ownership token ID of a tokenized name
+   */
+  async getTokenId(domain, domainData, options = {}) {
+    const data = domainData !== undefined ? domainData : await this.getDomainData(domain, options);
+    return data?.tokens?.[0]?.tokenId || null;
+  }
+
+  normalizeName(name) {
+    return {
+      name: name.name,
+      expiresAt: name.expiresAt,
+      tokenizedAt: name.tokenizedAt,
+      eoi: name.eoi,
+      registrar: name.registrar?.name || null,
+      nameservers: (name.nameservers || []).map(ns => ns.ldhName),
+      dsKeys: name.dsKeys || [],
+      transferLock: name.transferLock,
+      claimedBy: name.claimedBy,
+      tokens: name.tokens || [],
+      activities: [],
+      isFractionalized: name.isFractionalized,
+      fractionalTokenInfo: name.fractionalTokenInfo
+    };
+  }
+
+  normalizeActivity(domain, activity) {
+    return {
+      id: `${domain}:${activity.type}:${activity.txHash}`,
+      type: activity.type,
+      transactionHash: activity.txHash,
+      timestamp: activity.createdAt
+    };
+  }
+
+  /**
+   * Convert a raw order into display units and USD
+   */
+  normalizeOrder(order) {
+    const currency = order.currency || { symbol: 'ETH', decimals: 18, usdExchangeRate: 0 };
+    const amount = Number(order.price) / 10 ** currency.decimals;
+
+    return {
+      id: order.id,
+      price: String(amount),
+      currency: currency.symbol,
+      priceInUSD: (amount * (currency.usdExchangeRate || 0)).toFixed(2),
+      timestamp: order.createdAt,
+      expiresAt: order.expiresAt,
+      orderbook: order.orderbook
+    };
   }
 }
 
@@ -1,85 +1,220 @@
 const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { loadWeightProfiles } = require('../config/weightProfiles');
+const { createCache } = require('../cache');
+const DomaService = require('./domaService');
+const { getUpstream } = require('./upstreamClient');
+const { VariantResolver } = require('./variantResolver');
+const RdapClient = require('./rdapClient');
+const DomainValidator = require('../utils/domainValidator');
+const { parseDomain } = require('../utils/domainParser');
+const { analyzeName } = require('../utils/nameAnalyzer');
+
+// Data sources each trait is computed from; a trait is unavailable when one of
+// its sources failed and has no last known value. Sources that were not
+// queried (metrics providers without an API key) are not required.
+const TRAIT_SOURCES = {
+  popularity: ['moz'],
+  blockchain: ['domainData', 'activities'],
+  saleVolume: ['listings', 'offers'],
+  traffic: ['moz'],
+  crossExtension: ['variants'],
+  age: ['registration']
+};
+
+// Names of data sources as shown to users when they are missing
+const SOURCE_LABELS = {
+  domainData: 'Doma name record',
+  activities: 'Doma activities',
+  listings: 'Doma listings',
+  offers: 'Doma offers',
+  variants: 'Registration checks of other extensions',
+  registration: 'RDAP registration record',
+  moz: 'Moz domain authority'
+};
+
+// Share of a trait's weight that counts towards the confidence of a score:
+// real data counts fully, heuristics half and fixed defaults not at all.
+// Traits computed from stale data count half of that.
+const QUALITY_CONFIDENCE = { real: 1, estimated: 0.5, default: 0 };
+const STALE_CONFIDENCE = 0.5;
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Score contributions of name classifications (see NameAnalyzer): real words
+// are searched for and remembered, pronounceable inventions make good brands,
+// and short numbers are traded as a category of their own
+const POPULARITY_CLASS_SCORES = { dictionary: 100, compound: 70, brandable: 40, random: 0, numeric: 60 };
+const BRAND_CLASS_SCORES = { dictionary: 35, compound: 25, brandable: 30, random: 0, numeric: 50 };
 
 class DomainScoringService {
-  constructor() {
-    this.domaService = require('./domaService');
-    this.cache = new Map();
+  /**
+   * @param {ScoreHistoryService} [scoreHistoryService] - Records every computed score
+   * @param {Object} [options] - { cache: cache for scores, a private in-memory one by default; domaService: shared DomaService;
+   * variantResolver: checks other extensions, one using the configured lookups by default; rdapClient: registration lookups }
+   */
+  constructor(scoreHistoryService = null, options = {}) {
+    this.scoreHistoryService = scoreHistoryService;
+    this.cache = options.cache || createCache({ ...config.cache, driver: 'memory' });
+    this.domaService = options.domaService || new DomaService({ cache: this.cache });
+    this.rdapClient = options.rdapClient || new RdapClient({ cache: this.cache });
+    this.variantResolver = options.variantResolver ||
+      new VariantResolver({ domaService: this.domaService, rdapClient: this.rdapClient, cache: this.cache });
+    this.weightProfiles = loadWeightProfiles();
   }
 
   /**
-   * Calculate comprehensive domain score based on multiple factors
+   * Get the names and descriptions of the available weight profiles
+   * @returns {Array<{name: string, description: string}>} Profiles
+   */
+  getProfiles() {
+    return Object.keys(this.weightProfiles).map(name => ({
+      name,
+      description: this.weightProfiles[name].description
+    }));
+  }
+
+  /**
+   * Check whether a weight profile exists
+   * @param {string} profile - Profile name
+   */
+  hasProfile(profile) {
+    return Object.prototype.hasOwnProperty.call(this.weightProfiles, profile);
+  }
+
+  /**
+   * Drop the cached scores of a domain for every profile
    * @param {string} domain - Domain name
+   * @returns {Promise<number>} Number of cached scores removed
+   */
+  async invalidateDomain(domain) {
+    const removed = await Promise.all(
+      Object.keys(this.weightProfiles).map(profile => this.cache.delete('scores', `${profile}:${domain}`))
+    );
+    return removed.filter(Boolean).length;
+  }
+
+  /**
+   * Calculate comprehensive domain score based on multiple factors
+   * @param {string} domain - Domain name in ASCII form (as returned by DomainValidator)
+   * @param {Object} options - { skipCache: recompute from fresh Doma data even if a cached score exists, profile: weight profile name,
+   * record: false for speculative scores (suggestions), which are then neither cached nor recorded to history }
    * @returns {Promise<Object>} Domain score and breakdown
    */
-  async calculateDomainScore(domain) {
+  async calculateDomainScore(domain, options = {}) {
+    const profile = options.profile || config.scoring.defaultProfile;
+    if (!this.hasProfile(profile)) {
+      throw new Error(`Unknown weight profile: ${profile}`);
+    }
+
     try {
       // Check cache first
-      const cacheKey = `score_${domain}`;
-      if (this.cache.has(cacheKey)) {
-        const cached = this.cache.get(cacheKey);
-        if (Date.now() - cached.timestamp < config.bot.cacheTtlMinutes * 60 * 1000) {
-          return cached.data;
-        }
+      const cacheKey = `${profile}:${domain}`;
+      if (!options.skipCache) {
+        const cached = await this.cache.get('scores', cacheKey);
+        if (cached) return cached;
       }
 
-      logger.info(`Calculating domain score for: ${domain}`);
+      logger.info(`Calculating domain score for: ${domain} (${profile} profile)`);
 
       // Fetch data from multiple sources
-      const [domaData, externalMetrics] = await Promise.all([
-        this.getDomaMetrics(domain),
-        this.getExternalMetrics(domain)
+      const [{ sources: domaSources, ...domaData }, { sources: externalSources, ...externalMetrics }] = await Promise.all([
+        this.getDomaMetrics(domain, { skipCache: options.skipCache }),
+        this.getExternalMetrics(domain, { skipCache: options.skipCache })
       ]);
+      const sources = { ...domaSources, ...externalSources };
+
+      // Name traits look at the registrable label and public suffix of the
+      // Unicode form, so characters are counted rather than punycode bytes
+      const displayName = DomainValidator.toUnicode(domain);
+      const { scripts, mixedScript } = DomainValidator.getScripts(displayName);
+      const name = parseDomain(displayName);
+      const registration = this.getRegistrationFacts(externalMetrics.registration, domaData.domainData);
+      const linguistics = analyzeName(name.label);
 
       // Calculate individual trait scores
       const scores = {
-        popularity: this.calculatePopularityScore(domain, externalMetrics),
+        popularity: this.calculatePopularityScore(name, externalMetrics, linguistics),
         blockchain: this.calculateBlockchainScore(domaData),
-        extension: this.calculateExtensionScore(domain),
+        extension: this.calculateExtensionScore(name),
         saleVolume: this.calculateSaleVolumeScore(domaData),
-        length: this.calculateLengthScore(domain),
-        brandScore: this.calculateBrandScore(domain, externalMetrics),
-        marketTrends: this.calculateMarketTrendsScore(domain, externalMetrics),
+        length: this.calculateLengthScore(name),
+        brandScore: this.calculateBrandScore(name, externalMetrics, linguistics),
+        marketTrends: this.calculateMarketTrendsScore(name, externalMetrics),
         traffic: this.calculateTrafficScore(externalMetrics),
-        crossExtension: this.calculateCrossExtensionScore(domain, domaData)
+        crossExtension: this.calculateCrossExtensionScore(name, domaData),
+        age: this.calculateAgeScore(registration)
       };
 
-      // Calculate weighted overall score
-      const weights = {
-        popularity: 0.15,
-        blockchain: 0.20,
-        extension: 0.15,
-        saleVolume: 0.10,
-        length: 0.05,
-        brandScore: 0.15,
-        marketTrends: 0.10,
-        traffic: 0.05,
-        crossExtension: 0.05
-      };
+      const { unavailableTraits, staleTraits } = this.getTraitAvailability(sources);
+      unavailableTraits.forEach(trait => {
+        scores[trait] = null;
+      });
+
+      const provenance = this.getTraitProvenance(externalMetrics, registration);
+      unavailableTraits.forEach(trait => {
+        provenance[trait].missing.push(...TRAIT_SOURCES[trait]
+          .filter(name => sources[name]?.status === 'unavailable')
+          .map(name => SOURCE_LABELS[name] || name));
+      });
+      const missingInputs = [...new Set(Object.values(provenance).flatMap(entry => entry.missing))];
+
+      // Calculate weighted overall score, spreading the weight of unavailable traits over the rest
+      const weights = this.weightProfiles[profile].weights;
 
-      const overallScore = Object.keys(scores).reduce((total, key) => {
-        return total + (scores[key] * weights[key]);
-      }, 0);
+      const available = Object.keys(scores).filter(key => scores[key] !== null);
+      const availableWeight = available.reduce((total, key) => total + weights[key], 0);
+      const overallScore = availableWeight > 0
+        ? available.reduce((total, key) => total + (scores[key] * weights[key]), 0) / availableWeight
+        : 0;
 
+      const degraded = unavailableTraits.length > 0 || Object.keys(staleTraits).length > 0;
       const result = {
         domain,
+        displayName,
+        scripts,
+        mixedScript,
+        profile,
         overallScore: Math.round(overallScore * 100) / 100,
         scores,
         weights,
-        breakdown: this.generateScoreBreakdown(scores, weights),
+        breakdown: this.generateScoreBreakdown(scores, weights, provenance),
+        confidence: this.calculateConfidence(provenance, weights, unavailableTraits, staleTraits),
+        provenance,
+        missingInputs,
+        degraded,
+        unavailableTraits,
+        staleTraits,
+        registration,
+        linguistics,
         timestamp: new Date().toISOString(),
         data: {
           doma: domaData,
-          external: externalMetrics
+          external: externalMetrics,
+          sources
         }
       };
 
+      if (degraded) {
+        // Partial scores are neither cached nor recorded, so the next request
+        // retries the upstreams and history only holds complete scores
+        logger.warn(`Degraded score for ${domain}: unavailable [${unavailableTraits.join(', ')}], stale [${Object.keys(staleTraits).join(', ')}]`);
+        return result;
+      }
+
+      // Speculative scores stay out of the cache too, so a later request for
+      // the name computes a score that is recorded
+      if (options.record === false) {
+        return result;
+      }
+
       // Cache the result
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
+      await this.cache.set('scores', cacheKey, result);
+
+      if (this.scoreHistoryService) {
+        this.scoreHistoryService.record(result);
+      }
 
       return result;
     } catch (error) {
@@ -90,65 +225,216 @@ class DomainScoringService {
 
   /**
    * Get Doma-specific metrics
+   * @param {string} domain - Domain name
+   * @param {Object} options - { skipCache }
+   * @returns {Promise<Object>} Data of every source, and their statuses under `sources`
    */
-  async getDomaMetrics(domain) {
-    const domaService = new this.domaService();
-    const [domainData, activities, listings, offers, similar] = await Promise.all([
-      domaService.getDomainData(domain),
-      domaService.getDomainActivities(domain),
-      domaService.getDomainListings(domain),
-      domaService.getDomainOffers(domain),
-      domaService.getSimilarDomains(domain)
-    ]);
+  async getDomaMetrics(domain, options = {}) {
+    const domainDataRequest = this.domaService.getDomainData(domain, options);
+    const { values, sources } = await this.settleSources(domain, {
+      domainData: domainDataRequest,
+      activities: this.domaService.getDomainActivities(domain, options),
+      listings: this.domaService.getDomainListings(domain, options),
+      offers: domainDataRequest.then(data => this.domaService.getDomainOffers(domain, data, options)),
+      variants: this.getVariantMetrics(domain, options)
+    });
 
-    return {
-      domainData,
-      activities,
-      listings,
-      offers,
-      similar
-    };
+    return { ...values, sources };
+  }
+
+  /**
+   * Check the domain's label on other extensions
+   * @param {string} domain - Domain name
+   * @param {Object} options - { skipCache }
+   * @returns {Promise<Array<Object>>} Variants on other extensions
+   * @throws {Error} If no lookup could answer for any of them
+   */
+  async getVariantMetrics(domain, options = {}) {
+    const { variants } = await this.variantResolver.resolve(domain, options);
+    const others = variants.slice(1);
+
+    if (others.length > 0 && others.every(variant => variant.status === 'unknown')) {
+      throw new Error('No registration data for other extensions');
+    }
+    return others;
   }
 
   /**
    * Get external metrics from various APIs
+   * @param {string} domain - Domain name
+   * @param {Object} [options] - { skipCache }
    */
-  async getExternalMetrics(domain) {
-    const metrics = {};
+  async getExternalMetrics(domain, options = {}) {
+    // Registries only know traditional TLDs
+    const requests = {};
+    if (!DomainValidator.isWeb3Domain(domain)) {
+      requests.registration = this.rdapClient.getRegistration(domain, options);
+    }
 
-    try {
-      // Add external API calls here when keys are available
-      if (config.external.moz.apiKey) {
-        metrics.moz = await this.getMozMetrics(domain);
+    // Add external API calls here when keys are available
+    if (config.external.moz.apiKey) {
+      requests.moz = getUpstream('moz').call(() => this.getMozMetrics(domain));
+    }
+    if (config.external.ahrefs.apiKey) {
+      requests.ahrefs = getUpstream('ahrefs').call(() => this.getAhrefsMetrics(domain));
+    }
+    if (config.external.semrush.apiKey) {
+      requests.semrush = getUpstream('semrush').call(() => this.getSemrushMetrics(domain));
+    }
+
+    const { values, sources } = await this.settleSources(domain, requests);
+
+    // Basic metrics that don't require API keys
+    values.basic = await this.getBasicMetrics(domain);
+
+    return { ...values, sources };
+  }
+
+  /**
+   * Wait for every data source of a domain, falling back to the last known
+   * value of the ones that failed
+   * @param {string} domain - Domain name
+   * @param {Object} requests - Source name -> Promise of its data
+   * @returns {Promise<Object>} { values: source -> data, sources: source -> { status: fresh|stale|unavailable, fetchedAt, error } }
+   */
+  async settleSources(domain, requests) {
+    const names = Object.keys(requests);
+    const settled = await Promise.allSettled(names.map(name => requests[name]));
+    const values = {};
+    const sources = {};
+
+    await Promise.all(names.map(async (name, index) => {
+      const outcome = settled[index];
+      const key = `${name}:${domain}`;
+
+      if (outcome.status === 'fulfilled') {
+        const fetchedAt = new Date().toISOString();
+        values[name] = outcome.value;
+        sources[name] = { status: 'fresh', fetchedAt };
+        await this.cache.set('lastKnown', key, { value: outcome.value, fetchedAt });
+        return;
+      }
+
+      const error = outcome.reason.message;
+      const lastKnown = await this.cache.get('lastKnown', key);
+      if (lastKnown) {
+        values[name] = lastKnown.value;
+        sources[name] = { status: 'stale', fetchedAt: lastKnown.fetchedAt, error };
+      } else {
+        sources[name] = { status: 'unavailable', fetchedAt: null, error };
       }
-      if (config.external.ahrefs.apiKey) {
-        metrics.ahrefs = await this.getAhrefsMetrics(domain);
+    }));
+
+    return { values, sources };
+  }
+
+  /**
+   * Work out which traits could not be computed from fresh data
+   * @param {Object} sources - Source statuses from settleSources
+   * @returns {Object} { unavailableTraits: Array<string>, staleTraits: trait -> fetchedAt of its oldest stale source }
+   */
+  getTraitAvailability(sources) {
+    const unavailableTraits = [];
+    const staleTraits = {};
+
+    Object.keys(TRAIT_SOURCES).forEach(trait => {
+      const used = TRAIT_SOURCES[trait].map(name => sources[name]).filter(Boolean);
+
+      if (used.some(source => source.status === 'unavailable')) {
+        unavailableTraits.push(trait);
+        return;
       }
-      if (config.external.semrush.apiKey) {
-        metrics.semrush = await this.getSemrushMetrics(domain);
+
+      const stale = used.filter(source => source.status === 'stale').map(source => source.fetchedAt).sort();
+      if (stale.length > 0) {
+        staleTraits[trait] = stale[0];
       }
+    });
 
-      // Basic metrics that don't require API keys
-      metrics.basic = await this.getBasicMetrics(domain);
-    } catch (error) {
-      logger.warn(`Error fetching external metrics for ${domain}:`, error);
-    }
+    return { unavailableTraits, staleTraits };
+  }
 
-    return metrics;
+  /**
+   * Describe where each trait's score comes from
+   *
+   * Quality is `real` when the trait is computed from measured data, `estimated`
+   * when it comes from name heuristics and `default` when it is a fixed value
+   * standing in for a data source the bot does not have.
+   * @param {Object} externalMetrics - External metrics the score is computed from
+   * @param {Object} registration - Registration facts from getRegistrationFacts
+   * @returns {Object} trait -> { source, quality, missing: names of the missing inputs }
+   */
+  getTraitProvenance(externalMetrics, registration) {
+    const hasMoz = Boolean(externalMetrics.moz);
+    const mozMissing = () => (hasMoz ? [] : [SOURCE_LABELS.moz]);
+
+    return {
+      popularity: {
+        source: hasMoz ? 'Moz domain authority, vocabulary, name length and extension' : 'Vocabulary, name length and extension',
+        quality: hasMoz ? 'real' : 'estimated',
+        missing: mozMissing()
+      },
+      blockchain: { source: 'Doma name record and activities', quality: 'real', missing: [] },
+      extension: { source: 'Built-in TLD value table', quality: 'estimated', missing: [] },
+      saleVolume: { source: 'Doma listings and offers', quality: 'real', missing: [] },
+      length: { source: 'Domain name', quality: 'real', missing: [] },
+      brandScore: externalMetrics.basic?.socialMentions
+        ? { source: 'Word analysis, pronounceability and social mentions', quality: 'real', missing: [] }
+        : { source: 'Word analysis and pronounceability', quality: 'estimated', missing: ['Social mentions'] },
+      marketTrends: { source: 'Fixed baseline', quality: 'default', missing: ['Market trend data'] },
+      traffic: {
+        source: hasMoz ? 'Moz domain authority' : 'Fixed baseline',
+        quality: hasMoz ? 'real' : 'default',
+        missing: mozMissing()
+      },
+      crossExtension: { source: 'Registration checks of other extensions', quality: 'real', missing: [] },
+      age: registration.createdAt
+        ? { source: 'RDAP registration record and Doma name record', quality: 'real', missing: [] }
+        : { source: 'Doma name record', quality: 'estimated', missing: ['Registration date'] }
+    };
+  }
+
+  /**
+   * Calculate how far a score can be trusted (0-100): the weighted share of
+   * traits backed by real, fresh data
+   * @param {Object} provenance - Trait provenance from getTraitProvenance
+   * @param {Object} weights - Trait weights of the profile
+   * @param {Array<string>} unavailableTraits - Traits without data
+   * @param {Object} staleTraits - Traits computed from last known data
+   * @returns {number} Confidence percentage
+   */
+  calculateConfidence(provenance, weights, unavailableTraits, staleTraits) {
+    const confidence = Object.keys(provenance).reduce((total, trait) => {
+      if (unavailableTraits.includes(trait)) return total;
+      const factor = QUALITY_CONFIDENCE[provenance[trait].quality] * (staleTraits[trait] ? STALE_CONFIDENCE : 1);
+      return total + weights[trait] * factor;
+    }, 0);
+
+    return Math.round(confidence * 100);
   }
 
   /**
    * Calculate popularity score (0-100)
+   * @param {Object} name - Parsed name ({ label, suffix }) from parseDomain
+   * @param {Object} externalMetrics - External metrics
+   * @param {Object} linguistics - Label analysis from NameAnalyzer
    */
-  calculatePopularityScore(domain, externalMetrics) {
+  calculatePopularityScore(name, externalMetrics, linguistics) {
     let score = 0;
     
-    // Domain length factor (shorter = more popular)
-    const lengthFactor = Math.max(0, 100 - (domain.length * 5));
-    score += lengthFactor * 0.3;
+    // Label length factor (shorter = more popular)
+    const lengthFactor = Math.max(0, 100 - (DomainValidator.countCharacters(name.label) * 5));
+    score += lengthFactor * 0.15;
+
+    // Vocabulary: words people search for, more so commercial keywords.
+    // Labels in scripts the analyzer does not cover get a neutral value.
+    const vocabulary = linguistics.classification
+      ? Math.min(100, POPULARITY_CLASS_SCORES[linguistics.classification] + (linguistics.terms.length > 0 ? 20 : 0))
+      : 50;
+    score += vocabulary * 0.15;
 
     // Extension popularity
-    const extension = domain.split('.').pop();
+    const extension = name.suffix;
     const popularExtensions = ['com', 'org', 'net', 'io', 'co', 'ai', 'xyz', 'eth'];
     const extensionScore = popularExtensions.includes(extension) ? 100 : 50;
     score += extensionScore * 0.4;
@@ -193,9 +479,10 @@ class DomainScoringService {
 
   /**
    * Calculate extension score (0-100)
+   * @param {Object} name - Parsed name; multi-label suffixes such as co.uk are valued as a whole
    */
-  calculateExtensionScore(domain) {
-    const extension = domain.split('.').pop().toLowerCase();
+  calculateExtensionScore(name) {
+    const extension = name.suffix;
     
     const extensionScores = {
       'com': 100,
@@ -237,9 +524,10 @@ class DomainScoringService {
 
   /**
    * Calculate length score (0-100)
+   * @param {Object} name - Parsed name; only the registrable label is measured
    */
-  calculateLengthScore(domain) {
-    const length = domain.length;
+  calculateLengthScore(name) {
+    const length = DomainValidator.countCharacters(name.label);
     
     if (length <= 3) return 100;
     if (length <= 5) return 90;
@@ -251,35 +539,52 @@ class DomainScoringService {
 
   /**
    * Calculate brand score (0-100)
+   * @param {Object} name - Parsed name; the brand is the registrable label, not a subdomain
+   * @param {Object} externalMetrics - External metrics
+   * @param {Object} linguistics - Label analysis from NameAnalyzer
    */
-  calculateBrandScore(domain, externalMetrics) {
+  calculateBrandScore(name, externalMetrics, linguistics) {
     let score = 0;
     
     // Check for brandable characteristics
-    const name = domain.split('.')[0];
+    const { label } = name;
     
     // Length factor
-    if (name.length >= 4 && name.length <= 8) score += 20;
+    const length = DomainValidator.countCharacters(label);
+    if (length >= 4 && length <= 8) score += 20;
     
     // No numbers or hyphens
-    if (!/\d/.test(name) && !/-/.test(name)) score += 20;
+    if (!/\d/.test(label) && !/-/.test(label)) score += 20;
     
-    // Memorable patterns
-    if (/^[aeiou]/.test(name)) score += 15; // Starts with vowel
-    if (/[aeiou]$/.test(name)) score += 15; // Ends with vowel
+    if (linguistics.classification) {
+      // Words and pronounceable names are memorable; every word past two makes it harder
+      score += BRAND_CLASS_SCORES[linguistics.classification];
+      score += (linguistics.pronounceability || 0) * 0.2;
+      if (linguistics.classification === 'compound') {
+        score -= Math.max(0, linguistics.words.length - 2) * 10;
+      }
+      // Repeated letters and keyboard runs read as junk
+      if (linguistics.patterns.length > 0) {
+        score *= 0.5;
+      }
+    } else {
+      // Memorable patterns, for scripts the analyzer does not cover
+      if (/^[aeiou]/.test(label)) score += 15; // Starts with vowel
+      if (/[aeiou]$/.test(label)) score += 15; // Ends with vowel
+    }
     
     // External brand metrics
     if (externalMetrics.basic?.socialMentions) {
       score += Math.min(30, externalMetrics.basic.socialMentions / 100);
     }
 
-    return Math.min(100, score);
+    return Math.min(100, Math.max(0, score));
   }
 
   /**
    * Calculate market trends score (0-100)
    */
-  calculateMarketTrendsScore(domain, externalMetrics) {
+  calculateMarketTrendsScore(name, externalMetrics) {
     // This would integrate with trend APIs
     // For now, return a base score
     return 50;
@@ -297,26 +602,82 @@ class DomainScoringService {
 
   /**
    * Calculate cross-extension score (0-100)
+   * @param {Object} name - Parsed name
+   * @param {Object} domaData - Doma metrics; `variants` holds the label on other extensions
    */
-  calculateCrossExtensionScore(domain, domaData) {
-    const similar = domaData.similar || [];
-    const baseName = domain.split('.')[0];
+  calculateCrossExtensionScore(name, domaData) {
+    const variants = domaData.variants || [];
     
-    // Count how many extensions this base name has
-    const extensionCount = new Set(similar.map(d => d.name.split('.')[1])).size;
+    // Count how many other extensions this label is taken on
+    const extensionCount = variants.filter(variant => variant.status === 'taken').length;
     
     return Math.min(100, extensionCount * 20);
   }
 
+  /**
+   * Merge the RDAP registration with Doma's name record. The registry is the
+   * record of truth; Doma fills in what RDAP lacks, e.g. for web3 names.
+   * @param {Object|null} rdap - Registration from RdapClient, null when unknown
+   * @param {Object|null} domainData - Doma name record
+   * @returns {Object} { createdAt, updatedAt, expiresAt, registrar, statuses, transferLocked, tokenizedAt, ageYears }
+   */
+  getRegistrationFacts(rdap, domainData) {
+    const registration = rdap || {};
+    const doma = domainData || {};
+    const statuses = registration.statuses || [];
+    const createdAt = registration.createdAt || null;
+
+    return {
+      createdAt,
+      updatedAt: registration.updatedAt || null,
+      expiresAt: registration.expiresAt || doma.expiresAt || null,
+      registrar: registration.registrar || doma.registrar || null,
+      statuses,
+      transferLocked: statuses.some(status => /transfer\s?prohibited/i.test(status)) || Boolean(doma.transferLock),
+      tokenizedAt: doma.tokenizedAt || null,
+      ageYears: createdAt ? Math.round(((Date.now() - Date.parse(createdAt)) / YEAR_MS) * 10) / 10 : null
+    };
+  }
+
+  /**
+   * Calculate age and registration history score (0-100)
+   * @param {Object} registration - Registration facts from getRegistrationFacts
+   */
+  calculateAgeScore(registration) {
+    // Age factor, full after 15 years
+    let score = registration.ageYears !== null
+      ? Math.min(60, registration.ageYears * 4)
+      : 20; // Base score when the creation date is unknown
+
+    // Years paid ahead show the owner's commitment
+    if (registration.expiresAt) {
+      const yearsLeft = (Date.parse(registration.expiresAt) - Date.now()) / YEAR_MS;
+      score += Math.min(25, Math.max(0, yearsLeft) * 5);
+    }
+
+    // Transfer locks protect against hijacking
+    if (registration.transferLocked) {
+      score += 15;
+    }
+
+    // A name in redemption or pending deletion is about to drop
+    if (registration.statuses.some(status => /redemption|pending\s?delete/i.test(status))) {
+      score *= 0.5;
+    }
+
+    return Math.min(100, Math.round(score));
+  }
+
   /**
    * Get basic metrics without API keys
    */
   async getBasicMetrics(domain) {
+    const { label, suffix } = parseDomain(domain);
     return {
-      domainLength: domain.length,
-      hasNumbers: /\d/.test(domain),
-      hasHyphens: /-/.test(domain),
-      extension: domain.split('.').pop(),
+      domainLength: label.length,
+      hasNumbers: /\d/.test(label),
+      hasHyphens: /-/.test(label),
+      extension: suffix,
       socialMentions: 0 // Placeholder
     };
   }
@@ -348,19 +709,20 @@ class DomainScoringService {
   /**
    * Generate human-readable score breakdown
    */
-  generateScoreBreakdown(scores, weights) {
+  generateScoreBreakdown(scores, weights, provenance = {}) {
     const breakdown = [];
     
     Object.keys(scores).forEach(key => {
       const score = scores[key];
       const weight = weights[key];
-      const contribution = score * weight;
+      const contribution = score === null ? 0 : score * weight;
       
       breakdown.push({
         trait: key,
-        score: Math.round(score),
+        score: score === null ? null : Math.round(score),
         weight: Math.round(weight * 100),
-        contribution: Math.round(contribution * 100) / 100
+        contribution: Math.round(contribution * 100) / 100,
+        quality: provenance[key]?.quality
       });
     });
 
@@ -0,0 +1,134 @@
+const cron = require('node-cron');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sends EXPIRATION alerts ahead of a watched domain's expiry date.
+ *
+ * Each configured lead time (e.g. 60/30/7/1 days) is a milestone that is
+ * sent at most once per registration period; renewing the domain moves
+ * `expiresAt` and starts a fresh set of milestones. Once the domain has
+ * expired a single notice follows, saying whether it can still be renewed
+ * within its grace period.
+ */
+class ExpirationService {
+  /**
+   * @param {SubscriptionService} subscriptionService - Source of watched domains and alert delivery
+   * @param {MemoryStorage} storage - Storage for sent milestones
+   * @param {Object} options - { leadDays, graceDays, schedule }
+   */
+  constructor(subscriptionService, storage, options = config.expiration) {
+    this.subscriptionService = subscriptionService;
+    this.domaService = subscriptionService.domaService;
+    this.storage = storage; // 'expirationMilestones': domain -> { expiresAt, sent: Array }
+    this.leadDays = [...options.leadDays].sort((a, b) => b - a);
+    this.graceDays = options.graceDays;
+    this.schedule = options.schedule;
+    this.task = null;
+  }
+
+  /**
+   * Start scheduled expiration checks
+   */
+  start() {
+    if (this.task) return;
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.checkExpirations().catch(error => logger.error('Error checking expirations:', error));
+    });
+    logger.info(`Started expiration checks (${this.schedule}, lead days: ${this.leadDays.join('/')})`);
+
+    this.checkExpirations().catch(error => logger.error('Error checking expirations:', error));
+  }
+
+  /**
+   * Stop scheduled expiration checks
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('Stopped expiration checks');
+    }
+  }
+
+  /**
+   * Check every watched domain for due expiration milestones
+   */
+  async checkExpirations() {
+    for (const domain of this.subscriptionService.domainWatchers.keys()) {
+      try {
+        const domainData = await this.domaService.getDomainData(domain);
+        if (!domainData || !domainData.expiresAt) continue;
+
+        const event = this.getDueEvent(domain, domainData.expiresAt, new Date());
+        if (event) {
+          await this.subscriptionService.dispatchEvents(domain, [event]);
+        }
+      } catch (error) {
+        logger.error(`Error checking expiration for domain ${domain}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Work out which milestone is due and mark it as sent
+   * @param {string} domain - Domain name
+   * @param {string} expiresAt - Expiry date (ISO 8601)
+   * @param {Date} now - Current time
+   * @returns {Object|null} EXPIRATION event, or null if nothing is due
+   */
+  getDueEvent(domain, expiresAt, now) {
+    const stored = this.storage.get('expirationMilestones', domain);
+    let state = stored;
+    if (!state || state.expiresAt !== expiresAt) {
+      state = { expiresAt, sent: [] };
+    }
+
+    const expiry = new Date(expiresAt);
+    const daysLeft = Math.ceil((expiry.getTime() - now.getTime()) / DAY_MS);
+    let event = null;
+
+    if (daysLeft <= 0) {
+      if (!state.sent.includes('expired')) {
+        const graceEnds = new Date(expiry.getTime() + this.graceDays * DAY_MS);
+        const inGrace = now < graceEnds;
+        event = {
+          type: 'EXPIRATION',
+          message: inGrace
+            ? `Domain expired on ${this.formatDate(expiry)}. ` +
+              `It is in its grace period and can still be renewed until about ${this.formatDate(graceEnds)}.`
+            : `Domain expired on ${this.formatDate(expiry)} and its grace period ended on ${this.formatDate(graceEnds)}.`,
+          data: { expiresAt, daysLeft, milestone: 'expired', graceEndsAt: graceEnds.toISOString(), inGrace }
+        };
+        // Milestones that were never reached are no longer useful
+        state.sent = [...this.leadDays, 'expired'];
+      }
+    } else {
+      const due = this.leadDays.filter(lead => daysLeft <= lead && !state.sent.includes(lead));
+      if (due.length > 0) {
+        // Only the most urgent milestone is worth a message, the rest are marked as sent
+        const milestone = due[due.length - 1];
+        event = {
+          type: 'EXPIRATION',
+          message: `Domain expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'} (${this.formatDate(expiry)}). Renew it to keep it.`,
+          data: { expiresAt, daysLeft, milestone }
+        };
+        state.sent = [...state.sent, ...due];
+      }
+    }
+
+    if (event || state !== stored) {
+      this.storage.set('expirationMilestones', domain, state);
+    }
+    return event;
+  }
+
+  formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = ExpirationService;
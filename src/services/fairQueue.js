@@ -0,0 +1,96 @@
+/**
+ * Runs async tasks with a global concurrency cap, serving owners in turn.
+ *
+ * Every owner (a user, an API client) has its own FIFO. Free slots go to
+ * the owners round-robin, so one user queueing many requests delays only
+ * their own requests instead of everyone's.
+ */
+class FairQueue {
+  /**
+   * @param {Object} options - { concurrency }
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 3;
+    this.running = 0;
+    this.queues = new Map(); // owner -> Array of pending jobs
+    this.rotation = []; // owners with pending jobs, next to be served first
+  }
+
+  /**
+   * Queue a task
+   * @param {string|number} owner - Who the task runs for
+   * @param {Function} task - Async function to run
+   * @returns {{position: number, promise: Promise}} Jobs ahead of this one (0 when it starts right away) and the task's result
+   */
+  enqueue(owner, task) {
+    let job;
+    const promise = new Promise((resolve, reject) => {
+      job = { task, resolve, reject };
+    });
+
+    if (!this.queues.has(owner)) {
+      this.queues.set(owner, []);
+      this.rotation.push(owner);
+    }
+    this.queues.get(owner).push(job);
+
+    const position = this.running < this.concurrency ? 0 : this.getPosition(owner, this.queues.get(owner).length - 1) + 1;
+    this.drain();
+    return { position, promise };
+  }
+
+  /**
+   * Number of pending jobs dispatched before an owner's job at `index`
+   */
+  getPosition(owner, index) {
+    const ownerRank = this.rotation.indexOf(owner);
+    let ahead = index;
+
+    this.rotation.forEach((other, rank) => {
+      if (other === owner) return;
+      // Owners before this one in the rotation get one more turn in the job's round
+      ahead += Math.min(this.queues.get(other).length, rank < ownerRank ? index + 1 : index);
+    });
+    return ahead;
+  }
+
+  /**
+   * Current load
+   * @returns {{running: number, waiting: number, owners: number, concurrency: number}} Running and pending jobs
+   */
+  getStats() {
+    let waiting = 0;
+    this.queues.forEach(jobs => { waiting += jobs.length; });
+    return { running: this.running, waiting, owners: this.rotation.length, concurrency: this.concurrency };
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.rotation.length > 0) {
+      const owner = this.rotation.shift();
+      const jobs = this.queues.get(owner);
+      const job = jobs.shift();
+
+      if (jobs.length > 0) {
+        this.rotation.push(owner);
+      } else {
+        this.queues.delete(owner);
+      }
+
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      job.reject(error);
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+}
+
+module.exports = FairQueue;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const DomainValidator = require('../utils/domainValidator');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+/**
+ * Answers inline queries (`@bot example.com` in any chat) with a compact
+ * score line and a full report per domain.
+ *
+ * Queries are debounced per user so only the last one typed is scored, and
+ * scoring is charged and queued like `/score`.
+ */
+class InlineQueryService {
+  /**
+   * @param {TelegramBot} bot - Bot used to answer queries
+   * @param {Object} options - { scoringService, userSettingsService, scoreQueue, checkRateLimit(userId, chatId, cost),
+   * debounceMs, cacheTimeSeconds, maxDomains }
+   */
+  constructor(bot, options) {
+    this.bot = bot;
+    this.scoringService = options.scoringService;
+    this.userSettingsService = options.userSettingsService;
+    this.scoreQueue = options.scoreQueue;
+    this.checkRateLimit = options.checkRateLimit;
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : config.inline.debounceMs;
+    this.cacheTimeSeconds = options.cacheTimeSeconds !== undefined ? options.cacheTimeSeconds : config.inline.cacheTimeSeconds;
+    this.maxDomains = options.maxDomains || config.bot.maxDomainsPerRequest;
+    this.pending = new Map(); // userId -> debounce timer
+  }
+
+  /**
+   * Answer only the last inline query a user typed within the debounce window
+   * @param {Object} query - Telegram inline query
+   */
+  debounce(query) {
+    const userId = query.from.id;
+    clearTimeout(this.pending.get(userId));
+
+    this.pending.set(userId, setTimeout(() => {
+      this.pending.delete(userId);
+      this.handle(query).catch(error => logger.error('Error processing inline query:', error));
+    }, this.debounceMs));
+  }
+
+  /**
+   * Drop queries still waiting for their debounce window
+   */
+  stop() {
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+  }
+
+  /**
+   * Score the domains of an inline query
+   * @param {Object} query - Telegram inline query
+   */
+  async handle(query) {
+    const domains = query.query
+      .split(/[,\s]+/)
+      .map(part => DomainValidator.extractDomain(part.toLowerCase()))
+      .filter(Boolean)
+      .slice(0, this.maxDomains);
+
+    if (domains.length === 0) {
+      await this.bot.answerInlineQuery(query.id, [], {
+        cache_time: 0,
+        is_personal: true,
+        switch_pm_text: 'Type a domain, e.g. example.com',
+        switch_pm_parameter: 'inline'
+      });
+      return;
+    }
+
+    const limit = this.checkRateLimit(query.from.id, undefined, domains.length);
+    if (!limit.allowed) {
+      await this.bot.answerInlineQuery(query.id, [], {
+        cache_time: 0,
+        is_personal: true,
+        switch_pm_text: `Too many requests, try again in ${ResponseFormatter.formatDuration(limit.retryAfterSeconds)}`,
+        switch_pm_parameter: 'inline'
+      });
+      return;
+    }
+
+    const profile = this.userSettingsService.getProfile(query.from.id);
+    const { promise } = this.scoreQueue.enqueue(query.from.id, () => Promise.all(domains.map(async (domain) => {
+      try {
+        return await this.scoringService.calculateDomainScore(domain, { profile });
+      } catch (error) {
+        logger.error(`Error scoring ${domain} for inline query:`, error);
+        return null;
+      }
+    })));
+    const scored = (await promise).filter(Boolean);
+
+    await this.bot.answerInlineQuery(query.id, this.buildResults(scored, profile, domains), {
+      cache_time: this.cacheTimeSeconds,
+      is_personal: true
+    });
+  }
+
+  /**
+   * Build the summary result and one full report per scored domain
+   * @param {Array} scored - Score results
+   * @param {string} profile - Weight profile the domains were scored with
+   * @param {Array<string>} domains - Requested domains
+   * @returns {Array} Inline query results
+   */
+  buildResults(scored, profile, domains) {
+    const results = [];
+    const summaries = scored.map(scoreData => ({
+      domain: scoreData.domain,
+      displayName: scoreData.displayName,
+      overallScore: scoreData.overallScore,
+      degraded: scoreData.degraded
+    }));
+    if (summaries.length > 0) {
+      const title = summaries.map(summary => `${summary.displayName || summary.domain} ${summary.overallScore}/100`).join(' · ');
+      results.push({
+        type: 'article',
+        id: this.getResultId('summary', profile, domains),
+        title: `${ResponseFormatter.getScoreEmoji(summaries[0].overallScore)} ${title}`,
+        description: `Send the ${summaries.length > 1 ? 'scores' : 'score'} (${profile} profile)`,
+        input_message_content: {
+          message_text: ResponseFormatter.formatMultipleDomains(summaries, profile),
+          parse_mode: 'Markdown'
+        }
+      });
+    }
+
+    scored.forEach(scoreData => {
+      results.push({
+        type: 'article',
+        id: this.getResultId('report', profile, [scoreData.domain]),
+        title: `📋 Full report: ${scoreData.displayName || scoreData.domain}`,
+        description: `${scoreData.overallScore}/100 - ${ResponseFormatter.getScoreDescription(scoreData.overallScore)}${scoreData.degraded ? ' (partial data)' : ''}`,
+        input_message_content: {
+          message_text: ResponseFormatter.formatDomainScore(scoreData),
+          parse_mode: 'Markdown'
+        }
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * Build an inline result ID, which Telegram limits to 64 bytes
+   */
+  getResultId(kind, profile, domains) {
+    return crypto.createHash('sha1').update(`${kind}:${profile}:${domains.join(',')}`).digest('hex');
+  }
+}
+
+module.exports = InlineQueryService;
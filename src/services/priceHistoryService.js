@@ -0,0 +1,147 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Keeps a per-domain series of the lowest ask and best offer (in USD) and
+ * turns movements in that series into PRICE_CHANGE events.
+ *
+ * A point is only appended when the ask or best offer differs from the
+ * previous point, so the series reads as a list of price moves.
+ */
+class PriceHistoryService {
+  /**
+   * @param {MemoryStorage} storage - Storage for the price series
+   * @param {Object} options - { maxPoints }
+   */
+  constructor(storage, options = config.priceHistory) {
+    this.storage = storage; // 'priceHistory': domain -> Array of { timestamp, ask, bestOffer }
+    this.maxPoints = options.maxPoints;
+  }
+
+  /**
+   * Get the recorded price series of a domain
+   * @param {string} domain - Domain name
+   * @returns {Array} Points, oldest first
+   */
+  getHistory(domain) {
+    return [...(this.storage.get('priceHistory', domain) || [])];
+  }
+
+  /**
+   * Get the recorded price series of a domain followed by its current prices,
+   * without storing them
+   * @param {string} domain - Domain name
+   * @param {Array} listings - Active listings
+   * @param {Array} offers - Active offers
+   * @returns {Array} Points, oldest first
+   */
+  previewHistory(domain, listings, offers) {
+    const history = this.getHistory(domain);
+    const previous = history.length > 0 ? history[history.length - 1] : null;
+    const current = this.getCurrentPoint(listings, offers);
+
+    if (this.hasMoved(previous, current)) {
+      history.push(current);
+    }
+    return history.slice(-this.maxPoints);
+  }
+
+  /**
+   * Record the current ask and best offer of a domain
+   * @param {string} domain - Domain name
+   * @param {Array} listings - Active listings
+   * @param {Array} offers - Active offers
+   * @returns {Object} { previous, current } points; previous is null on the first record
+   */
+  record(domain, listings, offers) {
+    const history = this.getHistory(domain);
+    const previous = history.length > 0 ? history[history.length - 1] : null;
+    const current = this.getCurrentPoint(listings, offers);
+
+    if (this.hasMoved(previous, current)) {
+      history.push(current);
+      this.storage.set('priceHistory', domain, history.slice(-this.maxPoints));
+      logger.debug(`Recorded price point for ${domain}: ask ${current.ask}, best offer ${current.bestOffer}`);
+    }
+
+    return { previous, current };
+  }
+
+  getCurrentPoint(listings, offers) {
+    return {
+      timestamp: new Date().toISOString(),
+      ask: this.getLowestPrice(listings),
+      bestOffer: this.getHighestPrice(offers)
+    };
+  }
+
+  hasMoved(previous, current) {
+    return !previous || previous.ask !== current.ask || previous.bestOffer !== current.bestOffer;
+  }
+
+  /**
+   * Build PRICE_CHANGE events from two consecutive points
+   *
+   * Ask movements carry `changePercent` so each user's minimum percentage
+   * can be applied when the events are dispatched.
+   * @param {Object|null} previous - Previous point
+   * @param {Object} current - Current point
+   * @returns {Array} Events
+   */
+  detectPriceEvents(previous, current) {
+    const events = [];
+    if (!previous) return events;
+
+    if (previous.ask && current.ask && previous.ask !== current.ask) {
+      const change = ((current.ask - previous.ask) / previous.ask) * 100;
+      events.push({
+        type: 'PRICE_CHANGE',
+        message: `Asking price ${change > 0 ? 'rose' : 'dropped'} ${Math.abs(change).toFixed(1)}%: ` +
+          `$${this.formatUsd(previous.ask)} → $${this.formatUsd(current.ask)}`,
+        data: {
+          kind: 'ask',
+          previousAsk: previous.ask,
+          ask: current.ask,
+          changePercent: Math.abs(change)
+        }
+      });
+    }
+
+    if (current.ask && current.bestOffer && previous.bestOffer && current.bestOffer > previous.bestOffer) {
+      const previousGap = (previous.ask || current.ask) - previous.bestOffer;
+      const gap = current.ask - current.bestOffer;
+      if (gap < previousGap) {
+        events.push({
+          type: 'PRICE_CHANGE',
+          message: `Best offer moved closer to the ask: $${this.formatUsd(current.bestOffer)} ` +
+            `($${this.formatUsd(Math.max(0, gap))} below the $${this.formatUsd(current.ask)} ask)`,
+          data: {
+            kind: 'offer',
+            previousBestOffer: previous.bestOffer,
+            bestOffer: current.bestOffer,
+            ask: current.ask,
+            gap
+          }
+        });
+      }
+    }
+
+    return events;
+  }
+
+  getLowestPrice(orders) {
+    const prices = (orders || []).map(order => parseFloat(order.priceInUSD)).filter(price => price > 0);
+    return prices.length > 0 ? Math.min(...prices) : null;
+  }
+
+  getHighestPrice(orders) {
+    const prices = (orders || []).map(order => parseFloat(order.priceInUSD)).filter(price => price > 0);
+    return prices.length > 0 ? Math.max(...prices) : null;
+  }
+
+  formatUsd(value) {
+    return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+}
+
+module.exports = PriceHistoryService;
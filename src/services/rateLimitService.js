@@ -0,0 +1,182 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Idle buckets are dropped once they have refilled, checked when this many exist
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Token buckets keyed by an arbitrary string.
+ *
+ * Each bucket holds up to `capacity` tokens and refills continuously at
+ * `refillPerMinute`. A bucket that does not exist yet is full.
+ */
+class TokenBuckets {
+  /**
+   * @param {Object} options - { capacity, refillPerMinute }
+   */
+  constructor(options) {
+    this.capacity = options.capacity;
+    this.refillPerMs = options.refillPerMinute / 60000;
+    this.buckets = new Map(); // key -> { tokens, updatedAt }
+  }
+
+  /**
+   * Tokens available in a bucket right now
+   */
+  getTokens(key, now) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return this.capacity;
+    return Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+  }
+
+  /**
+   * Milliseconds until a bucket holds `cost` tokens
+   */
+  getWaitTime(key, cost, now) {
+    const missing = Math.min(cost, this.capacity) - this.getTokens(key, now);
+    return missing > 0 ? Math.ceil(missing / this.refillPerMs) : 0;
+  }
+
+  /**
+   * Take tokens out of a bucket
+   */
+  take(key, cost, now) {
+    this.buckets.set(key, { tokens: this.getTokens(key, now) - Math.min(cost, this.capacity), updatedAt: now });
+    if (this.buckets.size > PRUNE_THRESHOLD) {
+      this.prune(now);
+    }
+  }
+
+  prune(now) {
+    this.buckets.forEach((bucket, key) => {
+      if (this.getTokens(key, now) >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Per-user and per-chat request limits for expensive commands.
+ *
+ * A request costs one token per domain and must fit in both the user's and
+ * the chat's bucket, so a group cannot bypass the limits by spreading
+ * requests over its members. Users listed in RATE_LIMIT_EXEMPT_USER_IDS or
+ * exempted by an admin (kept in storage) are never limited.
+ */
+class RateLimitService {
+  /**
+   * @param {MemoryStorage} storage - Storage backend
+   * @param {Object} options - { userCapacity, userRefillPerMinute, chatCapacity, chatRefillPerMinute, exemptUserIds }
+   */
+  constructor(storage, options = config.rateLimit) {
+    this.storage = storage; // 'rateLimitExemptions': userId -> { addedBy, addedAt }
+    this.exemptUserIds = new Set(options.exemptUserIds);
+    this.userBuckets = new TokenBuckets({ capacity: options.userCapacity, refillPerMinute: options.userRefillPerMinute });
+    this.chatBuckets = new TokenBuckets({ capacity: options.chatCapacity, refillPerMinute: options.chatRefillPerMinute });
+  }
+
+  /**
+   * Charge a request against the user's and the chat's limits
+   * @param {string|number} userId - User ID, or another client key
+   * @param {string|number} [chatId] - Chat the request came from
+   * @param {number} cost - Tokens the request needs
+   * @returns {Object} { allowed, retryAfterSeconds, scope: 'user'|'chat' }
+   */
+  consume(userId, chatId, cost = 1) {
+    if (this.isExempt(userId)) {
+      return { allowed: true };
+    }
+
+    const now = Date.now();
+    const userWait = this.userBuckets.getWaitTime(userId, cost, now);
+    const chatWait = chatId !== undefined && chatId !== userId ? this.chatBuckets.getWaitTime(chatId, cost, now) : 0;
+
+    if (userWait > 0 || chatWait > 0) {
+      const scope = userWait >= chatWait ? 'user' : 'chat';
+      logger.debug(`Rate limited ${scope} ${scope === 'user' ? userId : chatId}`);
+      return { allowed: false, scope, retryAfterSeconds: Math.ceil(Math.max(userWait, chatWait) / 1000) };
+    }
+
+    this.userBuckets.take(userId, cost, now);
+    if (chatId !== undefined && chatId !== userId) {
+      this.chatBuckets.take(chatId, cost, now);
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Charge work that already ran, e.g. when its cost was only known afterwards.
+   * Buckets may go below zero, so the debt delays the next request.
+   * @param {string|number} userId - User ID, or another client key
+   * @param {string|number} [chatId] - Chat the request came from
+   * @param {number} cost - Tokens to take
+   */
+  charge(userId, chatId, cost) {
+    if (cost <= 0 || this.isExempt(userId)) return;
+
+    const now = Date.now();
+    this.userBuckets.take(userId, cost, now);
+    if (chatId !== undefined && chatId !== userId) {
+      this.chatBuckets.take(chatId, cost, now);
+    }
+  }
+
+  /**
+   * Check whether a user is exempt from rate limits
+   * @param {string|number} userId - User ID
+   */
+  isExempt(userId) {
+    return this.exemptUserIds.has(userId) || Boolean(this.storage.get('rateLimitExemptions', userId));
+  }
+
+  /**
+   * Exempt a user from rate limits
+   * @param {number} userId - Telegram user ID
+   * @param {number} addedBy - Admin adding the exemption
+   * @returns {Object} { success, message }
+   */
+  addExemption(userId, addedBy) {
+    if (this.isExempt(userId)) {
+      return { success: false, message: `User ${userId} is already exempt` };
+    }
+
+    this.storage.set('rateLimitExemptions', userId, { addedBy, addedAt: new Date().toISOString() });
+    logger.info(`User ${addedBy} exempted user ${userId} from rate limits`);
+    return { success: true, message: `User ${userId} is exempt from rate limits` };
+  }
+
+  /**
+   * Remove a stored exemption
+   * @param {number} userId - Telegram user ID
+   * @param {number} removedBy - Admin removing the exemption
+   * @returns {Object} { success, message }
+   */
+  removeExemption(userId, removedBy) {
+    if (this.exemptUserIds.has(userId)) {
+      return { success: false, message: `User ${userId} is exempt through the environment` };
+    }
+    if (!this.storage.delete('rateLimitExemptions', userId)) {
+      return { success: false, message: `User ${userId} is not exempt` };
+    }
+
+    logger.info(`User ${removedBy} removed the rate limit exemption of user ${userId}`);
+    return { success: true, message: `User ${userId} is rate limited again` };
+  }
+
+  /**
+   * List exempt users
+   * @returns {Array<{userId: number, source: string}>} Exempt users
+   */
+  getExemptions() {
+    const exemptions = [...this.exemptUserIds].map(userId => ({ userId, source: 'env' }));
+    this.storage.entries('rateLimitExemptions').forEach(([userId]) => {
+      if (!this.exemptUserIds.has(Number(userId))) {
+        exemptions.push({ userId: Number(userId), source: 'storage' });
+      }
+    });
+    return exemptions;
+  }
+}
+
+module.exports = RateLimitService;
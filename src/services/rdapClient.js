@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getUpstream } = require('./upstreamClient');
+
+// How long the list of TLDs with an RDAP server is trusted before refetching
+const BOOTSTRAP_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Client for RDAP, the registration data protocol replacing WHOIS.
+ *
+ * Requests go to RDAP_BASE_URL, by default rdap.org, which redirects to the
+ * registry responsible for the TLD. Point it at a local stub to test offline,
+ * or set RDAP_DATA_SOURCE=fixtures to read `<domain>.json` files from
+ * RDAP_FIXTURES_DIR; names without a file are treated as unregistered.
+ *
+ * rdap.org also answers 404 for TLDs it has no registry server for, so a 404
+ * only means "unregistered" for TLDs listed in the IANA bootstrap registry
+ * (RDAP_BOOTSTRAP_URL). Lookups for other TLDs fail instead.
+ */
+class RdapClient {
+  /**
+   * @param {Object} options - { baseUrl, bootstrapUrl: '' trusts every 404, dataSource,
+   * cache: caches parsed registrations in the `registration` namespace }
+   */
+  constructor(options = {}) {
+    this.http = axios.create({
+      baseURL: options.baseUrl || config.rdap.baseUrl,
+      headers: { Accept: 'application/rdap+json' },
+      // 404 is the registry's answer for unregistered names, not a failure
+      validateStatus: status => status === 200 || status === 404
+    });
+    this.upstream = getUpstream('rdap');
+    this.cache = options.cache || null;
+    this.bootstrapUrl = options.bootstrapUrl !== undefined ? options.bootstrapUrl : config.rdap.bootstrapUrl;
+    this.useFixtures = (options.dataSource || config.rdap.dataSource) === 'fixtures';
+    this.rdapTlds = null;
+    this.loadingRdapTlds = null;
+  }
+
+  /**
+   * Whether the registry of a domain's TLD answers RDAP queries
+   * @param {string} domain - Domain in ASCII form
+   * @returns {Promise<boolean>} True if the TLD is in the bootstrap registry
+   * @throws {Error} If the bootstrap registry cannot be fetched
+   */
+  async hasServer(domain) {
+    if (this.useFixtures || !this.bootstrapUrl) return true;
+
+    const tld = domain.slice(domain.lastIndexOf('.') + 1).toLowerCase();
+    const tlds = await this.getRdapTlds();
+    return tlds.has(tld);
+  }
+
+  /**
+   * TLDs with an RDAP server, fetched from the bootstrap registry at most once a day
+   * @returns {Promise<Set<string>>} TLDs
+   */
+  async getRdapTlds() {
+    if (this.rdapTlds && Date.now() - this.rdapTlds.loadedAt < BOOTSTRAP_TTL_MS) {
+      return this.rdapTlds.tlds;
+    }
+
+    if (!this.loadingRdapTlds) {
+      this.loadingRdapTlds = this.upstream.call(signal => axios.get(this.bootstrapUrl, { signal }))
+        .then((response) => {
+          const tlds = RdapClient.parseBootstrap(response.data);
+          logger.debug(`RDAP bootstrap lists ${tlds.size} TLDs`);
+          this.rdapTlds = { tlds, loadedAt: Date.now() };
+          return tlds;
+        })
+        .finally(() => {
+          this.loadingRdapTlds = null;
+        });
+    }
+    return this.loadingRdapTlds;
+  }
+
+  /**
+   * Look up a domain's registration
+   * @param {string} domain - Domain in ASCII form
+   * @returns {Promise<Object|null>} RDAP domain object, or null if the name is not registered
+   * @throws {Error} If the TLD has no RDAP server or the lookup fails
+   */
+  async getDomain(domain) {
+    if (this.useFixtures) {
+      return this.readFixture(domain);
+    }
+
+    if (!(await this.hasServer(domain))) {
+      throw new Error(`No RDAP server for ${domain}`);
+    }
+
+    logger.debug(`RDAP lookup for ${domain}`);
+    const response = await this.upstream.call(signal => this.http.get(`/domain/${encodeURIComponent(domain)}`, { signal }));
+    return response.status === 404 ? null : response.data;
+  }
+
+  /**
+   * Get the registration facts of a domain
+   * @param {string} domain - Domain in ASCII form
+   * @param {Object} [options] - { skipCache }
+   * @returns {Promise<Object|null>} { createdAt, updatedAt, expiresAt, registrar, statuses },
+   * or null if the name is not registered or its registry has no RDAP server
+   */
+  async getRegistration(domain, options = {}) {
+    if (!(await this.hasServer(domain))) return null;
+
+    const load = async () => {
+      const record = await this.getDomain(domain);
+      return record ? RdapClient.parseRegistration(record) : null;
+    };
+
+    if (!this.cache) return load();
+    return this.cache.wrap('registration', domain, load, options);
+  }
+
+  /**
+   * Read the TLDs out of an IANA bootstrap file (RFC 9224)
+   * @param {Object} bootstrap - { services: [[tlds, urls], ...] }
+   * @returns {Set<string>} Lowercase TLDs
+   */
+  static parseBootstrap(bootstrap) {
+    const tlds = new Set();
+    (bootstrap.services || []).forEach(([entries]) => {
+      (entries || []).forEach(tld => tlds.add(tld.replace(/^\.|\.$/g, '').toLowerCase()));
+    });
+    return tlds;
+  }
+
+  /**
+   * Extract registration facts from an RDAP domain object
+   * @param {Object} record - RDAP domain object
+   * @returns {Object} { createdAt, updatedAt, expiresAt, registrar, statuses }
+   */
+  static parseRegistration(record) {
+    const eventDate = action => (record.events || []).find(event => event.eventAction === action)?.eventDate || null;
+    const registrar = (record.entities || []).find(entity => (entity.roles || []).includes('registrar'));
+
+    return {
+      createdAt: eventDate('registration'),
+      updatedAt: eventDate('last changed'),
+      expiresAt: eventDate('expiration'),
+      registrar: registrar ? RdapClient.getEntityName(registrar) : null,
+      statuses: record.status || []
+    };
+  }
+
+  /**
+   * Name of an RDAP entity, from the `fn` property of its jCard
+   * @param {Object} entity - RDAP entity
+   * @returns {string|null} Name
+   */
+  static getEntityName(entity) {
+    const properties = (entity.vcardArray && entity.vcardArray[1]) || [];
+    const fullName = properties.find(property => property[0] === 'fn');
+    return fullName ? fullName[3] : entity.handle || null;
+  }
+
+  async readFixture(domain) {
+    const filePath = path.join(config.rdap.fixturesDir, `${domain}.json`);
+    if (!fs.existsSync(filePath)) return null;
+
+    logger.debug(`Serving RDAP fixture for ${domain}`);
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+}
+
+module.exports = RdapClient;
@@ -0,0 +1,166 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Roles from least to most privileged
+const ROLES = ['user', 'operator', 'admin'];
+
+/**
+ * Staff roles and blocked users.
+ *
+ * Roles come from two sources: ADMIN_USER_IDS / OPERATOR_USER_IDS in the
+ * environment, and roles granted with /role, which are kept in storage.
+ * A user gets the higher of the two, so environment admins can never be
+ * demoted or locked out from inside the bot.
+ */
+class RoleService {
+  /**
+   * @param {MemoryStorage} storage - Storage backend
+   * @param {Object} options - { adminUserIds, operatorUserIds }
+   */
+  constructor(storage, options = config.admin) {
+    this.storage = storage; // 'roles': userId -> { role, grantedBy, grantedAt }, 'blockedUsers': userId -> { blockedBy, blockedAt, reason }
+    this.adminUserIds = new Set(options.adminUserIds);
+    this.operatorUserIds = new Set(options.operatorUserIds);
+  }
+
+  /**
+   * Get the role configured in the environment
+   * @param {number} userId - Telegram user ID
+   * @returns {string} Role name
+   */
+  getConfiguredRole(userId) {
+    if (this.adminUserIds.has(userId)) return 'admin';
+    if (this.operatorUserIds.has(userId)) return 'operator';
+    return 'user';
+  }
+
+  /**
+   * Get a user's effective role
+   * @param {number} userId - Telegram user ID
+   * @returns {string} Role name
+   */
+  getRole(userId) {
+    const stored = this.storage.get('roles', userId);
+    const configured = this.getConfiguredRole(userId);
+    if (!stored) return configured;
+
+    return ROLES.indexOf(stored.role) > ROLES.indexOf(configured) ? stored.role : configured;
+  }
+
+  /**
+   * Check whether a user has at least the given role
+   * @param {number} userId - Telegram user ID
+   * @param {string} role - Required role
+   */
+  hasRole(userId, role) {
+    return ROLES.indexOf(this.getRole(userId)) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Grant or revoke a stored role
+   * @param {number} userId - Telegram user ID
+   * @param {string} role - 'admin', 'operator' or 'user' to revoke
+   * @param {number} grantedBy - Admin making the change
+   * @returns {Object} { success, message }
+   */
+  setRole(userId, role, grantedBy) {
+    if (!ROLES.includes(role)) {
+      return { success: false, message: `Unknown role: ${role}. Use one of ${ROLES.join(', ')}` };
+    }
+
+    const configured = this.getConfiguredRole(userId);
+    if (ROLES.indexOf(role) < ROLES.indexOf(configured)) {
+      return { success: false, message: `User ${userId} is ${configured} through the environment and cannot be demoted here` };
+    }
+
+    if (role === 'user' || role === configured) {
+      this.storage.delete('roles', userId);
+    } else {
+      this.storage.set('roles', userId, { role, grantedBy, grantedAt: new Date().toISOString() });
+    }
+
+    logger.info(`User ${grantedBy} set the role of ${userId} to ${role}`);
+    return { success: true, message: `User ${userId} is now ${this.getRole(userId)}` };
+  }
+
+  /**
+   * List every admin and operator
+   * @returns {Array<{userId: number, role: string, source: string}>} Staff members
+   */
+  getStaff() {
+    const staff = new Map();
+    [...this.adminUserIds, ...this.operatorUserIds].forEach(userId => {
+      staff.set(userId, { userId, role: this.getConfiguredRole(userId), source: 'env' });
+    });
+    this.storage.entries('roles').forEach(([userId]) => {
+      const id = Number(userId);
+      if (!staff.has(id) || this.getRole(id) !== staff.get(id).role) {
+        staff.set(id, { userId: id, role: this.getRole(id), source: 'storage' });
+      }
+    });
+
+    return [...staff.values()].sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role) || a.userId - b.userId);
+  }
+
+  /**
+   * Check whether a user is blocked
+   * @param {number} userId - Telegram user ID
+   */
+  isBlocked(userId) {
+    return Boolean(this.storage.get('blockedUsers', userId));
+  }
+
+  /**
+   * Get the block record of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Object|null} { blockedBy, blockedAt, reason }
+   */
+  getBlock(userId) {
+    return this.storage.get('blockedUsers', userId) || null;
+  }
+
+  /**
+   * Block a user from using the bot
+   * @param {number} userId - Telegram user ID
+   * @param {number} blockedBy - Staff member blocking the user
+   * @param {string} [reason] - Reason shown to staff
+   * @returns {Object} { success, message }
+   */
+  block(userId, blockedBy, reason = null) {
+    if (this.hasRole(userId, 'operator')) {
+      return { success: false, message: 'Staff members cannot be blocked' };
+    }
+    if (this.isBlocked(userId)) {
+      return { success: false, message: `User ${userId} is already blocked` };
+    }
+
+    this.storage.set('blockedUsers', userId, { blockedBy, blockedAt: new Date().toISOString(), reason });
+    logger.warn(`User ${blockedBy} blocked user ${userId}${reason ? `: ${reason}` : ''}`);
+    return { success: true, message: `User ${userId} is blocked` };
+  }
+
+  /**
+   * Lift a block
+   * @param {number} userId - Telegram user ID
+   * @param {number} unblockedBy - Staff member lifting the block
+   * @returns {Object} { success, message }
+   */
+  unblock(userId, unblockedBy) {
+    if (!this.storage.delete('blockedUsers', userId)) {
+      return { success: false, message: `User ${userId} is not blocked` };
+    }
+
+    logger.info(`User ${unblockedBy} unblocked user ${userId}`);
+    return { success: true, message: `User ${userId} is unblocked` };
+  }
+
+  /**
+   * Count blocked users
+   * @returns {number} Number of blocked users
+   */
+  getBlockedCount() {
+    return this.storage.count('blockedUsers');
+  }
+}
+
+module.exports = RoleService;
@@ -0,0 +1,44 @@
+const config = require('../config/config');
+
+/**
+ * Persists every computed domain score with its trait scores so changes
+ * can be reviewed over time.
+ */
+class ScoreHistoryService {
+  /**
+   * @param {MemoryStorage} storage - Storage backend
+   * @param {Object} options - { maxEntries }
+   */
+  constructor(storage, options = config.scoreHistory) {
+    this.storage = storage; // 'scoreHistory': domain -> Array of { timestamp, profile, overallScore, scores }
+    this.maxEntries = options.maxEntries;
+  }
+
+  /**
+   * Append a computed score
+   * @param {Object} result - Result of DomainScoringService.calculateDomainScore
+   */
+  record(result) {
+    const history = this.storage.get('scoreHistory', result.domain) || [];
+    history.push({
+      timestamp: result.timestamp,
+      profile: result.profile,
+      overallScore: result.overallScore,
+      scores: result.scores
+    });
+    this.storage.set('scoreHistory', result.domain, history.slice(-this.maxEntries));
+  }
+
+  /**
+   * Get the recorded scores of a domain
+   * @param {string} domain - Domain name
+   * @param {string} [profile] - Only return scores computed with this weight profile
+   * @returns {Array} Entries, oldest first
+   */
+  getHistory(domain, profile) {
+    const history = this.storage.get('scoreHistory', domain) || [];
+    return profile ? history.filter(entry => entry.profile === profile) : [...history];
+  }
+}
+
+module.exports = ScoreHistoryService;
@@ -0,0 +1,162 @@
+const cron = require('node-cron');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const ResponseFormatter = require('../utils/responseFormatter');
+
+/**
+ * Periodically re-scores watched domains and alerts users whose score
+ * threshold was crossed since the previous run, in either direction.
+ */
+class ScoreMonitorService {
+  /**
+   * @param {SubscriptionService} subscriptionService - Source of watched domains and alert delivery
+   * @param {DomainScoringService} scoringService - Scoring service
+   * @param {UserSettingsService} userSettingsService - Source of each user's weight profile
+   * @param {MemoryStorage} storage - Storage for the last score of each domain
+   * @param {Object} options - { schedule, topMovers }
+   */
+  constructor(subscriptionService, scoringService, userSettingsService, storage, options = config.scoreMonitor) {
+    this.subscriptionService = subscriptionService;
+    this.scoringService = scoringService;
+    this.userSettingsService = userSettingsService;
+    this.storage = storage; // 'scoreSnapshots': domain -> profile -> { overallScore, scores, timestamp }
+    this.schedule = options.schedule;
+    this.topMovers = options.topMovers;
+    this.task = null;
+  }
+
+  /**
+   * Start scheduled re-scoring
+   */
+  start() {
+    if (this.task) return;
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.checkScores().catch(error => logger.error('Error checking domain scores:', error));
+    });
+    logger.info(`Started score monitoring (${this.schedule})`);
+  }
+
+  /**
+   * Stop scheduled re-scoring
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('Stopped score monitoring');
+    }
+  }
+
+  /**
+   * Re-score every watched domain and alert on threshold crossings
+   */
+  async checkScores() {
+    for (const [domain, userIds] of this.subscriptionService.domainWatchers) {
+      try {
+        await this.checkDomainScore(domain, userIds);
+      } catch (error) {
+        logger.error(`Error checking score for domain ${domain}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Re-score a domain and alert its watchers
+   *
+   * The domain is scored once per weight profile in use by its watchers.
+   * @param {string} domain - Domain name
+   * @param {Set} userIds - Users watching this domain
+   */
+  async checkDomainScore(domain, userIds) {
+    const usersByProfile = new Map();
+    [...userIds].forEach(userId => {
+      const profile = this.userSettingsService.getProfile(userId);
+      if (!usersByProfile.has(profile)) {
+        usersByProfile.set(profile, []);
+      }
+      usersByProfile.get(profile).push(userId);
+    });
+
+    const snapshots = { ...(this.storage.get('scoreSnapshots', domain) || {}) };
+
+    for (const [profile, profileUserIds] of usersByProfile) {
+      const result = await this.scoringService.calculateDomainScore(domain, { skipCache: true, profile });
+      if (result.degraded) {
+        // A partial score would fake a crossing; keep the last complete snapshot
+        logger.warn(`Skipping score alerts for ${domain} (${profile}): upstream data is incomplete`);
+        continue;
+      }
+      const previous = snapshots[profile];
+
+      snapshots[profile] = {
+        overallScore: result.overallScore,
+        scores: result.scores,
+        timestamp: result.timestamp
+      };
+      this.storage.set('scoreSnapshots', domain, snapshots);
+
+      if (!previous) continue;
+
+      for (const userId of profileUserIds) {
+        const { scoreThreshold } = this.subscriptionService.getEffectivePreferences(userId, domain);
+        const event = this.getCrossingEvent(previous, result, scoreThreshold);
+        if (event) {
+          await this.subscriptionService.sendEventAlert(userId, domain, [event]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Build a SCORE_THRESHOLD event if the score crossed the threshold
+   * @param {Object} previous - Previous { overallScore, scores }
+   * @param {Object} current - Current { overallScore, scores }
+   * @param {number} threshold - User's score threshold
+   * @returns {Object|null} Event, or null if the threshold was not crossed
+   */
+  getCrossingEvent(previous, current, threshold) {
+    const rose = previous.overallScore < threshold && current.overallScore >= threshold;
+    const fell = previous.overallScore >= threshold && current.overallScore < threshold;
+    if (!rose && !fell) return null;
+
+    const movers = this.getTopMovers(previous.scores, current.scores);
+    let message = `Score ${rose ? 'rose above' : 'fell below'} your threshold of ${threshold}: ` +
+      `${previous.overallScore} → ${current.overallScore}`;
+
+    if (movers.length > 0) {
+      const moved = movers.map(mover =>
+        `${ResponseFormatter.formatTraitName(mover.trait)} ${mover.change > 0 ? '+' : ''}${mover.change}`
+      );
+      message += `\nBiggest changes: ${moved.join(', ')}`;
+    }
+
+    return {
+      type: 'SCORE_THRESHOLD',
+      message,
+      data: {
+        threshold,
+        previousScore: previous.overallScore,
+        currentScore: current.overallScore,
+        movers
+      }
+    };
+  }
+
+  /**
+   * Traits whose scores changed the most
+   */
+  getTopMovers(previousScores = {}, currentScores = {}) {
+    return Object.keys(currentScores)
+      .filter(trait => trait in previousScores)
+      .map(trait => ({
+        trait,
+        change: Math.round((currentScores[trait] - previousScores[trait]) * 100) / 100
+      }))
+      .filter(mover => mover.change !== 0)
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+      .slice(0, this.topMovers);
+  }
+}
+
+module.exports = ScoreMonitorService;
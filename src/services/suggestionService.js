@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const DomainValidator = require('../utils/domainValidator');
+const { parseDomain, getPublicSuffixList } = require('../utils/domainParser');
+const { analyzeName } = require('../utils/nameAnalyzer');
+
+const MAX_KEYWORDS = 3;
+const MAX_TLDS = 5;
+const MAX_LABEL_LENGTH = 20;
+const SYNONYMS_PER_KEYWORD = 3;
+
+// Affixes common in startup and product names
+const PREFIXES = ['get', 'try', 'my', 'the', 'go', 'use'];
+const SUFFIXES = ['hq', 'hub', 'app', 'ly', 'ify', 'labs', 'now', 'pro'];
+
+/**
+ * Generates domain names from keywords and ranks the free ones.
+ *
+ * Candidates come from the keywords and their synonyms (thesaurus.txt in
+ * WORD_LISTS_DIR), compounds of two of them, affixes such as `get` or `hub`,
+ * and TLD hacks where a TLD ends the word (`delicio.us`). They are pre-ranked
+ * on name-only traits, the best SUGGEST_MAX_CHECKED are checked with the
+ * variant resolver, and the best SUGGEST_MAX_SCORED that are not taken are
+ * scored with DomainScoringService.
+ */
+class SuggestionService {
+  /**
+   * @param {Object} options - { scoringService, variantResolver, thesaurus: keyword -> synonyms, thesaurus.txt by default }
+   */
+  constructor(options) {
+    this.scoringService = options.scoringService;
+    this.variantResolver = options.variantResolver;
+    this.thesaurus = options.thesaurus || SuggestionService.loadThesaurus(path.join(config.domains.wordListsDir, 'thesaurus.txt'));
+  }
+
+  /**
+   * Load a thesaurus file of `keyword: synonym, synonym` lines
+   * @param {string} filePath - Path of the file
+   * @returns {Map<string, Array<string>>} keyword -> synonyms
+   */
+  static loadThesaurus(filePath) {
+    const thesaurus = new Map();
+    if (!fs.existsSync(filePath)) {
+      logger.warn(`Thesaurus ${filePath} not found, suggestions will not use synonyms`);
+      return thesaurus;
+    }
+
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach(rawLine => {
+      const line = rawLine.trim().toLowerCase();
+      if (!line || line.startsWith('#') || !line.includes(':')) return;
+
+      const [keyword, synonyms] = line.split(':');
+      thesaurus.set(keyword.trim(), synonyms.split(',').map(synonym => synonym.trim()).filter(Boolean));
+    });
+    return thesaurus;
+  }
+
+  /**
+   * Split /suggest input into keywords and TLDs; TLDs are written with a leading dot
+   * @param {string} input - e.g. "coffee shop .io .ai"
+   * @returns {Object} { keywords, tlds } (tlds empty when none were given)
+   */
+  static parseQuery(input) {
+    const tokens = input.toLowerCase().split(/[\s,]+/).filter(Boolean);
+
+    const tlds = tokens
+      .filter(token => token.startsWith('.'))
+      .map(token => token.slice(1))
+      .filter(tld => /^[a-z0-9-]+$/.test(tld));
+    const keywords = tokens
+      .filter(token => !token.startsWith('.'))
+      .map(token => token.replace(/[^a-z0-9]/g, ''))
+      .filter(Boolean);
+
+    return {
+      keywords: [...new Set(keywords)].slice(0, MAX_KEYWORDS),
+      tlds: [...new Set(tlds)].slice(0, MAX_TLDS)
+    };
+  }
+
+  /**
+   * Generate candidate names
+   * @param {Array<string>} keywords - Lowercase keywords
+   * @param {Array<string>} tlds - TLDs to put the labels on
+   * @returns {Array<Object>} { domain, kind: keyword|synonym|compound|affix|hack }, without duplicates
+   */
+  generateCandidates(keywords, tlds) {
+    const synonyms = [...new Set(keywords.flatMap(keyword => (this.thesaurus.get(keyword) || []).slice(0, SYNONYMS_PER_KEYWORD)))]
+      .filter(synonym => !keywords.includes(synonym));
+    const terms = [...keywords, ...synonyms];
+    const labels = [];
+
+    keywords.forEach(keyword => labels.push({ label: keyword, kind: 'keyword' }));
+    synonyms.forEach(synonym => labels.push({ label: synonym, kind: 'synonym' }));
+
+    // Two terms, at least one of them a keyword
+    terms.forEach(first => {
+      terms.forEach(second => {
+        if (first !== second && (keywords.includes(first) || keywords.includes(second))) {
+          labels.push({ label: first + second, kind: 'compound' });
+        }
+      });
+    });
+
+    keywords.forEach(keyword => {
+      PREFIXES.forEach(prefix => labels.push({ label: prefix + keyword, kind: 'affix' }));
+      SUFFIXES.forEach(suffix => labels.push({ label: keyword + suffix, kind: 'affix' }));
+    });
+
+    const candidates = labels
+      .filter(({ label }) => label.length <= MAX_LABEL_LENGTH)
+      .flatMap(({ label, kind }) => tlds.map(tld => ({ name: `${label}.${tld}`, kind })));
+
+    // TLD hacks: the end of a term or compound is a TLD (brew.coffee, delicio.us)
+    const hackTlds = getPublicSuffixList().getTopLevelDomains();
+    labels.filter(({ kind }) => kind !== 'affix').forEach(({ label }) => {
+      hackTlds.forEach(tld => {
+        if (label.endsWith(tld) && label.length - tld.length >= 2) {
+          candidates.push({ name: `${label.slice(0, -tld.length)}.${tld}`, kind: 'hack' });
+        }
+      });
+    });
+
+    const seen = new Set();
+    return candidates.reduce((unique, candidate) => {
+      const validation = DomainValidator.validateDomain(candidate.name);
+      if (validation.valid && !seen.has(validation.domain)) {
+        seen.add(validation.domain);
+        unique.push({ domain: validation.domain, kind: candidate.kind });
+      }
+      return unique;
+    }, []);
+  }
+
+  /**
+   * Quick score from the name alone (brand, length and extension traits),
+   * used to pick which candidates are worth checking and scoring
+   * @param {string} domain - Domain in ASCII form
+   * @returns {number} Score
+   */
+  preRank(domain) {
+    const name = parseDomain(DomainValidator.toUnicode(domain));
+    const linguistics = analyzeName(name.label);
+
+    return this.scoringService.calculateBrandScore(name, {}, linguistics) +
+      this.scoringService.calculateLengthScore(name) +
+      this.scoringService.calculateExtensionScore(name);
+  }
+
+  /**
+   * Suggest free domains for keywords
+   * @param {Array<string>} keywords - Lowercase keywords
+   * @param {Object} [options] - { tlds, profile, limit }
+   * @returns {Promise<Object>} { keywords, tlds, generated, checked, taken, scored: names sent to scoring,
+   * suggestions: [{ domain, displayName, kind, status, overallScore, degraded }] }
+   */
+  async suggest(keywords, options = {}) {
+    const tlds = options.tlds && options.tlds.length > 0 ? options.tlds : config.suggestions.tlds;
+    const limit = options.limit || config.suggestions.limit;
+
+    const candidates = this.generateCandidates(keywords, tlds)
+      .map(candidate => ({ ...candidate, rank: this.preRank(candidate.domain) }))
+      .sort((a, b) => b.rank - a.rank);
+    const checked = candidates.slice(0, config.suggestions.maxChecked);
+
+    const statuses = await this.variantResolver.checkNames(checked.map(candidate => candidate.domain));
+    const free = checked
+      .map((candidate, index) => ({ ...candidate, status: statuses[index].status }))
+      .filter(candidate => candidate.status !== 'taken');
+
+    logger.info(`Suggesting for [${keywords.join(', ')}]: ${candidates.length} generated, ${checked.length} checked, ${free.length} not taken`);
+
+    const toScore = free.slice(0, config.suggestions.maxScored);
+    const scored = await Promise.all(toScore.map(async (candidate) => {
+      try {
+        // Nobody asked for these names, so their scores are not kept in history
+        const score = await this.scoringService.calculateDomainScore(candidate.domain, { profile: options.profile, record: false });
+        return {
+          domain: candidate.domain,
+          displayName: score.displayName,
+          kind: candidate.kind,
+          status: candidate.status,
+          overallScore: score.overallScore,
+          degraded: score.degraded
+        };
+      } catch (error) {
+        logger.warn(`Could not score suggestion ${candidate.domain}: ${error.message}`);
+        return null;
+      }
+    }));
+
+    return {
+      keywords,
+      tlds,
+      generated: candidates.length,
+      checked: checked.length,
+      taken: checked.length - free.length,
+      scored: toScore.length,
+      suggestions: scored
+        .filter(Boolean)
+        .sort((a, b) => b.overallScore - a.overallScore)
+        .slice(0, limit)
+    };
+  }
+}
+
+module.exports = SuggestionService;
@@ -0,0 +1,178 @@
+const logger = require('../utils/logger');
+const SubscriptionFormatter = require('../utils/SubscriptionFormatter');
+
+/**
+ * Delivers alerts to Telegram through a rate limited queue.
+ *
+ * Telegram allows roughly one message per second to the same chat and
+ * about thirty per second overall. Messages are queued and sent within
+ * those limits; 429 responses are retried after the `retry_after` the API
+ * asks for, and chats that blocked the bot (403) are reported through
+ * `onBlocked` and dropped from the queue.
+ */
+class TelegramNotifier {
+  /**
+   * @param {TelegramBot} bot - Bot used to send messages
+   * @param {Object} options - { perChatIntervalMs, globalPerSecond, maxRetries, onBlocked }
+   */
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.perChatIntervalMs = options.perChatIntervalMs || 1000;
+    this.globalPerSecond = options.globalPerSecond || 30;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.onBlocked = options.onBlocked || (() => {});
+
+    this.queue = [];
+    this.lastSentByChat = new Map(); // chatId -> timestamp of last send
+    this.recentSends = []; // timestamps of sends within the last second
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.isProcessing = false;
+    this.isStopped = false;
+  }
+
+  /**
+   * Notifier interface used by SubscriptionService
+   * @param {number} userId - Telegram user ID
+   * @param {string} domain - Domain name
+   * @param {Array} events - Events to alert about
+   */
+  notify(userId, domain, events) {
+    const message = SubscriptionFormatter.formatEventAlert(domain, events);
+    this.enqueue(userId, message, { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * Queue a message for delivery
+   * @param {number} chatId - Chat ID
+   * @param {string} text - Message text
+   * @param {Object} options - sendMessage options
+   */
+  enqueue(chatId, text, options = {}) {
+    if (this.isStopped) return;
+
+    this.queue.push({ chatId, text, options, attempts: 0, notBefore: 0 });
+    this.schedule(0);
+  }
+
+  /**
+   * Stop delivering queued messages
+   */
+  stop() {
+    this.isStopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.queue.length > 0) {
+      logger.warn(`Notifier stopped with ${this.queue.length} undelivered messages`);
+    }
+  }
+
+  schedule(delayMs) {
+    if (this.timer || this.isProcessing || this.isStopped) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processQueue().catch(error => logger.error('Error processing notification queue:', error));
+    }, delayMs);
+  }
+
+  async processQueue() {
+    this.isProcessing = true;
+
+    try {
+      while (this.queue.length > 0 && !this.isStopped) {
+        const now = Date.now();
+        const wait = this.getWaitTime(now);
+        if (wait > 0) {
+          this.isProcessing = false;
+          this.schedule(wait);
+          return;
+        }
+
+        const index = this.queue.findIndex(job => this.getJobWaitTime(job, now) === 0);
+        const [job] = this.queue.splice(index, 1);
+        await this.deliver(job);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Time until the next queued message may be sent
+   */
+  getWaitTime(now) {
+    this.recentSends = this.recentSends.filter(sentAt => now - sentAt < 1000);
+    this.pruneSentByChat(now);
+
+    const globalWait = Math.max(
+      this.pausedUntil - now,
+      this.recentSends.length >= this.globalPerSecond ? this.recentSends[0] + 1000 - now : 0
+    );
+
+    const jobWait = Math.min(...this.queue.map(job => this.getJobWaitTime(job, now)));
+    return Math.max(globalWait, jobWait);
+  }
+
+  /**
+   * Forget chats whose per-chat interval has passed, they no longer delay anything
+   */
+  pruneSentByChat(now) {
+    for (const [chatId, sentAt] of this.lastSentByChat) {
+      if (now - sentAt >= this.perChatIntervalMs) {
+        this.lastSentByChat.delete(chatId);
+      }
+    }
+  }
+
+  getJobWaitTime(job, now) {
+    const lastSent = this.lastSentByChat.get(job.chatId) || 0;
+    return Math.max(0, job.notBefore - now, lastSent + this.perChatIntervalMs - now);
+  }
+
+  async deliver(job) {
+    const sentAt = Date.now();
+    this.lastSentByChat.set(job.chatId, sentAt);
+    this.recentSends.push(sentAt);
+
+    try {
+      job.attempts += 1;
+      await this.bot.sendMessage(job.chatId, job.text, job.options);
+    } catch (error) {
+      this.handleDeliveryError(job, error);
+    }
+  }
+
+  handleDeliveryError(job, error) {
+    const statusCode = error.response?.statusCode;
+    const retryAfter = error.response?.body?.parameters?.retry_after;
+
+    if (statusCode === 403) {
+      logger.warn(`Chat ${job.chatId} blocked the bot, dropping its alerts`);
+      this.queue = this.queue.filter(queued => queued.chatId !== job.chatId);
+      this.lastSentByChat.delete(job.chatId);
+      this.onBlocked(job.chatId);
+      return;
+    }
+
+    if (statusCode === 429 && retryAfter !== undefined) {
+      // Flood limits apply to the whole bot, so hold every chat back
+      logger.warn(`Telegram rate limit hit, retrying in ${retryAfter}s`);
+      this.pausedUntil = Date.now() + retryAfter * 1000;
+      this.queue.unshift(job);
+      return;
+    }
+
+    if (job.attempts <= this.maxRetries) {
+      job.notBefore = Date.now() + 1000 * 2 ** job.attempts;
+      this.queue.push(job);
+      return;
+    }
+
+    logger.error(`Error sending alert to chat ${job.chatId}:`, error);
+  }
+}
+
+module.exports = TelegramNotifier;
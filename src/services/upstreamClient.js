@@ -0,0 +1,219 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Error raised when an upstream call fails after retries, times out or is
+ * rejected by an open circuit breaker
+ */
+class UpstreamError extends Error {
+  /**
+   * @param {string} upstream - Upstream name
+   * @param {string} message - Error message
+   * @param {Object} details - { cause, circuitOpen }
+   */
+  constructor(upstream, message, details = {}) {
+    super(`${upstream}: ${message}`);
+    this.name = 'UpstreamError';
+    this.upstream = upstream;
+    this.cause = details.cause;
+    this.circuitOpen = Boolean(details.circuitOpen);
+  }
+}
+
+/**
+ * Circuit breaker of one upstream.
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and calls
+ * are rejected without being sent. Once `resetTimeoutMs` has passed a single
+ * trial call is let through (half-open); its outcome closes the circuit or
+ * opens it for another period.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - { failureThreshold, resetTimeoutMs }
+   */
+  constructor(options) {
+    this.failureThreshold = options.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check whether a call may be sent, claiming the trial call when half-open
+   */
+  tryAcquire(now = Date.now()) {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && now - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(now = Date.now()) {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+}
+
+/**
+ * Wraps calls to one upstream (Doma GraphQL, Doma RPC, a metrics provider)
+ * with a timeout, jittered exponential retries and a circuit breaker.
+ *
+ * Only transport failures count: timeouts, network errors, 429 and 5xx
+ * responses are retried and trip the breaker. Other errors (4xx, GraphQL
+ * errors in a 200 response) are the caller's problem and pass through.
+ */
+class UpstreamClient {
+  /**
+   * @param {string} name - Upstream name, used in logs and errors
+   * @param {Object} options - { timeoutMs, retries, baseDelayMs, maxDelayMs, failureThreshold, resetTimeoutMs }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.retries = options.retries !== undefined ? options.retries : 2;
+    this.baseDelayMs = options.baseDelayMs || 250;
+    this.maxDelayMs = options.maxDelayMs || 4000;
+    this.breaker = new CircuitBreaker({
+      failureThreshold: options.failureThreshold || 5,
+      resetTimeoutMs: options.resetTimeoutMs || 30000
+    });
+  }
+
+  /**
+   * Call the upstream
+   * @param {Function} fn - Async (signal) => result; should abort its request when signal fires
+   * @returns {Promise<*>} Result of fn
+   */
+  async call(fn) {
+    for (let attempt = 0; ; attempt++) {
+      if (!this.breaker.tryAcquire()) {
+        throw new UpstreamError(this.name, 'circuit open, upstream unavailable', { circuitOpen: true });
+      }
+
+      try {
+        const result = await this.withTimeout(fn);
+        this.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (!UpstreamClient.isTransportFailure(error)) {
+          this.breaker.recordSuccess();
+          throw error;
+        }
+
+        this.breaker.recordFailure();
+        if (attempt >= this.retries || this.breaker.state === 'open') {
+          logger.warn(`${this.name} failed after ${attempt + 1} attempts: ${error.message}`);
+          throw new UpstreamError(this.name, error.message, { cause: error });
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        logger.debug(`${this.name} attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Full jitter backoff: a random delay up to base * 2^attempt, or the
+   * upstream's Retry-After when it sent one
+   */
+  getRetryDelay(attempt, error) {
+    const headers = error.response?.headers;
+    // axios gives plain header objects, fetch based clients Headers instances
+    const retryAfter = parseInt(headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']), 10);
+    if (retryAfter > 0) {
+      return Math.min(this.maxDelayMs, retryAfter * 1000);
+    }
+    return Math.round(Math.random() * Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt));
+  }
+
+  withTimeout(fn) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`timed out after ${this.timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        controller.abort(error);
+        reject(error);
+      }, this.timeoutMs);
+    });
+
+    return Promise.race([fn(controller.signal), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Breaker state for admin statistics
+   */
+  getState() {
+    const { state, failures, openedAt, resetTimeoutMs } = this.breaker;
+    return {
+      name: this.name,
+      state,
+      failures,
+      retryInSeconds: state === 'open' ? Math.max(0, Math.ceil((openedAt + resetTimeoutMs - Date.now()) / 1000)) : 0
+    };
+  }
+
+  /**
+   * Check whether an error means the upstream itself is failing
+   */
+  static isTransportFailure(error) {
+    const status = error.response?.status;
+    if (status !== undefined) {
+      return status === 429 || status >= 500;
+    }
+    // No HTTP response: network error, abort or timeout
+    return true;
+  }
+}
+
+const upstreams = new Map(); // name -> UpstreamClient
+
+/**
+ * Get the shared client of an upstream, so every caller trips the same breaker
+ * @param {string} name - Upstream name
+ * @returns {UpstreamClient} Client
+ */
+function getUpstream(name) {
+  if (!upstreams.has(name)) {
+    upstreams.set(name, new UpstreamClient(name, config.upstream));
+  }
+  return upstreams.get(name);
+}
+
+/**
+ * States of every upstream used so far
+ * @returns {Array<{name: string, state: string, failures: number, retryInSeconds: number}>} Breaker states
+ */
+function getUpstreamStates() {
+  return [...upstreams.values()].map(upstream => upstream.getState());
+}
+
+module.exports = {
+  UpstreamClient,
+  UpstreamError,
+  CircuitBreaker,
+  getUpstream,
+  getUpstreamStates
+};
@@ -0,0 +1,57 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Per-user settings that are not tied to subscriptions
+ */
+class UserSettingsService {
+  /**
+   * @param {MemoryStorage} storage - Storage backend
+   */
+  constructor(storage) {
+    this.storage = storage; // 'userSettings': userId -> { profile }
+  }
+
+  /**
+   * Get a user's settings
+   * @param {number} userId - Telegram user ID
+   * @returns {Object} Settings with defaults applied
+   */
+  getSettings(userId) {
+    return {
+      profile: config.scoring.defaultProfile,
+      ...(this.storage.get('userSettings', userId) || {})
+    };
+  }
+
+  /**
+   * Get the weight profile a user scores with
+   * @param {number} userId - Telegram user ID
+   * @returns {string} Profile name
+   */
+  getProfile(userId) {
+    return this.getSettings(userId).profile;
+  }
+
+  /**
+   * Select the weight profile a user scores with
+   * @param {number} userId - Telegram user ID
+   * @param {string} profile - Profile name
+   */
+  setProfile(userId, profile) {
+    this.updateSettings(userId, { profile });
+    logger.info(`User ${userId} switched to the ${profile} weight profile`);
+  }
+
+  /**
+   * Merge settings into a user's stored settings
+   * @param {number} userId - Telegram user ID
+   * @param {Object} settings - Settings to change
+   */
+  updateSettings(userId, settings) {
+    const current = this.storage.get('userSettings', userId) || {};
+    this.storage.set('userSettings', userId, { ...current, ...settings });
+  }
+}
+
+module.exports = UserSettingsService;
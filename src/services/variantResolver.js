@@ -0,0 +1,233 @@
+const dns = require('dns');
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const DomainValidator = require('../utils/domainValidator');
+const { parseDomain } = require('../utils/domainParser');
+const { getUpstream } = require('./upstreamClient');
+const RdapClient = require('./rdapClient');
+
+/*
+ * Lookups tell, for a list of names, whether each one is 'taken', 'available'
+ * or 'unknown'. Any object with a `name` and an async `check(names, options)`
+ * returning one { status, tokenized } per name can be plugged in.
+ */
+
+/**
+ * Names known to Doma are taken, tokenized or not. Absence on Doma says
+ * nothing about DNS registration, so other names stay unknown.
+ */
+class DomaLookup {
+  constructor(domaService) {
+    this.name = 'doma';
+    this.domaService = domaService;
+  }
+
+  async check(names, options = {}) {
+    // One name search covers every extension of a label
+    const labels = [...new Set(names.map(name => parseDomain(name).label))];
+    const known = new Map(); // name -> tokenized
+
+    await Promise.all(labels.map(async (label) => {
+      const sample = names.find(name => parseDomain(name).label === label);
+      try {
+        const similar = await this.domaService.getSimilarDomains(sample, options);
+        similar.forEach(item => known.set(item.name, Boolean(item.createdAt)));
+      } catch (error) {
+        logger.warn(`Doma variant lookup failed for ${label}: ${error.message}`);
+      }
+    }));
+
+    return names.map(name => (known.has(name) ? { status: 'taken', tokenized: known.get(name) } : { status: 'unknown' }));
+  }
+}
+
+/**
+ * Delegation in DNS: a name with NS records is registered, NXDOMAIN means
+ * nothing is delegated. Quick, but a registered name without delegation
+ * reads as available. Web3 names are not in DNS and stay unknown.
+ */
+class DnsLookup {
+  /**
+   * @param {Object} options - { servers: resolvers as host[:port], timeoutMs }
+   */
+  constructor(options) {
+    this.name = 'dns';
+    this.resolver = new dns.promises.Resolver({ timeout: options.timeoutMs, tries: 1 });
+    if (options.servers.length > 0) {
+      this.resolver.setServers(options.servers);
+    }
+    this.upstream = getUpstream('dns');
+  }
+
+  check(names) {
+    return Promise.all(names.map(name => this.checkName(name)));
+  }
+
+  async checkName(name) {
+    if (DomainValidator.isWeb3Domain(name)) return { status: 'unknown' };
+
+    try {
+      return await this.upstream.call(async () => {
+        try {
+          await this.resolver.resolveNs(name);
+          return { status: 'taken' };
+        } catch (error) {
+          if (error.code === dns.NOTFOUND) return { status: 'available' };
+          if (error.code === dns.NODATA) return { status: 'taken' };
+          throw error;
+        }
+      });
+    } catch (error) {
+      logger.debug(`DNS variant lookup failed for ${name}: ${error.message}`);
+      return { status: 'unknown' };
+    }
+  }
+}
+
+/**
+ * Registry data over RDAP, authoritative for registration
+ */
+class RdapLookup {
+  constructor(rdapClient) {
+    this.name = 'rdap';
+    this.rdapClient = rdapClient;
+  }
+
+  check(names) {
+    return Promise.all(names.map(async (name) => {
+      if (DomainValidator.isWeb3Domain(name)) return { status: 'unknown' };
+
+      try {
+        const record = await this.rdapClient.getDomain(name);
+        return { status: record ? 'taken' : 'available' };
+      } catch (error) {
+        logger.debug(`RDAP variant lookup failed for ${name}: ${error.message}`);
+        return { status: 'unknown' };
+      }
+    }));
+  }
+}
+
+/**
+ * Answers from a JSON file mapping names to 'taken' or 'available', for
+ * offline runs and tests. Names missing from the file are available.
+ */
+class FixtureLookup {
+  constructor(filePath) {
+    this.name = 'fixture';
+    this.filePath = filePath;
+    this.statuses = null;
+  }
+
+  async check(names) {
+    if (!this.statuses) {
+      this.statuses = fs.existsSync(this.filePath) ? JSON.parse(fs.readFileSync(this.filePath, 'utf8')) : {};
+    }
+    return names.map(name => ({ status: this.statuses[name] || 'available' }));
+  }
+}
+
+/**
+ * Checks which extensions of a name are taken, asking the configured lookups
+ * in order (VARIANT_RESOLVERS). The first definite answer for a name wins;
+ * definite answers are cached in the `variants` namespace.
+ */
+class VariantResolver {
+  /**
+   * @param {Object} options - { domaService, rdapClient, cache, lookups: replaces the configured lookups, tlds }
+   */
+  constructor(options = {}) {
+    this.cache = options.cache || null;
+    this.tlds = options.tlds || config.variants.tlds;
+    this.lookups = options.lookups || VariantResolver.createLookups(config.variants.resolvers, options);
+  }
+
+  /**
+   * Create lookups by name
+   * @param {Array<string>} names - doma, dns, rdap or fixture
+   * @param {Object} options - { domaService, rdapClient }
+   * @returns {Array<Object>} Lookups
+   */
+  static createLookups(names, options = {}) {
+    return names.map(name => {
+      switch (name) {
+        case 'doma':
+          return new DomaLookup(options.domaService);
+        case 'dns':
+          return new DnsLookup({ servers: config.variants.dnsServers, timeoutMs: config.variants.dnsTimeoutMs });
+        case 'rdap':
+          return new RdapLookup(options.rdapClient || new RdapClient());
+        case 'fixture':
+          return new FixtureLookup(config.variants.fixturesPath);
+        default:
+          throw new Error(`Unknown variant resolver: ${name}`);
+      }
+    });
+  }
+
+  /**
+   * Check the domain's label on its own suffix and every configured TLD
+   * @param {string} domain - Domain in ASCII form
+   * @param {Object} [options] - { skipCache }
+   * @returns {Promise<Object>} { domain, label, variants: [{ name, suffix, status, tokenized, source }] }, the domain's own suffix first
+   */
+  async resolve(domain, options = {}) {
+    const { label, suffix } = parseDomain(domain);
+    const suffixes = [suffix, ...this.tlds.filter(tld => tld !== suffix)];
+    const names = suffixes.map(tld => `${label}.${tld}`);
+    const statuses = await this.checkNames(names, options);
+
+    return {
+      domain,
+      label,
+      variants: names.map((name, index) => ({ name, suffix: suffixes[index], ...statuses[index] }))
+    };
+  }
+
+  /**
+   * Check whether names are taken
+   * @param {Array<string>} names - Domains in ASCII form
+   * @param {Object} [options] - { skipCache }
+   * @returns {Promise<Array<Object>>} { status: taken|available|unknown, tokenized, source } per name
+   */
+  async checkNames(names, options = {}) {
+    const results = await Promise.all(names.map(name =>
+      (this.cache && !options.skipCache ? this.cache.get('variants', name) : null)
+    ));
+    let pending = names.map((name, index) => index).filter(index => !results[index]);
+    const resolved = [...pending];
+
+    for (const lookup of this.lookups) {
+      if (pending.length === 0) break;
+
+      const answers = await lookup.check(pending.map(index => names[index]), options);
+      pending = pending.filter((index, position) => {
+        const answer = answers[position];
+        if (answer.status === 'unknown') return true;
+        results[index] = { status: answer.status, tokenized: Boolean(answer.tokenized), source: lookup.name };
+        return false;
+      });
+    }
+
+    pending.forEach(index => {
+      results[index] = { status: 'unknown', tokenized: false, source: null };
+    });
+
+    if (this.cache) {
+      await Promise.all(resolved
+        .filter(index => results[index].status !== 'unknown')
+        .map(index => this.cache.set('variants', names[index], results[index])));
+    }
+
+    return results;
+  }
+}
+
+module.exports = {
+  VariantResolver,
+  DomaLookup,
+  DnsLookup,
+  RdapLookup,
+  FixtureLookup
+};
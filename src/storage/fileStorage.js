@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const MemoryStorage = require('./memoryStorage');
+const { runMigrations } = require('./migrations');
+
+/**
+ * JSON file backed storage.
+ *
+ * The whole dataset is kept in memory and written to disk shortly after each
+ * change. Writes go to a temporary file that is renamed over the original so
+ * a crash mid-write never leaves a truncated file behind.
+ */
+class FileStorage extends MemoryStorage {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Object} options - { writeDelayMs }
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.writeDelayMs = options.writeDelayMs !== undefined ? options.writeDelayMs : 500;
+    this.writeTimer = null;
+    this.dirty = false;
+    this.writing = Promise.resolve();
+  }
+
+  async init() {
+    if (fs.existsSync(this.filePath)) {
+      this.data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    }
+
+    const applied = runMigrations(this.data);
+    if (applied.length > 0) {
+      logger.info(`Applied storage migrations: ${applied.join(', ')}`);
+      this.dirty = true;
+      await this.flush();
+    }
+
+    logger.info(`Loaded storage from ${this.filePath} (schema v${this.data.schemaVersion})`);
+  }
+
+  onChange() {
+    this.dirty = true;
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush().catch(error => logger.error('Error writing storage file:', error));
+    }, this.writeDelayMs);
+  }
+
+  async flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+    if (!this.dirty) return;
+
+    this.dirty = false;
+    const contents = JSON.stringify(this.data);
+
+    // Writes are chained so two flushes never share the temporary file
+    this.writing = this.writing
+      .catch(() => {})
+      .then(() => this.writeFile(contents));
+    await this.writing;
+  }
+
+  /**
+   * Replace the storage file atomically
+   * @param {string} contents - Serialized data
+   */
+  async writeFile(contents) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, contents);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileStorage;
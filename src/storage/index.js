@@ -0,0 +1,24 @@
+const MemoryStorage = require('./memoryStorage');
+const FileStorage = require('./fileStorage');
+
+/**
+ * Create the storage backend selected in config
+ * @param {Object} options - { driver: 'file' | 'memory', path }
+ * @returns {MemoryStorage} Storage instance (call init() before use)
+ */
+function createStorage(options) {
+  switch (options.driver) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage(options.path);
+    default:
+      throw new Error(`Unknown storage driver: ${options.driver}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  MemoryStorage,
+  FileStorage
+};
@@ -0,0 +1,98 @@
+const { runMigrations } = require('./migrations');
+
+/**
+ * In-memory key/value storage organised in named collections.
+ *
+ * Defines the storage interface used by the services: reads are synchronous
+ * against the in-memory state, writes are persisted by subclasses on flush().
+ * Values must be JSON-serializable.
+ */
+class MemoryStorage {
+  constructor() {
+    this.data = { schemaVersion: 0, collections: {} };
+  }
+
+  /**
+   * Prepare the storage for use
+   */
+  async init() {
+    runMigrations(this.data);
+  }
+
+  /**
+   * Get a value
+   * @param {string} collection - Collection name
+   * @param {string|number} key - Entry key
+   * @returns {*} Stored value or undefined
+   */
+  get(collection, key) {
+    const entries = this.data.collections[collection];
+    return entries ? entries[String(key)] : undefined;
+  }
+
+  /**
+   * Store a value
+   * @param {string} collection - Collection name
+   * @param {string|number} key - Entry key
+   * @param {*} value - JSON-serializable value
+   */
+  set(collection, key, value) {
+    if (!this.data.collections[collection]) {
+      this.data.collections[collection] = {};
+    }
+    this.data.collections[collection][String(key)] = value;
+    this.onChange();
+  }
+
+  /**
+   * Remove a value
+   * @param {string} collection - Collection name
+   * @param {string|number} key - Entry key
+   * @returns {boolean} True if a value was removed
+   */
+  delete(collection, key) {
+    const entries = this.data.collections[collection];
+    if (!entries || !(String(key) in entries)) return false;
+
+    delete entries[String(key)];
+    this.onChange();
+    return true;
+  }
+
+  /**
+   * List all entries of a collection
+   * @param {string} collection - Collection name
+   * @returns {Array<[string, *]>} Key/value pairs
+   */
+  entries(collection) {
+    return Object.entries(this.data.collections[collection] || {});
+  }
+
+  /**
+   * Count entries of a collection
+   * @param {string} collection - Collection name
+   * @returns {number} Number of entries
+   */
+  count(collection) {
+    return Object.keys(this.data.collections[collection] || {}).length;
+  }
+
+  /**
+   * Called after every write
+   */
+  onChange() {}
+
+  /**
+   * Persist pending writes
+   */
+  async flush() {}
+
+  /**
+   * Flush and release resources
+   */
+  async close() {
+    await this.flush();
+  }
+}
+
+module.exports = MemoryStorage;
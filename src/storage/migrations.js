@@ -0,0 +1,134 @@
+/**
+ * Storage schema migrations.
+ *
+ * Each migration upgrades the stored data by one version. Append new
+ * migrations to the end of the list and never edit one that has shipped.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema with user subscriptions',
+    up(data) {
+      data.collections.subscriptions = data.collections.subscriptions || {};
+    }
+  },
+  {
+    version: 2,
+    description: 'Per-domain event watermarks',
+    up(data) {
+      data.collections.watermarks = data.collections.watermarks || {};
+    }
+  },
+  {
+    version: 3,
+    description: 'Per-domain alert preference overrides',
+    up(data) {
+      Object.values(data.collections.subscriptions).forEach(userSub => {
+        userSub.domainPreferences = userSub.domainPreferences || {};
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Sent expiration milestones',
+    up(data) {
+      data.collections.expirationMilestones = data.collections.expirationMilestones || {};
+    }
+  },
+  {
+    version: 5,
+    description: 'Last computed score of watched domains',
+    up(data) {
+      data.collections.scoreSnapshots = data.collections.scoreSnapshots || {};
+    }
+  },
+  {
+    version: 6,
+    description: 'Listing price history and price change percentage preference',
+    up(data) {
+      data.collections.priceHistory = data.collections.priceHistory || {};
+      Object.values(data.collections.subscriptions).forEach(userSub => {
+        if (userSub.preferences.priceChangePercent === undefined) {
+          userSub.preferences.priceChangePercent = 10;
+        }
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'User settings and per-profile score snapshots',
+    up(data) {
+      data.collections.userSettings = data.collections.userSettings || {};
+      Object.keys(data.collections.scoreSnapshots).forEach(domain => {
+        const snapshot = data.collections.scoreSnapshots[domain];
+        if (snapshot && 'overallScore' in snapshot) {
+          data.collections.scoreSnapshots[domain] = { default: snapshot };
+        }
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Score history',
+    up(data) {
+      data.collections.scoreHistory = data.collections.scoreHistory || {};
+    }
+  },
+  {
+    version: 9,
+    description: 'Staff roles and blocked users',
+    up(data) {
+      data.collections.roles = data.collections.roles || {};
+      data.collections.blockedUsers = data.collections.blockedUsers || {};
+    }
+  },
+  {
+    version: 10,
+    description: 'Rate limit exemptions',
+    up(data) {
+      data.collections.rateLimitExemptions = data.collections.rateLimitExemptions || {};
+    }
+  },
+  {
+    version: 11,
+    description: 'Drop scores computed with the weights from before the age trait',
+    up(data) {
+      // Overall scores from other weights would fake threshold crossings and trends
+      data.collections.scoreSnapshots = {};
+      data.collections.scoreHistory = {};
+    }
+  }
+];
+
+const CURRENT_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Bring stored data up to the current schema version
+ * @param {Object} data - Raw stored data ({ schemaVersion, collections })
+ * @returns {Array<number>} Versions that were applied
+ */
+function runMigrations(data) {
+  const applied = [];
+  data.schemaVersion = data.schemaVersion || 0;
+  data.collections = data.collections || {};
+
+  if (data.schemaVersion > CURRENT_VERSION) {
+    throw new Error(`Storage schema version ${data.schemaVersion} is newer than supported version ${CURRENT_VERSION}`);
+  }
+
+  migrations
+    .filter(migration => migration.version > data.schemaVersion)
+    .forEach(migration => {
+      migration.up(data);
+      data.schemaVersion = migration.version;
+      applied.push(migration.version);
+    });
+
+  return applied;
+}
+
+module.exports = {
+  migrations,
+  runMigrations,
+  CURRENT_VERSION
+};
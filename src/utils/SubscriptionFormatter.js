@@ -1,3 +1,13 @@
+const PREFERENCE_LABELS = {
+  priceAlerts: 'Price',
+  saleAlerts: 'Sale',
+  transferAlerts: 'Transfer',
+  expirationAlerts: 'Expiration'
+};
+
+const THRESHOLD_PRESETS = [30, 40, 50, 60, 70, 80];
+const PRICE_CHANGE_PRESETS = [5, 10, 20, 50];
+
 class SubscriptionFormatter {
   /**
    * Format subscription success message
@@ -7,7 +17,7 @@ class SubscriptionFormatter {
   static formatSubscriptionSuccess(domain, preferences) {
     let message = `✅ **Successfully subscribed to \`${domain}\`**\n\n`;
     message += `🔔 **Alert Settings:**\n`;
-    message += `• Price Alerts: ${preferences.priceAlerts ? '✅' : '❌'}\n`;
+    message += `• Price Alerts: ${preferences.priceAlerts ? '✅' : '❌'} (moves ≥ ${preferences.priceChangePercent}%)\n`;
     message += `• Expiration Alerts: ${preferences.expirationAlerts ? '✅' : '❌'}\n`;
     message += `• Sale Alerts: ${preferences.saleAlerts ? '✅' : '❌'}\n`;
     message += `• Transfer Alerts: ${preferences.transferAlerts ? '✅' : '❌'}\n`;
@@ -30,7 +40,7 @@ class SubscriptionFormatter {
    * @param {Array} domains - List of subscribed domains
    * @param {Object} preferences - User preferences
    */
-  static formatUserSubscriptions(domains, preferences) {
+  static formatUserSubscriptions(domains, preferences, domainPreferences = {}) {
     if (domains.length === 0) {
       return `📋 **Your Subscriptions**\n\n_No active subscriptions. Use /subscribe <domain> to start tracking domains._`;
     }
@@ -38,11 +48,12 @@ class SubscriptionFormatter {
     let message = `📋 **Your Subscriptions** (${domains.length})\n\n`;
     
     domains.forEach((domain, index) => {
-      message += `${index + 1}. \`${domain}\`\n`;
+      const custom = domainPreferences[domain] ? ' _(custom alerts)_' : '';
+      message += `${index + 1}. \`${domain}\`${custom}\n`;
     });
 
     message += `\n�� **Alert Settings:**\n`;
-    message += `• Price Alerts: ${preferences.priceAlerts ? '✅' : '❌'}\n`;
+    message += `• Price Alerts: ${preferences.priceAlerts ? '✅' : '❌'} (moves ≥ ${preferences.priceChangePercent}%)\n`;
     message += `• Expiration Alerts: ${preferences.expirationAlerts ? '✅' : '❌'}\n`;
     message += `• Sale Alerts: ${preferences.saleAlerts ? '✅' : '❌'}\n`;
     message += `• Transfer Alerts: ${preferences.transferAlerts ? '✅' : '❌'}\n`;
@@ -80,9 +91,11 @@ class SubscriptionFormatter {
       'ACTIVITY': '⚡',
       'LISTING': '💰',
       'OFFER': '🎯',
+      'SALE': '🤝',
       'TRANSFER': '🔄',
       'EXPIRATION': '⏰',
-      'PRICE_CHANGE': '📈'
+      'PRICE_CHANGE': '📈',
+      'SCORE_THRESHOLD': '📊'
     };
     return emojis[eventType] || '🔔';
   }
@@ -96,6 +109,7 @@ class SubscriptionFormatter {
            `• \`/unsubscribe <domain>\` - Stop tracking a domain\n` +
            `• \`/my_subscriptions\` - View your active subscriptions\n` +
            `• \`/alerts\` - Configure alert preferences\n` +
+           `• \`/price <domain>\` - Show price history\n` +
            `• \`/help\` - Show all available commands\n\n` +
            `**Event Types:**\n` +
            `• Price changes and new listings\n` +
@@ -108,19 +122,92 @@ class SubscriptionFormatter {
   /**
    * Format preferences update message
    * @param {Object} preferences - Updated preferences
+   * @param {string} [domain] - Domain the preferences were changed for
    */
-  static formatPreferencesUpdate(preferences) {
+  static formatPreferencesUpdate(preferences, domain) {
     let message = `⚙️ **Alert Preferences Updated**\n\n`;
-    message += `• Price Alerts: ${preferences.priceAlerts ? '✅' : '❌'}\n`;
+    message += `• Price Alerts: ${preferences.priceAlerts ? '✅' : '❌'} (moves ≥ ${preferences.priceChangePercent}%)\n`;
     message += `• Expiration Alerts: ${preferences.expirationAlerts ? '✅' : '❌'}\n`;
     message += `• Sale Alerts: ${preferences.saleAlerts ? '✅' : '❌'}\n`;
     message += `• Transfer Alerts: ${preferences.transferAlerts ? '✅' : '❌'}\n`;
     message += `• Score Threshold: ${preferences.scoreThreshold}/100\n\n`;
-    message += `_These settings apply to all your subscriptions._`;
+    message += domain
+      ? `_These settings apply to \`${domain}\` only._`
+      : `_These settings apply to all your subscriptions._`;
     
     return message;
   }
 
+  /**
+   * Format the interactive alert settings menu
+   * @param {Object} preferences - Effective preferences for the scope
+   * @param {string} [domain] - Domain being edited, global settings if omitted
+   * @param {boolean} [hasOverrides] - Whether the domain has custom settings
+   */
+  static formatPreferencesMenu(preferences, domain, hasOverrides = false) {
+    let message = domain
+      ? `⚙️ **Alert Settings for \`${domain}\`**\n\n`
+      : `⚙️ **Alert Settings**\n\n`;
+
+    message += `• Price Alerts: ${preferences.priceAlerts ? '✅' : '❌'} (moves ≥ ${preferences.priceChangePercent}%)\n`;
+    message += `• Expiration Alerts: ${preferences.expirationAlerts ? '✅' : '❌'}\n`;
+    message += `• Sale Alerts: ${preferences.saleAlerts ? '✅' : '❌'}\n`;
+    message += `• Transfer Alerts: ${preferences.transferAlerts ? '✅' : '❌'}\n`;
+    message += `• Score Threshold: ${preferences.scoreThreshold}/100\n\n`;
+
+    if (domain) {
+      message += hasOverrides
+        ? `_Custom settings override your global settings for this domain._`
+        : `_This domain follows your global settings. Changes here apply to it only._`;
+    } else {
+      message += `_Tap a setting to toggle it, or pick a domain to customize it._\n`;
+      message += `Exact threshold: \`/alerts threshold <0-100> [domain]\`\n`;
+      message += `Exact price move: \`/alerts price <percent> [domain]\``;
+    }
+
+    return message;
+  }
+
+  /**
+   * Build the inline keyboard of the alert settings menu
+   * @param {Object} preferences - Effective preferences for the scope
+   * @param {string} scope - '*' for global settings, or the domain's index
+   * @param {Object} options - { domains, hasOverrides }
+   * @returns {Object} reply_markup with an inline keyboard
+   */
+  static buildPreferencesKeyboard(preferences, scope, options = {}) {
+    const toggle = key => ({
+      text: `${preferences[key] ? '✅' : '❌'} ${PREFERENCE_LABELS[key]}`,
+      callback_data: `alerts:t:${scope}:${key}`
+    });
+
+    const keyboard = [
+      [toggle('priceAlerts'), toggle('saleAlerts')],
+      [toggle('transferAlerts'), toggle('expirationAlerts')],
+      THRESHOLD_PRESETS.map(value => ({
+        text: value === preferences.scoreThreshold ? `• ${value} •` : String(value),
+        callback_data: `alerts:s:${scope}:${value}`
+      })),
+      PRICE_CHANGE_PRESETS.map(value => ({
+        text: value === preferences.priceChangePercent ? `• ±${value}% •` : `±${value}%`,
+        callback_data: `alerts:p:${scope}:${value}`
+      }))
+    ];
+
+    if (scope === '*') {
+      (options.domains || []).forEach((domain, index) => {
+        keyboard.push([{ text: `⚙️ ${domain}`, callback_data: `alerts:m:${index}` }]);
+      });
+    } else {
+      if (options.hasOverrides) {
+        keyboard.push([{ text: '↩️ Use global settings', callback_data: `alerts:r:${scope}` }]);
+      }
+      keyboard.push([{ text: '⬅️ All settings', callback_data: 'alerts:m:*' }]);
+    }
+
+    return { inline_keyboard: keyboard };
+  }
+
   /**
    * Format error message
    * @param {string} error - Error message
@@ -0,0 +1,205 @@
+const DOMAIN_LIST_LIMIT = 25;
+
+/**
+ * Telegram messages for the staff commands
+ */
+class AdminFormatter {
+  /**
+   * Format the staff command list for a role
+   * @param {string} role - 'operator' or 'admin'
+   */
+  static formatCommands(role) {
+    let message = `🛠 *Staff Commands* (${role})\n\n` +
+      `/stats - Bot statistics\n` +
+      `/domains - Subscribers per watched domain\n` +
+      `/user <id> - Inspect a user's role and subscriptions\n` +
+      `/refresh <domain> - Rescore a domain from fresh data, dropping its cached scores\n` +
+      `/cache - Cache hit rates and size\n` +
+      `/upstreams - Circuit breaker state of upstream services\n` +
+      `/block <id> [reason] - Block a user and remove their subscriptions\n` +
+      `/unblock <id> - Lift a block\n`;
+
+    if (role === 'admin') {
+      message += `/monitoring [pause|resume] - Show or change event monitoring\n` +
+        `/role <id> <admin|operator|user> - Grant or revoke a role\n` +
+        `/staff - List admins and operators\n` +
+        `/ratelimit [exempt|unexempt <id>] - Show rate limits or change exemptions\n`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format bot statistics
+   * @param {Object} stats - SubscriptionService stats
+   * @param {number} blockedUsers - Number of blocked users
+   */
+  static formatStats(stats, blockedUsers) {
+    return `📊 *Bot Statistics*\n\n` +
+      `• Total Users: ${stats.totalUsers}\n` +
+      `• Total Domains: ${stats.totalDomains}\n` +
+      `• Total Subscriptions: ${stats.totalSubscriptions}\n` +
+      `• Blocked Users: ${blockedUsers}\n` +
+      `• Monitoring: ${AdminFormatter.formatMonitoringState(stats)}\n\n` +
+      `_Last updated: ${new Date().toLocaleString()}_`;
+  }
+
+  /**
+   * Format the monitoring state
+   * @param {Object} stats - SubscriptionService stats
+   */
+  static formatMonitoringState(stats) {
+    if (stats.isPaused) return '⏸ Paused';
+    return stats.isMonitoring ? '✅ Active' : '❌ Inactive';
+  }
+
+  /**
+   * Format subscriber counts per domain
+   * @param {Array<{domain: string, users: number}>} counts - Domains, most watched first
+   */
+  static formatDomainCounts(counts) {
+    if (counts.length === 0) {
+      return '📭 No domains are being watched.';
+    }
+
+    let message = `🌐 *Watched Domains* (${counts.length})\n\n`;
+    counts.slice(0, DOMAIN_LIST_LIMIT).forEach(({ domain, users }) => {
+      message += `• \`${domain}\` - ${users} ${users === 1 ? 'user' : 'users'}\n`;
+    });
+    if (counts.length > DOMAIN_LIST_LIMIT) {
+      message += `\n_…and ${counts.length - DOMAIN_LIST_LIMIT} more_`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format a user inspection report
+   * @param {Object} details - { userId, role, block, profile, subscriptions }
+   */
+  static formatUser({ userId, role, block, profile, subscriptions }) {
+    let message = `👤 *User ${userId}*\n\n` +
+      `• Role: ${role}\n` +
+      `• Weight profile: ${profile}\n` +
+      `• Status: ${block ? `🚫 Blocked since ${new Date(block.blockedAt).toLocaleString()} by ${block.blockedBy}` : '✅ Active'}\n`;
+    if (block && block.reason) {
+      message += `• Block reason: ${AdminFormatter.escape(block.reason)}\n`;
+    }
+
+    if (subscriptions.domains.length === 0) {
+      return `${message}\n📭 No subscriptions.`;
+    }
+
+    const prefs = subscriptions.preferences;
+    message += `\n🔔 *Subscriptions* (${subscriptions.domains.length})\n`;
+    subscriptions.domains.forEach(domain => {
+      const customized = subscriptions.domainPreferences[domain] ? ' ⚙️' : '';
+      message += `• \`${domain}\`${customized}\n`;
+    });
+    message += `\n*Alerts:* price ${prefs.priceAlerts ? '✅' : '❌'} · sale ${prefs.saleAlerts ? '✅' : '❌'} · ` +
+      `transfer ${prefs.transferAlerts ? '✅' : '❌'} · expiration ${prefs.expirationAlerts ? '✅' : '❌'}\n` +
+      `*Score threshold:* ${prefs.scoreThreshold}/100`;
+
+    return message;
+  }
+
+  /**
+   * Format cache statistics
+   * @param {Object} stats - Cache stats ({ backend, namespaces })
+   */
+  static formatCacheStats(stats) {
+    const { backend } = stats;
+    let message = `🗄 *Cache* (${backend.driver})\n\n`;
+    if (backend.driver === 'memory') {
+      message += `• Entries: ${backend.size}/${backend.maxEntries}\n` +
+        `• Evictions: ${backend.evictions}\n\n`;
+    } else {
+      message += `• Server: ${backend.server} (${backend.connected ? 'connected' : 'disconnected'})\n\n`;
+    }
+
+    const namespaces = Object.keys(stats.namespaces);
+    if (namespaces.length === 0) {
+      return `${message}_No lookups yet._`;
+    }
+
+    namespaces.forEach(namespace => {
+      const ns = stats.namespaces[namespace];
+      message += `*${namespace}* (TTL ${ns.ttlSeconds}s)\n` +
+        `• ${ns.hits} hits / ${ns.misses} misses (${Math.round(ns.hitRate * 100)}% hit rate)` +
+        `${ns.errors > 0 ? `, ${ns.errors} errors` : ''}\n`;
+    });
+    return message;
+  }
+
+  /**
+   * Format the circuit breaker state of upstream services
+   * @param {Array<{name: string, state: string, failures: number, retryInSeconds: number}>} upstreams - Upstream states
+   */
+  static formatUpstreams(upstreams) {
+    if (upstreams.length === 0) {
+      return '🔌 No upstream calls made yet.';
+    }
+
+    const icons = { closed: '🟢', 'half-open': '🟡', open: '🔴' };
+    let message = `🔌 *Upstreams*\n\n`;
+    upstreams.forEach(upstream => {
+      message += `${icons[upstream.state]} *${AdminFormatter.escape(upstream.name)}* - ${upstream.state}`;
+      if (upstream.state === 'open') {
+        message += `, retrying in ${upstream.retryInSeconds}s`;
+      } else if (upstream.failures > 0) {
+        message += `, ${upstream.failures} recent ${upstream.failures === 1 ? 'failure' : 'failures'}`;
+      }
+      message += `\n`;
+    });
+    return message;
+  }
+
+  /**
+   * Format the list of admins and operators
+   * @param {Array<{userId: number, role: string, source: string}>} staff - Staff members
+   */
+  static formatStaff(staff) {
+    if (staff.length === 0) {
+      return '👥 No admins or operators are configured.';
+    }
+
+    let message = `👥 *Staff*\n\n`;
+    staff.forEach(({ userId, role, source }) => {
+      message += `• ${userId} - ${role}${source === 'env' ? ' (environment)' : ''}\n`;
+    });
+    return message;
+  }
+
+  /**
+   * Format rate limit settings, exemptions and queue load
+   * @param {Object} limits - Rate limit config
+   * @param {Array<{userId: number, source: string}>} exemptions - Exempt users
+   * @param {Object} queue - FairQueue stats
+   */
+  static formatRateLimits(limits, exemptions, queue) {
+    let message = `🚦 *Rate Limits*\n\n` +
+      `• Per user: ${limits.userCapacity} domains, refilling ${limits.userRefillPerMinute}/min\n` +
+      `• Per chat: ${limits.chatCapacity} domains, refilling ${limits.chatRefillPerMinute}/min\n` +
+      `• Scoring slots: ${queue.running}/${queue.concurrency} busy, ${queue.waiting} waiting\n\n`;
+
+    if (exemptions.length === 0) {
+      return `${message}_No exempt users. Staff are always exempt._`;
+    }
+
+    message += `*Exempt users* (staff are always exempt)\n`;
+    exemptions.forEach(({ userId, source }) => {
+      message += `• ${userId}${source === 'env' ? ' (environment)' : ''}\n`;
+    });
+    return message;
+  }
+
+  /**
+   * Escape user-provided text for legacy Markdown
+   * @param {string} text - Text to escape
+   */
+  static escape(text) {
+    return String(text).replace(/([_*`[])/g, '\\$1');
+  }
+}
+
+module.exports = AdminFormatter;
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const url = require('url');
+const config = require('../config/config');
+
+/**
+ * Rules of the Public Suffix List (https://publicsuffix.org/list/).
+ *
+ * Rules are kept in ASCII form. Names are matched label by label from the
+ * longest candidate down: an exception rule (`!city.kawasaki.jp`) wins over
+ * everything, otherwise the longest normal or wildcard (`*.ck`) rule. Names
+ * matching no rule fall back to the implicit `*` rule, so web3 TLDs such as
+ * `.eth`, which are not in the list, still split into label and TLD.
+ */
+class PublicSuffixList {
+  /**
+   * @param {string} text - Contents of a public_suffix_list.dat file
+   */
+  constructor(text) {
+    this.rules = new Map(); // ASCII rule (exceptions prefixed with !) -> { private }
+
+    let isPrivate = false;
+    text.split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      if (line.includes('===BEGIN PRIVATE DOMAINS===')) isPrivate = true;
+      if (!line || line.startsWith('//')) return;
+
+      const rule = line.split(/\s/)[0];
+      const exception = rule.startsWith('!');
+      const name = PublicSuffixList.toAscii(exception ? rule.slice(1) : rule);
+      this.rules.set(exception ? `!${name}` : name, { private: isPrivate });
+    });
+  }
+
+  /**
+   * Load a list from disk
+   * @param {string} filePath - Path of the .dat file
+   * @returns {PublicSuffixList} List
+   */
+  static load(filePath) {
+    return new PublicSuffixList(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Split a domain into subdomain, registrable label and public suffix
+   * @param {string} domain - Domain in ASCII or Unicode form
+   * @param {Object} [options] - { allowPrivate: also apply the list's private section (e.g. github.io) }
+   * @returns {Object} { subdomain, label, suffix, registrableDomain, listed }; label is empty and
+   * registrableDomain null when the domain is itself a public suffix
+   */
+  parse(domain, options = {}) {
+    const labels = domain.toLowerCase().replace(/\.$/, '').split('.');
+    const asciiLabels = labels.map(label => PublicSuffixList.toAscii(label));
+    const { length, listed } = this.getSuffixLength(asciiLabels, options);
+
+    const suffix = labels.slice(labels.length - length).join('.');
+    const label = labels.length > length ? labels[labels.length - length - 1] : '';
+
+    return {
+      subdomain: labels.slice(0, Math.max(0, labels.length - length - 1)).join('.'),
+      label,
+      suffix,
+      registrableDomain: label ? `${label}.${suffix}` : null,
+      listed
+    };
+  }
+
+  /**
+   * Top-level domains in the list's ICANN section
+   * @returns {Array<string>} TLDs in ASCII form
+   */
+  getTopLevelDomains() {
+    return [...this.rules.keys()].filter(rule => /^[a-z0-9-]+$/.test(rule) && !this.rules.get(rule).private);
+  }
+
+  /**
+   * Number of trailing labels forming the public suffix
+   */
+  getSuffixLength(labels, options) {
+    const has = (rule) => {
+      const entry = this.rules.get(rule);
+      return Boolean(entry) && (options.allowPrivate || !entry.private);
+    };
+
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+      if (has(`!${candidate}`)) {
+        return { length: labels.length - i - 1, listed: true };
+      }
+      if (has(candidate) || (i < labels.length - 1 && has(['*', ...labels.slice(i + 1)].join('.')))) {
+        return { length: labels.length - i, listed: true };
+      }
+    }
+
+    return { length: 1, listed: false };
+  }
+
+  static toAscii(name) {
+    if (/^[\x00-\x7f]*$/.test(name)) return name;
+    return url.domainToASCII(name) || name;
+  }
+}
+
+let sharedList = null;
+
+/**
+ * Get the bundled list (PUBLIC_SUFFIX_LIST_PATH), loaded on first use
+ * @returns {PublicSuffixList} List
+ */
+function getPublicSuffixList() {
+  if (!sharedList) {
+    sharedList = PublicSuffixList.load(config.domains.publicSuffixListPath);
+  }
+  return sharedList;
+}
+
+/**
+ * Split a domain with the bundled Public Suffix List
+ * @param {string} domain - Domain in ASCII or Unicode form
+ * @param {Object} [options] - { allowPrivate }
+ * @returns {Object} { subdomain, label, suffix, registrableDomain, listed }
+ */
+function parseDomain(domain, options = {}) {
+  return getPublicSuffixList().parse(domain, options);
+}
+
+module.exports = {
+  PublicSuffixList,
+  getPublicSuffixList,
+  parseDomain
+};
@@ -1,35 +1,67 @@
+const url = require('url');
+const config = require('../config/config');
+const punycode = require('./punycode');
+const { parseDomain } = require('./domainParser');
+
 /**
  * Domain validation utilities
  */
 
+// Scripts told apart when checking names for mixed scripts; letters of other
+// scripts count as 'Other'. Digits, hyphens and emoji belong to no script.
+const SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Hebrew', 'Arabic',
+  'Devanagari', 'Bengali', 'Tamil', 'Thai', 'Ethiopic',
+  'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo'
+].map(name => ({ name, regex: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+// Script combinations that are normal within one label (Unicode TS 39,
+// highly restrictive): Japanese, Chinese and Korean writing mixed with Latin
+const ALLOWED_SCRIPT_SETS = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul']
+];
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
 class DomainValidator {
   /**
    * Validate domain format
+   *
+   * Unicode names are normalized (UTS-46, or ENS-style on web3 TLDs) and
+   * converted to their ASCII (punycode) form, which is what lookups use.
    * @param {string} domain - Domain to validate
-   * @returns {Object} Validation result
+   * @param {Object} [options] - { web3Normalization: 'ens' or 'uts46' }
+   * @returns {Object} Validation result: { valid, domain: ASCII form, unicode: display form } or { valid, error }
    */
-  static validateDomain(domain) {
+  static validateDomain(domain, options = {}) {
     if (!domain || typeof domain !== 'string') {
       return { valid: false, error: 'Domain must be a non-empty string' };
     }
 
     // Remove protocol if present
     const cleanDomain = domain.replace(/^https?:\/\//, '').replace(/^www\./, '');
+
+    const names = this.normalize(cleanDomain, options);
+    if (!names) {
+      return { valid: false, error: 'Invalid domain format' };
+    }
     
-    // Basic domain regex
+    // Basic domain regex, checked on the ASCII form
     const domainRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
     
-    if (!domainRegex.test(cleanDomain)) {
+    if (!domainRegex.test(names.ascii)) {
       return { valid: false, error: 'Invalid domain format' };
     }
 
     // Check length
-    if (cleanDomain.length > 253) {
+    if (names.ascii.length > 253) {
       return { valid: false, error: 'Domain too long (max 253 characters)' };
     }
 
     // Check for valid TLD
-    const parts = cleanDomain.split('.');
+    const parts = names.ascii.split('.');
     if (parts.length < 2) {
       return { valid: false, error: 'Domain must have at least one subdomain and TLD' };
     }
@@ -39,7 +71,119 @@ class DomainValidator {
       return { valid: false, error: 'TLD must be at least 2 characters' };
     }
 
-    return { valid: true, domain: cleanDomain };
+    if (!parseDomain(names.ascii).label) {
+      return { valid: false, error: 'Domain is a public suffix, not a registrable name' };
+    }
+
+    return { valid: true, domain: names.ascii, unicode: names.unicode };
+  }
+
+  /**
+   * Normalize a domain to its ASCII and Unicode forms
+   * @param {string} domain - Domain in Unicode or punycode
+   * @param {Object} [options] - { web3Normalization: 'ens' or 'uts46' }
+   * @returns {Object|null} { ascii, unicode } or null if the name cannot be normalized
+   */
+  static normalize(domain, options = {}) {
+    const web3Normalization = options.web3Normalization || config.domains.web3Normalization;
+    if (web3Normalization === 'ens' && this.isWeb3Domain(domain)) {
+      return this.normalizeEns(domain);
+    }
+
+    const ascii = url.domainToASCII(domain);
+    if (!ascii) return null;
+    return { ascii, unicode: url.domainToUnicode(ascii) || ascii };
+  }
+
+  /**
+   * ENS-style normalization (after ENSIP-15): NFC, lowercase, emoji
+   * presentation selectors dropped, invisible characters rejected except
+   * ZWJ inside emoji sequences. Non-ASCII labels are punycode encoded as is,
+   * without the UTS-46 checks that reject emoji sequences.
+   * @param {string} domain - Domain in Unicode or punycode
+   * @returns {Object|null} { ascii, unicode } or null if a label is not allowed
+   */
+  static normalizeEns(domain) {
+    let labels;
+    try {
+      labels = domain
+        .normalize('NFC')
+        .replace(/[\u3002\uff0e\uff61]/g, '.')
+        .split('.')
+        .map(label => (/^xn--/i.test(label) ? punycode.decode(label.slice(4)) : label));
+    } catch (error) {
+      return null;
+    }
+
+    labels = labels.map(label => label.normalize('NFC').toLowerCase().replace(/\uFE0F/g, ''));
+
+    const invisible = /[\p{Cc}\p{Zs}\u200B\u200C\u2060\uFEFF]/u;
+    const strayJoiner = /(?<!\p{Extended_Pictographic}\p{Emoji_Modifier}?)\u200D|\u200D(?!\p{Extended_Pictographic})/u;
+    if (labels.some(label => !label || invisible.test(label) || strayJoiner.test(label))) {
+      return null;
+    }
+
+    const ascii = labels
+      .map(label => (/^[\x00-\x7f]*$/.test(label) ? label : `xn--${punycode.encode(label)}`))
+      .join('.');
+    return { ascii, unicode: labels.join('.') };
+  }
+
+  /**
+   * Get the Unicode form of a validated (ASCII) domain
+   * @param {string} domain - Domain
+   * @returns {string} Unicode form, or the domain itself if it is not valid
+   */
+  static toUnicode(domain) {
+    const validation = this.validateDomain(domain);
+    return validation.valid ? validation.unicode : domain;
+  }
+
+  /**
+   * Count user-perceived characters (grapheme clusters), so an emoji
+   * sequence or an accented letter counts once
+   * @param {string} text - Text
+   * @returns {number} Character count
+   */
+  static countCharacters(text) {
+    return [...graphemes.segment(text)].length;
+  }
+
+  /**
+   * Get the scripts a domain is written in and whether one of its labels
+   * mixes scripts, as look-alike (homograph) names do
+   * @param {string} domain - Domain in Unicode form
+   * @returns {Object} { scripts: Array<string>, mixedScript: boolean, mixedLabels: Array<string> }
+   */
+  static getScripts(domain) {
+    const scripts = new Set();
+    const mixedLabels = [];
+
+    domain.split('.').forEach(label => {
+      const labelScripts = new Set();
+      for (const char of label) {
+        if (!/\p{L}/u.test(char)) continue;
+        const script = SCRIPTS.find(candidate => candidate.regex.test(char));
+        labelScripts.add(script ? script.name : 'Other');
+      }
+
+      labelScripts.forEach(script => scripts.add(script));
+      const allowed = ALLOWED_SCRIPT_SETS.some(set => [...labelScripts].every(script => set.includes(script)));
+      if (labelScripts.size > 1 && !allowed) {
+        mixedLabels.push(label);
+      }
+    });
+
+    return { scripts: [...scripts], mixedScript: mixedLabels.length > 0, mixedLabels };
+  }
+
+  /**
+   * Check whether a domain has a valid format
+   * @param {string} domain - Domain to check
+   * @returns {boolean} True if valid
+   */
+  static isValidDomain(domain) {
+    return this.validateDomain(domain).valid;
   }
 
   /**
@@ -74,8 +218,7 @@ class DomainValidator {
       'bitcoin', 'ethereum', 'polygon', 'arbitrum', 'optimism'
     ];
     
-    const extension = domain.split('.').pop().toLowerCase();
-    return web3Extensions.includes(extension);
+    return web3Extensions.includes(parseDomain(domain).suffix);
   }
 
   /**
@@ -84,7 +227,7 @@ class DomainValidator {
    * @returns {string} Domain type
    */
   static getDomainType(domain) {
-    const extension = domain.split('.').pop().toLowerCase();
+    const extension = parseDomain(domain).suffix;
     
     if (this.isWeb3Domain(domain)) {
       return 'web3';
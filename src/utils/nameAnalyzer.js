@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+// Rows of the keyboard and other sequences typed by mashing keys; runs along
+// them, in either direction, mark a label as junk
+const KEY_SEQUENCES = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'abcdefghijklmnopqrstuvwxyz', '1234567890'];
+const MIN_SEQUENCE_RUN = 4;
+
+// Inflections recognized on listed words (shops, boxes, making, baker, rated, quickly),
+// with the endings that may have been dropped from the stem
+const INFLECTIONS = [
+  { suffix: 's', restore: [''] },
+  { suffix: 'es', restore: [''] },
+  { suffix: 'ing', restore: ['', 'e'] },
+  { suffix: 'ed', restore: ['', 'e'] },
+  { suffix: 'er', restore: ['', 'e'] },
+  { suffix: 'ers', restore: ['', 'e'] },
+  { suffix: 'ly', restore: [''] }
+];
+
+// Labels without words count as brandable from this pronounceability
+const BRANDABLE_PRONOUNCEABILITY = 50;
+
+// Pronounceability lost per run of four or more consonants (brkfst)
+const CONSONANT_RUN_PENALTY = 25;
+
+/**
+ * Linguistic analysis of domain labels, built on the bundled word lists.
+ *
+ * Labels are split into dictionary words, and their pronounceability is the
+ * share of their letter trigrams (and, failing that, bigrams) that also occur
+ * in listed words. Labels are classified as:
+ *
+ * - `dictionary`: a single word (`coffee`)
+ * - `compound`: several words or words and numbers (`bestcoffeeshop`, `web3`)
+ * - `brandable`: no words, but pronounceable (`zillow`)
+ * - `random`: unpronounceable, repeated (`aaaa`) or keyboard patterns (`asdf`)
+ * - `numeric`: digits only (`888`, `2024`); repeats and runs of digits are
+ *   sought after rather than junk, so no patterns are reported for them
+ *
+ * Only ASCII labels are analyzed; other scripts get no classification.
+ */
+class NameAnalyzer {
+  /**
+   * @param {Object} lists - { words: Array<string>, terms: Array<string> }; terms are commercial keywords
+   */
+  constructor(lists) {
+    this.terms = new Set(lists.terms);
+    this.words = new Set([...lists.words, ...lists.terms].filter(word => word.length >= 2));
+    this.maxWordLength = Math.max(...[...this.words].map(word => word.length)) + 3;
+
+    this.trigrams = new Set();
+    this.bigrams = new Set();
+    this.words.forEach(word => {
+      const padded = `^${word}$`;
+      for (let i = 0; i < padded.length - 1; i++) {
+        this.bigrams.add(padded.slice(i, i + 2));
+        if (i < padded.length - 2) this.trigrams.add(padded.slice(i, i + 3));
+      }
+    });
+  }
+
+  /**
+   * Load `english.txt` and `terms.txt` from a directory
+   * @param {string} dir - Directory of the word lists
+   * @returns {NameAnalyzer} Analyzer
+   */
+  static load(dir) {
+    const read = file => fs.readFileSync(path.join(dir, file), 'utf8')
+      .split('\n')
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'));
+
+    return new NameAnalyzer({ words: read('english.txt'), terms: read('terms.txt') });
+  }
+
+  /**
+   * Analyze a label
+   * @param {string} label - Registrable label, without the suffix
+   * @returns {Object} { classification: dictionary|compound|brandable|random|numeric|null, words, terms, pronounceability: 0-100|null, patterns: repeated|keyboard }
+   */
+  analyze(label) {
+    const text = label.toLowerCase();
+    if (!/^[a-z0-9-]+$/.test(text)) {
+      return { classification: null, words: [], terms: [], pronounceability: null, patterns: [] };
+    }
+
+    // Hyphens and digits split the label; number runs are kept as tokens
+    const chunks = text.split('-').filter(Boolean).flatMap(chunk => chunk.match(/[a-z]+|[0-9]+/g));
+    const segments = chunks.map(chunk => (/^[0-9]/.test(chunk) ? [chunk] : this.segment(chunk)));
+    const words = segments.every(Boolean) ? segments.flat() : [];
+
+    const letters = text.replace(/[^a-z]/g, '');
+    if (!letters) {
+      return { classification: 'numeric', words, terms: [], pronounceability: null, patterns: [] };
+    }
+
+    const patterns = this.findPatterns(text.replace(/-/g, ''));
+    const pronounceability = this.getPronounceability(letters);
+
+    let classification;
+    if (patterns.length > 0) {
+      classification = 'random';
+    } else if (words.length > 0) {
+      classification = words.length === 1 ? 'dictionary' : 'compound';
+    } else {
+      classification = pronounceability >= BRANDABLE_PRONOUNCEABILITY ? 'brandable' : 'random';
+    }
+
+    return {
+      classification,
+      words,
+      terms: words.filter(word => this.terms.has(word)),
+      pronounceability,
+      patterns
+    };
+  }
+
+  /**
+   * Split letters into the fewest listed words, preferring longer words on ties
+   * @param {string} text - Lowercase letters
+   * @returns {Array<string>|null} Words, or null if the text cannot be covered
+   */
+  segment(text) {
+    const best = new Array(text.length + 1).fill(null);
+    best[0] = { words: [], weight: 0 };
+
+    for (let end = 1; end <= text.length; end++) {
+      for (let start = Math.max(0, end - this.maxWordLength); start < end; start++) {
+        const previous = best[start];
+        const word = text.slice(start, end);
+        if (!previous || !this.isWord(word)) continue;
+
+        const candidate = { words: [...previous.words, word], weight: previous.weight + word.length ** 2 };
+        const current = best[end];
+        if (!current || candidate.words.length < current.words.length ||
+            (candidate.words.length === current.words.length && candidate.weight > current.weight)) {
+          best[end] = candidate;
+        }
+      }
+    }
+
+    return best[text.length] ? best[text.length].words : null;
+  }
+
+  /**
+   * Check whether a string is a listed word or an inflection of one
+   */
+  isWord(word) {
+    if (this.words.has(word)) return true;
+
+    return INFLECTIONS.some(({ suffix, restore }) => {
+      const stem = word.slice(0, -suffix.length);
+      return word.endsWith(suffix) && stem.length >= 3 && restore.some(ending => this.words.has(stem + ending));
+    });
+  }
+
+  /**
+   * Estimate how pronounceable letters are (0-100): known trigrams count
+   * fully, trigrams made of known bigrams half, and long consonant runs
+   * cost CONSONANT_RUN_PENALTY each
+   * @param {string} letters - Lowercase letters
+   * @returns {number} Pronounceability
+   */
+  getPronounceability(letters) {
+    const padded = `^${letters}$`;
+    let total = 0;
+    let count = 0;
+
+    for (let i = 0; i < padded.length - 2; i++) {
+      const trigram = padded.slice(i, i + 3);
+      if (this.trigrams.has(trigram)) total += 1;
+      else if (this.bigrams.has(trigram.slice(0, 2)) && this.bigrams.has(trigram.slice(1))) total += 0.5;
+      count++;
+    }
+
+    const consonantRuns = (letters.match(/[^aeiouy]{4,}/g) || []).length;
+    return Math.max(0, Math.round((total / count) * 100) - consonantRuns * CONSONANT_RUN_PENALTY);
+  }
+
+  /**
+   * Find junk patterns
+   * @param {string} text - Label without hyphens
+   * @returns {Array<string>} repeated and/or keyboard
+   */
+  findPatterns(text) {
+    const patterns = [];
+
+    // Triple letters (aaab) or a short unit repeated throughout (abab, xyzxyz)
+    if (/(.)\1\1/.test(text) || (text.length >= 4 && /^(.{1,3})\1+$/.test(text))) {
+      patterns.push('repeated');
+    }
+
+    // Runs along the keyboard or alphabet making up half of the label (asdf, qwertyshop)
+    const run = NameAnalyzer.longestSequenceRun(text);
+    if (run >= MIN_SEQUENCE_RUN && run * 2 >= text.length) {
+      patterns.push('keyboard');
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Length of the longest substring found along a key sequence, forwards or backwards
+   */
+  static longestSequenceRun(text) {
+    const lines = KEY_SEQUENCES.flatMap(sequence => [sequence, [...sequence].reverse().join('')]);
+
+    for (let length = text.length; length >= MIN_SEQUENCE_RUN; length--) {
+      for (let start = 0; start + length <= text.length; start++) {
+        const part = text.slice(start, start + length);
+        if (lines.some(line => line.includes(part))) return length;
+      }
+    }
+    return 0;
+  }
+}
+
+let sharedAnalyzer = null;
+
+/**
+ * Get the analyzer of the bundled word lists (WORD_LISTS_DIR), loaded on first use
+ * @returns {NameAnalyzer} Analyzer
+ */
+function getNameAnalyzer() {
+  if (!sharedAnalyzer) {
+    sharedAnalyzer = NameAnalyzer.load(config.domains.wordListsDir);
+  }
+  return sharedAnalyzer;
+}
+
+/**
+ * Analyze a label with the bundled word lists
+ * @param {string} label - Registrable label
+ * @returns {Object} { classification, words, terms, pronounceability, patterns }
+ */
+function analyzeName(label) {
+  return getNameAnalyzer().analyze(label);
+}
+
+module.exports = {
+  NameAnalyzer,
+  getNameAnalyzer,
+  analyzeName
+};
@@ -0,0 +1,136 @@
+/**
+ * Punycode (RFC 3492) encoding of single labels.
+ *
+ * `url.domainToASCII` applies UTS-46 validation on top of Punycode and rejects
+ * labels that ENS accepts, such as emoji joined with ZWJ. ENS-normalized labels
+ * are converted with these functions instead.
+ */
+
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N = 128;
+
+function adapt(delta, numPoints, firstTime) {
+  delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+
+  let k = 0;
+  while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+    delta = Math.floor(delta / (BASE - T_MIN));
+    k += BASE;
+  }
+  return k + Math.floor(((BASE - T_MIN + 1) * delta) / (delta + SKEW));
+}
+
+function encodeDigit(digit) {
+  // 0-25 -> a-z, 26-35 -> 0-9
+  return String.fromCharCode(digit < 26 ? digit + 97 : digit + 22);
+}
+
+function decodeDigit(code) {
+  if (code >= 48 && code <= 57) return code - 22;
+  if (code >= 97 && code <= 122) return code - 97;
+  if (code >= 65 && code <= 90) return code - 65;
+  return BASE;
+}
+
+function threshold(k, bias) {
+  if (k <= bias) return T_MIN;
+  if (k >= bias + T_MAX) return T_MAX;
+  return k - bias;
+}
+
+/**
+ * Encode a Unicode label to Punycode (without the xn-- prefix)
+ * @param {string} label - Unicode label
+ * @returns {string} Punycode
+ */
+function encode(label) {
+  const codePoints = Array.from(label, char => char.codePointAt(0));
+  let output = codePoints.filter(code => code < 0x80).map(code => String.fromCharCode(code)).join('');
+
+  const basicLength = output.length;
+  let handled = basicLength;
+  if (basicLength > 0) output += '-';
+
+  let n = INITIAL_N;
+  let delta = 0;
+  let bias = INITIAL_BIAS;
+
+  while (handled < codePoints.length) {
+    const next = Math.min(...codePoints.filter(code => code >= n));
+    delta += (next - n) * (handled + 1);
+    n = next;
+
+    for (const code of codePoints) {
+      if (code < n) delta++;
+      if (code !== n) continue;
+
+      let q = delta;
+      for (let k = BASE; ; k += BASE) {
+        const t = threshold(k, bias);
+        if (q < t) break;
+        output += encodeDigit(t + ((q - t) % (BASE - t)));
+        q = Math.floor((q - t) / (BASE - t));
+      }
+      output += encodeDigit(q);
+      bias = adapt(delta, handled + 1, handled === basicLength);
+      delta = 0;
+      handled++;
+    }
+
+    delta++;
+    n++;
+  }
+
+  return output;
+}
+
+/**
+ * Decode Punycode (without the xn-- prefix) to a Unicode label
+ * @param {string} input - Punycode
+ * @returns {string} Unicode label
+ * @throws {Error} If the input is not valid Punycode
+ */
+function decode(input) {
+  const separator = input.lastIndexOf('-');
+  const output = separator > 0 ? Array.from(input.slice(0, separator), char => char.codePointAt(0)) : [];
+
+  let n = INITIAL_N;
+  let i = 0;
+  let bias = INITIAL_BIAS;
+
+  for (let index = separator > 0 ? separator + 1 : 0; index < input.length;) {
+    const oldI = i;
+    let w = 1;
+
+    for (let k = BASE; ; k += BASE) {
+      if (index >= input.length) throw new Error('Invalid punycode: truncated input');
+      const digit = decodeDigit(input.charCodeAt(index++));
+      if (digit >= BASE) throw new Error('Invalid punycode: bad digit');
+
+      i += digit * w;
+      const t = threshold(k, bias);
+      if (digit < t) break;
+      w *= BASE - t;
+    }
+
+    bias = adapt(i - oldI, output.length + 1, oldI === 0);
+    n += Math.floor(i / (output.length + 1));
+    i %= output.length + 1;
+    if (n > 0x10ffff) throw new Error('Invalid punycode: code point out of range');
+
+    output.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint(...output);
+}
+
+module.exports = {
+  encode,
+  decode
+};
@@ -9,27 +9,121 @@ class ResponseFormatter {
    * @returns {string} Formatted response
    */
   static formatDomainScore(scoreData) {
-    const { domain, overallScore, scores, breakdown } = scoreData;
+    const { domain, profile, overallScore, scores, breakdown } = scoreData;
+    const staleTraits = scoreData.staleTraits || {};
+    
+    const displayName = scoreData.displayName || domain;
     
     let response = `🎯 *Domain Score Report*\n\n`;
-    response += `🌐 *Domain:* \`${domain}\`\n`;
-    response += `⭐ *Overall Score:* ${this.getScoreEmoji(overallScore)} *${overallScore}/100*\n\n`;
+    response += `🌐 *Domain:* \`${displayName}\`\n`;
+    if (displayName !== domain) {
+      response += `🔤 *ASCII:* \`${domain}\`\n`;
+    }
+    if (scoreData.mixedScript) {
+      response += `⚠️ *Mixed scripts:* ${scoreData.scripts.join(', ')} - possible look-alike name\n`;
+    }
+    response += `⚖️ *Profile:* ${profile}\n`;
+    response += `⭐ *Overall Score:* ${this.getScoreEmoji(overallScore)} *${overallScore}/100*${scoreData.degraded ? ' ⚠️' : ''}\n`;
+    if (scoreData.confidence !== undefined) {
+      response += `🔎 *Confidence:* ${scoreData.confidence}%\n`;
+    }
+    response += `\n`;
     
     response += `📊 *Score Breakdown:*\n`;
     breakdown.forEach((item, index) => {
       const emoji = this.getTraitEmoji(item.trait);
-      response += `${emoji} *${this.formatTraitName(item.trait)}:* ${item.score}/100 (${item.weight}% weight)\n`;
+      if (item.score === null) {
+        response += `${emoji} *${this.formatTraitName(item.trait)}:* n/a (${item.weight}% weight)\n`;
+        return;
+      }
+      const marker = staleTraits[item.trait] ? ' 🕒' : '';
+      response += `${emoji} *${this.formatTraitName(item.trait)}:* ${item.score}/100 (${item.weight}% weight)${this.formatQuality(item.quality)}${marker}\n`;
     });
     
+    const provenance = scoreData.provenance || {};
+    const describe = trait => `${this.describeTrait(scores[trait])}${this.formatQuality(provenance[trait]?.quality)}`;
     response += `\n🔍 *Detailed Analysis:*\n`;
-    response += `• *Popularity:* ${this.getScoreDescription(scores.popularity)}\n`;
-    response += `• *Blockchain Activity:* ${this.getScoreDescription(scores.blockchain)}\n`;
-    response += `• *Extension Value:* ${this.getScoreDescription(scores.extension)}\n`;
-    response += `• *Brand Potential:* ${this.getScoreDescription(scores.brandScore)}\n`;
+    response += `• *Popularity:* ${describe('popularity')}\n`;
+    response += `• *Blockchain Activity:* ${describe('blockchain')}\n`;
+    response += `• *Extension Value:* ${describe('extension')}\n`;
+    response += `• *Brand Potential:* ${describe('brandScore')}\n`;
+    if (scoreData.linguistics && scoreData.linguistics.classification) {
+      response += `• *Name Type:* ${this.formatLinguistics(scoreData.linguistics)}\n`;
+    }
+
+    if (scoreData.registration) {
+      response += this.formatRegistration(scoreData.registration);
+    }
+
+    if (scoreData.missingInputs && scoreData.missingInputs.length > 0) {
+      response += `\n🧩 *Missing inputs:* ${scoreData.missingInputs.join(', ')}\n`;
+      response += `_Estimated traits use name heuristics, default traits a fixed value._\n`;
+    }
+
+    if (scoreData.degraded) {
+      response += `\n⚠️ *Partial data:* some data sources are unavailable right now.\n`;
+      (scoreData.unavailableTraits || []).forEach(trait => {
+        response += `• ${this.formatTraitName(trait)}: unavailable, left out of the overall score\n`;
+      });
+      Object.keys(staleTraits).forEach(trait => {
+        response += `• ${this.formatTraitName(trait)}: 🕒 data from ${this.formatAge(staleTraits[trait])} ago\n`;
+      });
+      response += `Use /score ${domain} later for a complete score.\n`;
+    }
     
     return response;
   }
 
+  /**
+   * Describe the linguistic analysis of a label
+   * @param {Object} linguistics - { classification, words, pronounceability, patterns }
+   * @returns {string} e.g. "Compound (best + coffee + shop), 93% pronounceable", or "Numeric"
+   */
+  static formatLinguistics(linguistics) {
+    const patternNames = { repeated: 'repeated letters', keyboard: 'keyboard pattern' };
+    const { classification, words, pronounceability, patterns } = linguistics;
+
+    let text = classification.charAt(0).toUpperCase() + classification.slice(1);
+    if (classification === 'compound') {
+      text += ` (${words.join(' + ')})`;
+    }
+    if (pronounceability !== null) {
+      text += `, ${pronounceability}% pronounceable`;
+    }
+    if (patterns.length > 0) {
+      text += ` ⚠️ ${patterns.map(pattern => patternNames[pattern]).join(', ')}`;
+    }
+    return text;
+  }
+
+  /**
+   * Format the registration facts of a score report
+   * @param {Object} registration - { createdAt, expiresAt, registrar, statuses, tokenizedAt, ageYears }
+   * @returns {string} Formatted section, empty when nothing is known
+   */
+  static formatRegistration(registration) {
+    const lines = [];
+    if (registration.createdAt) {
+      lines.push(`• Created: ${registration.createdAt.slice(0, 10)} (${registration.ageYears} years ago)`);
+    }
+    if (registration.registrar) {
+      lines.push(`• Registrar: ${registration.registrar}`);
+    }
+    if (registration.expiresAt) {
+      lines.push(`• Expires: ${registration.expiresAt.slice(0, 10)}`);
+    }
+    if (registration.statuses.length > 0) {
+      lines.push(`• Status: ${registration.statuses.join(', ')}`);
+    } else if (registration.transferLocked) {
+      lines.push(`• Status: transfer locked`);
+    }
+    if (registration.tokenizedAt) {
+      lines.push(`• Tokenized on Doma: ${registration.tokenizedAt.slice(0, 10)}`);
+    }
+
+    return lines.length > 0 ? `\n📅 *Registration:*\n${lines.join('\n')}\n` : '';
+  }
+
   /**
    * Format error response
    * @param {string} error - Error message
@@ -50,7 +144,12 @@ class ResponseFormatter {
 /subscribe <domain> - Track domain for events
 /unsubscribe <domain> - Stop tracking domain
 /my_subscriptions - View your subscriptions
-/alerts - Configure alert preferences\n` +
+/alerts - Configure alert preferences
+/price <domain> - Show listing and offer price history
+/variants <domain> - Show which extensions of a name are taken
+/suggest <keywords> [.tld ...] - Suggest free domains for keywords
+/profile - Choose a scoring weight profile
+/history <domain> - Show how a domain's score changed\n` +
            `/help - Show this help message\n` +
            `/about - About the bot\n\n` +
            `*Examples:*\n` +
@@ -82,7 +181,8 @@ class ResponseFormatter {
            `• *Brand Score* - Brandability and memorability\n` +
            `• *Market Trends* - Current market sentiment\n` +
            `• *Traffic* - Website traffic metrics\n` +
-           `• *Cross-Extension* - Availability across TLDs\n\n` +
+           `• *Cross-Extension* - Availability across TLDs\n` +
+           `• *Age & History* - Registration age, prepaid years and transfer lock\n\n` +
            `Powered by [Doma](https://docs.doma.xyz/) infrastructure.`;
   }
 
@@ -118,7 +218,8 @@ class ResponseFormatter {
       brandScore: '🏷️',
       marketTrends: '📈',
       traffic: '🚀',
-      crossExtension: '🔗'
+      crossExtension: '🔗',
+      age: '⏳'
     };
     return emojis[trait] || '📊';
   }
@@ -138,11 +239,32 @@ class ResponseFormatter {
       brandScore: 'Brand Score',
       marketTrends: 'Market Trends',
       traffic: 'Traffic Score',
-      crossExtension: 'Cross-Extension'
+      crossExtension: 'Cross-Extension',
+      age: 'Age & History'
     };
     return names[trait] || trait;
   }
 
+  /**
+   * Tag a trait that is not backed by real data
+   * @param {string} [quality] - real, estimated or default
+   * @returns {string} Tag to append, empty for real data
+   */
+  static formatQuality(quality) {
+    if (quality === 'estimated') return ' · estimated';
+    if (quality === 'default') return ' · default';
+    return '';
+  }
+
+  /**
+   * Describe a trait score, which is null when its data was unavailable
+   * @param {number|null} score - Score value
+   * @returns {string} Description
+   */
+  static describeTrait(score) {
+    return score === null || score === undefined ? 'Unavailable' : this.getScoreDescription(score);
+  }
+
   /**
    * Get score description
    * @param {number} score - Score value
@@ -168,18 +290,305 @@ class ResponseFormatter {
     return `🔄 Analyzing domain: \`${domain}\`\n\nPlease wait while I calculate the score...`;
   }
 
+  /**
+   * Format a rate limit rejection
+   * @param {Object} limit - { scope: 'user'|'chat', retryAfterSeconds }
+   * @returns {string} Formatted message
+   */
+  static formatRateLimited(limit) {
+    const who = limit.scope === 'chat' ? 'This chat is' : 'You are';
+    return `⏳ *Slow down!* ${who} sending score requests too fast.\n\n` +
+           `Please try again in ${ResponseFormatter.formatDuration(limit.retryAfterSeconds)}.`;
+  }
+
+  /**
+   * Format the notice shown while a request waits for a free slot
+   * @param {number} position - Place in the queue (1 = next)
+   * @returns {string} Formatted message
+   */
+  static formatQueued(position) {
+    return `⏳ The bot is busy, your request is queued (position ${position}).\n\n` +
+           `It will start automatically, no need to send it again.`;
+  }
+
+  /**
+   * Format a duration in seconds as "N seconds" or "N minutes"
+   */
+  static formatDuration(seconds) {
+    if (seconds < 90) return `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+    return `${Math.ceil(seconds / 60)} minutes`;
+  }
+
+  /**
+   * Format the time elapsed since a timestamp
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} e.g. "5 minutes", "3 hours", "2 days"
+   */
+  static formatAge(timestamp) {
+    const minutes = Math.max(1, Math.round((Date.now() - new Date(timestamp).getTime()) / 60000));
+    if (minutes < 60) return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+    return `${Math.round(hours / 24)} days`;
+  }
+
+  /**
+   * Format a domain's price history
+   * @param {string} domain - Domain name
+   * @param {Array} history - Price points ({ timestamp, ask, bestOffer }), oldest first
+   * @param {boolean} [watched] - Whether the domain's prices are being recorded
+   * @returns {string} Formatted response
+   */
+  static formatPriceHistory(domain, history, watched = true) {
+    let response = `💹 *Price History:* \`${domain}\`\n\n`;
+    const footer = watched
+      ? ''
+      : `\n_Prices are only recorded while someone watches a domain. Use /subscribe ${domain} to track it._`;
+
+    const latest = history[history.length - 1];
+    if (!latest || (latest.ask === null && latest.bestOffer === null && history.length === 1)) {
+      return response + `No listings or offers recorded for this domain yet.` + (footer && `\n${footer}`);
+    }
+
+    const asks = history.map(point => point.ask).filter(value => value !== null);
+    const offers = history.map(point => point.bestOffer).filter(value => value !== null);
+
+    response += `*Ask:* ${this.formatUsd(latest.ask)}`;
+    if (asks.length > 1 && latest.ask !== null) {
+      response += ` (${this.formatChange(asks[0], latest.ask)} since ${history[0].timestamp.slice(0, 10)})`;
+    }
+    response += `\n*Best Offer:* ${this.formatUsd(latest.bestOffer)}\n`;
+    if (latest.ask !== null && latest.bestOffer !== null) {
+      response += `*Spread:* ${this.formatUsd(latest.ask - latest.bestOffer)}\n`;
+    }
+
+    if (asks.length > 1) response += `\n*Ask trend:* ${this.sparkline(asks)}`;
+    if (offers.length > 1) response += `\n*Offer trend:* ${this.sparkline(offers)}`;
+
+    response += `\n\n*Recent moves:*\n`;
+    history.slice(-10).reverse().forEach(point => {
+      response += `• ${point.timestamp.slice(0, 16).replace('T', ' ')} - ask ${this.formatUsd(point.ask)}, offer ${this.formatUsd(point.bestOffer)}\n`;
+    });
+
+    return response + footer;
+  }
+
+  /**
+   * Format which extensions of a domain's label are taken
+   * @param {string} displayName - Domain as shown to users
+   * @param {Array} variants - Label on each extension ({ displayName, status, tokenized, source }), the domain's own first
+   * @returns {string} Formatted response
+   */
+  static formatVariants(displayName, variants) {
+    let response = `🔗 *Extensions:* \`${displayName}\`\n\n`;
+
+    const groups = [
+      { status: 'taken', title: '🔴 *Taken*' },
+      { status: 'available', title: '🟢 *Available*' },
+      { status: 'unknown', title: '❔ *Unknown*' }
+    ];
+
+    groups.forEach(({ status, title }) => {
+      const names = variants.filter(variant => variant.status === status);
+      if (names.length === 0) return;
+
+      response += `${title} (${names.length}):\n`;
+      names.forEach(variant => {
+        response += `• ${variant.displayName}`;
+        if (variant.tokenized) response += ` - tokenized on Doma`;
+        else if (variant.source) response += ` _(${variant.source})_`;
+        response += `\n`;
+      });
+      response += `\n`;
+    });
+
+    return response + `_Availability is a hint from DNS and registry data; check with a registrar before buying._`;
+  }
+
+  /**
+   * Format domain suggestions
+   * @param {Object} result - SuggestionService result ({ keywords, tlds, generated, checked, taken, suggestions })
+   * @returns {string} Formatted response
+   */
+  static formatSuggestions(result) {
+    const kinds = { keyword: 'keyword', synonym: 'synonym', compound: 'compound', affix: 'affix', hack: 'TLD hack' };
+
+    let response = `💡 *Suggestions for:* ${result.keywords.join(' ')}\n`;
+    response += `🧪 ${result.generated} names generated, ${result.checked} checked, ${result.taken} taken\n\n`;
+
+    if (result.suggestions.length === 0) {
+      return response + `No free names found. Try other keywords or TLDs, e.g. /suggest ${result.keywords[0]} .io .ai`;
+    }
+
+    result.suggestions.forEach((suggestion, index) => {
+      const marker = suggestion.status === 'unknown' ? ' ❔' : '';
+      response += `${index + 1}. ${this.getScoreEmoji(suggestion.overallScore)} \`${suggestion.displayName}\` - *${suggestion.overallScore}/100*${marker} · ${kinds[suggestion.kind]}\n`;
+    });
+
+    if (result.suggestions.some(suggestion => suggestion.status === 'unknown')) {
+      response += `\n❔ Availability could not be checked.`;
+    }
+    return response + `\n_Availability is a hint from DNS and registry data; check with a registrar before buying._`;
+  }
+
+  /**
+   * Build score and subscribe buttons for suggestions
+   * @param {Array} suggestions - Suggestions ({ domain, displayName })
+   * @returns {Object} Telegram inline keyboard markup
+   */
+  static buildSuggestionsKeyboard(suggestions) {
+    return {
+      inline_keyboard: suggestions
+        // callback_data is limited to 64 bytes
+        .filter(suggestion => Buffer.byteLength(`suggest:s:${suggestion.domain}`) <= 64)
+        .map(suggestion => [
+          { text: `🎯 ${suggestion.displayName}`, callback_data: `suggest:s:${suggestion.domain}` },
+          { text: '🔔 Subscribe', callback_data: `suggest:b:${suggestion.domain}` }
+        ])
+    };
+  }
+
+  /**
+   * Format a domain's score history
+   * @param {string} domain - Domain name
+   * @param {Array} history - Entries ({ timestamp, overallScore, scores }), oldest first
+   * @param {string} profile - Weight profile the entries were scored with
+   * @returns {string} Formatted response
+   */
+  static formatScoreHistory(domain, history, profile) {
+    let response = `📜 *Score History:* \`${domain}\`\n`;
+    response += `⚖️ *Profile:* ${profile}\n\n`;
+
+    if (history.length === 0) {
+      return response + `No scores recorded yet. Use /score ${domain} to record one.`;
+    }
+
+    const recent = history.slice(-30);
+    const values = recent.map(entry => entry.overallScore);
+    const latest = history[history.length - 1];
+
+    response += `⭐ *Latest:* ${this.getScoreEmoji(latest.overallScore)} *${latest.overallScore}/100* (${latest.timestamp.slice(0, 16).replace('T', ' ')})\n`;
+    if (history.length > 1) {
+      response += `📈 *Trend:* ${this.sparkline(values)}\n`;
+      response += `• Range: ${Math.min(...values)} - ${Math.max(...values)} over ${recent.length} scores\n`;
+      response += `• Since ${recent[0].timestamp.slice(0, 10)}: ${this.formatChange(recent[0].overallScore, latest.overallScore)}\n`;
+    }
+
+    if (history.length < 2) {
+      return response + `\nOnly one score recorded so far.`;
+    }
+
+    const previous = history[history.length - 2];
+    const changes = Object.keys(latest.scores)
+      .filter(trait => trait in previous.scores)
+      .map(trait => ({
+        trait,
+        from: Math.round(previous.scores[trait]),
+        to: Math.round(latest.scores[trait])
+      }))
+      .filter(change => change.from !== change.to)
+      .sort((a, b) => Math.abs(b.to - b.from) - Math.abs(a.to - a.from));
+
+    response += `\n🔍 *Changes since ${previous.timestamp.slice(0, 16).replace('T', ' ')}:*\n`;
+    if (changes.length === 0) {
+      response += `No trait scores changed.`;
+    }
+    changes.forEach(change => {
+      const diff = change.to - change.from;
+      response += `${this.getTraitEmoji(change.trait)} ${this.formatTraitName(change.trait)}: ${change.from} → ${change.to} (${diff > 0 ? '+' : ''}${diff})\n`;
+    });
+
+    return response;
+  }
+
+  /**
+   * Render values as a text sparkline
+   * @param {Array<number>} values - Values to plot
+   * @returns {string} Sparkline
+   */
+  static sparkline(values) {
+    const bars = '▁▂▃▄▅▆▇█';
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+
+    return values
+      .map(value => bars[Math.round(((value - min) / range) * (bars.length - 1))])
+      .join('');
+  }
+
+  /**
+   * Format a USD amount, or a dash when missing
+   * @param {number|null} value - Amount in USD
+   * @returns {string} Formatted amount
+   */
+  static formatUsd(value) {
+    if (value === null || value === undefined) return '-';
+    return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  /**
+   * Format the relative change between two values
+   * @returns {string} e.g. "▲ 12.5%"
+   */
+  static formatChange(from, to) {
+    const change = from === 0 ? 0 : ((to - from) / from) * 100;
+    return `${change >= 0 ? '▲' : '▼'} ${Math.abs(change).toFixed(1)}%`;
+  }
+
+  /**
+   * Format the list of weight profiles
+   * @param {Array} profiles - { name, description } of each profile
+   * @param {string} current - Active profile
+   * @param {boolean} changed - Whether the profile was just changed
+   * @returns {string} Formatted response
+   */
+  static formatProfiles(profiles, current, changed = false) {
+    let response = changed
+      ? `✅ *Now scoring with the ${current} profile*\n\n`
+      : `⚖️ *Scoring Profiles*\n\n`;
+
+    profiles.forEach(profile => {
+      const marker = profile.name === current ? '▶️' : '•';
+      response += `${marker} *${profile.name}* - ${profile.description}\n`;
+    });
+
+    response += `\nProfiles change how much each trait counts towards the overall score. Use /profile <name> or tap a profile below.`;
+    return response;
+  }
+
+  /**
+   * Build the inline keyboard for picking a weight profile
+   * @param {Array} profiles - { name, description } of each profile
+   * @param {string} current - Active profile
+   * @returns {Object} reply_markup with an inline keyboard
+   */
+  static buildProfilesKeyboard(profiles, current) {
+    return {
+      inline_keyboard: [profiles.map(profile => ({
+        text: profile.name === current ? `✅ ${profile.name}` : profile.name,
+        callback_data: `profile:${profile.name}`
+      }))]
+    };
+  }
+
   /**
    * Format multiple domains response
    * @param {Array} results - Array of domain score results
+   * @param {string} [profile] - Weight profile the domains were scored with
    * @returns {string} Formatted response
    */
-  static formatMultipleDomains(results) {
-    let response = `🎯 *Multiple Domain Scores*\n\n`;
+  static formatMultipleDomains(results, profile) {
+    let response = `🎯 *Multiple Domain Scores*\n`;
+    response += profile ? `⚖️ *Profile:* ${profile}\n\n` : `\n`;
     
     results.forEach((result, index) => {
-      response += `${index + 1}. *${result.domain}* - ${this.getScoreEmoji(result.overallScore)} ${result.overallScore}/100\n`;
+      response += `${index + 1}. *${result.displayName || result.domain}* - ${this.getScoreEmoji(result.overallScore)} ${result.overallScore}/100${result.degraded ? ' ⚠️' : ''}\n`;
     });
     
+    if (results.some(result => result.degraded)) {
+      response += `\n⚠️ Partial data: some sources were unavailable for the marked domains.`;
+    }
     response += `\nUse /score <domain> for detailed analysis of any domain.`;
     
     return response;
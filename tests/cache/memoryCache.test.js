@@ -0,0 +1,95 @@
+const { Cache, MemoryCache } = require('../../src/cache');
+const logger = require('../../src/utils/logger');
+
+describe('MemoryCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('expires entries after their TTL', async () => {
+    const cache = new MemoryCache();
+    await cache.set('a', { score: 1 }, 1000);
+
+    now += 999;
+    expect(await cache.get('a')).toEqual({ score: 1 });
+    now += 1;
+    expect(await cache.get('a')).toBeUndefined();
+    expect(cache.getInfo().size).toBe(0);
+  });
+
+  test('evicts the least recently used entry past maxEntries', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1, 1000);
+    await cache.set('b', 2, 1000);
+    await cache.get('a');
+    await cache.set('c', 3, 1000);
+
+    expect(await cache.get('b')).toBeUndefined();
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('c')).toBe(3);
+    expect(cache.getInfo()).toMatchObject({ size: 2, evictions: 1 });
+  });
+
+  test('does not count dropping an expired entry as an eviction', async () => {
+    const cache = new MemoryCache({ maxEntries: 1 });
+    await cache.set('a', 1, 10);
+    now += 10;
+    await cache.set('b', 2, 1000);
+
+    expect(cache.getInfo()).toMatchObject({ size: 1, evictions: 0 });
+  });
+
+  test('overwriting a key refreshes its TTL and recency', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1, 100);
+    await cache.set('b', 2, 1000);
+    await cache.set('a', 10, 1000);
+    await cache.set('c', 3, 1000);
+
+    now += 500;
+    expect(await cache.get('a')).toBe(10);
+    expect(await cache.get('b')).toBeUndefined();
+  });
+});
+
+describe('Cache', () => {
+  test('uses the namespace TTL and skips namespaces without one', async () => {
+    const backend = new MemoryCache();
+    const setSpy = jest.spyOn(backend, 'set');
+    const cache = new Cache(backend, { ttlSeconds: { scores: 60 } });
+
+    await cache.set('scores', 'default:example.com', 70);
+    await cache.set('uncached', 'x', 1);
+
+    expect(setSpy).toHaveBeenCalledTimes(1);
+    expect(setSpy).toHaveBeenCalledWith('scores:default:example.com', 70, 60000);
+  });
+
+  test('wrap loads on a miss and serves the stored value afterwards', async () => {
+    const cache = new Cache(new MemoryCache(), { ttlSeconds: { scores: 60 } });
+    const load = jest.fn(async () => ({ overallScore: 70 }));
+
+    await cache.wrap('scores', 'example.com', load);
+    await cache.wrap('scores', 'example.com', load);
+    await cache.wrap('scores', 'example.com', load, { skipCache: true });
+
+    expect(load).toHaveBeenCalledTimes(2);
+    expect(cache.getStats().namespaces.scores).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  test('treats backend failures as misses', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const backend = new MemoryCache();
+    backend.get = async () => { throw new Error('connection refused'); };
+    const cache = new Cache(backend, { ttlSeconds: { scores: 60 } });
+
+    expect(await cache.wrap('scores', 'example.com', async () => 42)).toBe(42);
+    expect(cache.getStats().namespaces.scores).toMatchObject({ misses: 1, errors: 1 });
+    jest.restoreAllMocks();
+  });
+});
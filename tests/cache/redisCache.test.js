@@ -0,0 +1,120 @@
+const net = require('net');
+const { RedisCache } = require('../../src/cache');
+const logger = require('../../src/utils/logger');
+
+const resp = text => Buffer.from(text.replace(/\n/g, '\r\n'));
+
+describe('RedisCache RESP codec', () => {
+  test('encodes commands as arrays of bulk strings', () => {
+    expect(RedisCache.encode(['SET', 'k', 'café'])).toBe('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$5\r\ncafé\r\n');
+  });
+
+  test('decodes every reply type', () => {
+    expect(RedisCache.decode(resp('+OK\n'), 0)).toEqual({ value: 'OK', offset: 5 });
+    expect(RedisCache.decode(resp(':3\n'), 0).value).toBe(3);
+    expect(RedisCache.decode(resp('$-1\n'), 0).value).toBeNull();
+    expect(RedisCache.decode(resp('$5\ncafé\n'), 0).value).toBe('café');
+    expect(RedisCache.decode(resp('*2\n$1\na\n:1\n'), 0).value).toEqual(['a', 1]);
+
+    const error = RedisCache.decode(resp('-ERR wrong type\n'), 0).value;
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('ERR wrong type');
+  });
+
+  test('waits for replies that are not complete yet', () => {
+    expect(RedisCache.decode(resp('$5\ncaf'), 0)).toBeNull();
+    expect(RedisCache.decode(resp('*2\n$1\na\n'), 0)).toBeNull();
+    expect(RedisCache.decode(Buffer.from('+OK'), 0)).toBeNull();
+  });
+
+  test('throws on unknown reply types', () => {
+    expect(() => RedisCache.decode(resp('?what\n'), 0)).toThrow('Unexpected Redis reply type: ?');
+  });
+});
+
+describe('RedisCache connection', () => {
+  let server;
+  let sockets;
+  let store;
+  let respond;
+
+  beforeEach(async () => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    store = new Map();
+    sockets = [];
+
+    // Minimal server: answers each command as soon as its array header and
+    // arguments have arrived; `respond` can override the reply
+    respond = null;
+    server = net.createServer((socket) => {
+      sockets.push(socket);
+      let buffer = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let request;
+        while ((request = RedisCache.decode(buffer, 0)) !== null) {
+          buffer = buffer.subarray(request.offset);
+          socket.write(respond ? respond(request.value) : reply(request.value));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  function reply([name, key, value]) {
+    switch (name) {
+      case 'SET':
+        store.set(key, value);
+        return '+OK\r\n';
+      case 'GET':
+        return store.has(key) ? `$${Buffer.byteLength(store.get(key))}\r\n${store.get(key)}\r\n` : '$-1\r\n';
+      case 'DEL':
+        return `:${store.delete(key) ? 1 : 0}\r\n`;
+      default:
+        return '+OK\r\n';
+    }
+  }
+
+  const connect = () => new RedisCache(`redis://127.0.0.1:${server.address().port}`, { keyPrefix: 'bot:', commandTimeoutMs: 500 });
+
+  test('stores JSON values under the key prefix', async () => {
+    const cache = connect();
+    await cache.set('scores:example.com', { overallScore: 70 }, 60000);
+
+    expect(store.get('bot:scores:example.com')).toBe('{"overallScore":70}');
+    expect(await cache.get('scores:example.com')).toEqual({ overallScore: 70 });
+    expect(await cache.delete('scores:example.com')).toBe(true);
+    expect(await cache.get('scores:example.com')).toBeUndefined();
+    await cache.close();
+  });
+
+  test('rejects pending commands and reconnects after an unreadable reply', async () => {
+    const cache = connect();
+    await cache.set('a', 1, 1000);
+
+    respond = () => '?garbage\r\n';
+    await expect(cache.get('a')).rejects.toThrow('Unexpected Redis reply type: ?');
+    expect(cache.getInfo().connected).toBe(false);
+
+    respond = null;
+    expect(await cache.get('a')).toBe(1);
+    expect(sockets).toHaveLength(2);
+    await cache.close();
+  });
+
+  test('rejects server errors without dropping the connection', async () => {
+    const cache = connect();
+    respond = () => '-ERR out of memory\r\n';
+
+    await expect(cache.set('a', 1, 1000)).rejects.toThrow('ERR out of memory');
+    expect(cache.getInfo().connected).toBe(true);
+    await cache.close();
+  });
+});
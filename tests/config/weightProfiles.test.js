@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TRAITS, validateProfile, loadWeightProfiles } = require('../../src/config/weightProfiles');
+const UserSettingsService = require('../../src/services/userSettingsService');
+const DomainScoringService = require('../../src/services/domainScoringService');
+const { MemoryStorage } = require('../../src/storage');
+
+// Every trait weighted equally, adjusted by `overrides`
+const evenWeights = (overrides = {}) => ({
+  ...Object.fromEntries(TRAITS.map(trait => [trait, 1 / TRAITS.length])),
+  ...overrides
+});
+
+describe('weight profiles', () => {
+  describe('validateProfile', () => {
+    test('accepts weights over every trait that sum to 1', () => {
+      expect(() => validateProfile('even', { weights: evenWeights() })).not.toThrow();
+    });
+
+    test('names missing and unknown traits', () => {
+      const { age, ...weights } = evenWeights();
+      expect(() => validateProfile('partial', { weights: { ...weights, vibes: age } }))
+        .toThrow(/"partial".*\(missing: age\) \(unknown: vibes\)/);
+    });
+
+    test('rejects negative weights', () => {
+      expect(() => validateProfile('negative', { weights: evenWeights({ length: -0.1, age: 0.3 }) }))
+        .toThrow('Weight profile "negative" has an invalid weight for length');
+    });
+
+    test('rejects weights that do not sum to 1', () => {
+      expect(() => validateProfile('heavy', { weights: evenWeights({ age: 0.5 }) }))
+        .toThrow(/Weights of profile "heavy" sum to 1\.4/);
+    });
+
+    test('rejects a profile without weights', () => {
+      expect(() => validateProfile('empty', { description: 'Nothing' })).toThrow('Weight profile "empty" has no weights');
+    });
+  });
+
+  describe('loadWeightProfiles', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'doma-profiles-'));
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    const writeProfiles = profiles => {
+      const filePath = path.join(dir, 'profiles.json');
+      fs.writeFileSync(filePath, JSON.stringify(profiles));
+      return filePath;
+    };
+
+    test('the bundled profiles are valid', () => {
+      expect(Object.keys(loadWeightProfiles())).toEqual(['default', 'investor', 'brand', 'web3']);
+    });
+
+    test('requires the default profile', () => {
+      const filePath = writeProfiles({ even: { description: 'Even', weights: evenWeights() } });
+      expect(() => loadWeightProfiles(filePath)).toThrow('Default weight profile "default" is not defined');
+    });
+
+    test('fails on the first invalid profile', () => {
+      const filePath = writeProfiles({
+        default: { description: 'Even', weights: evenWeights() },
+        broken: { description: 'Broken', weights: evenWeights({ age: 0 }) }
+      });
+      expect(() => loadWeightProfiles(filePath)).toThrow(/"broken" sum to/);
+    });
+  });
+
+  describe('UserSettingsService', () => {
+    test('uses the default profile until the user picks one', async () => {
+      const storage = new MemoryStorage();
+      await storage.init();
+      const settings = new UserSettingsService(storage);
+
+      expect(settings.getProfile(1)).toBe('default');
+      settings.setProfile(1, 'investor');
+      expect(settings.getProfile(1)).toBe('investor');
+      expect(settings.getProfile(2)).toBe('default');
+    });
+  });
+
+  test('the overall score is the profile-weighted sum of the traits', async () => {
+    const service = new DomainScoringService();
+
+    for (const profile of ['default', 'brand']) {
+      const result = await service.calculateDomainScore('example.com', { profile });
+      const { weights } = service.weightProfiles[profile];
+      const expected = TRAITS.reduce((sum, trait) => sum + result.scores[trait] * weights[trait], 0);
+
+      expect(result.weights).toEqual(weights);
+      expect(result.overallScore).toBeCloseTo(expected, 0);
+    }
+  });
+});
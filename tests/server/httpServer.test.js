@@ -0,0 +1,47 @@
+const http = require('http');
+const { HttpServer, HttpError } = require('../../src/server/httpServer');
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    }).on('error', reject);
+  });
+}
+
+describe('HttpServer', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = new HttpServer();
+    server.route('GET', '/v1/score/:domain', ({ params }) => ({ domain: params.domain }));
+    server.route('GET', '/v1/private', () => {
+      throw new HttpError(401, 'Missing API key');
+    });
+    await server.start(0, '127.0.0.1');
+    port = server.server.address().port;
+  });
+
+  afterAll(() => server.stop());
+
+  test('passes decoded path parameters to handlers', async () => {
+    expect(await get(port, '/v1/score/caf%C3%A9.com')).toEqual({ status: 200, body: { domain: 'café.com' } });
+  });
+
+  test('rejects malformed path parameters with 400', async () => {
+    expect(await get(port, '/v1/score/%E0%A4%A')).toEqual({ status: 400, body: { error: 'Malformed path parameter' } });
+  });
+
+  test('sends HttpErrors with their status', async () => {
+    expect(await get(port, '/v1/private')).toEqual({ status: 401, body: { error: 'Missing API key' } });
+  });
+
+  test('answers 404 and 405 for unknown routes and methods', async () => {
+    expect((await get(port, '/v2/nothing')).status).toBe(404);
+    server.route('POST', '/v1/only-post', () => ({}));
+    expect((await get(port, '/v1/only-post')).status).toBe(405);
+  });
+});
@@ -0,0 +1,78 @@
+const http = require('http');
+const { HttpServer } = require('../../src/server/httpServer');
+const { registerWebhookRoutes, secretsMatch } = require('../../src/server/webhookRoutes');
+const logger = require('../../src/utils/logger');
+
+const SECRET = 's3cret-token';
+
+function post(port, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method: 'POST', headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+describe('webhook route', () => {
+  let server;
+  let port;
+  let bot;
+
+  beforeAll(async () => {
+    bot = { processUpdate: jest.fn() };
+    server = new HttpServer();
+    registerWebhookRoutes(server, bot, { path: '/telegram/webhook', secretToken: SECRET });
+    await server.start(0, '127.0.0.1');
+    port = server.server.address().port;
+  });
+
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    bot.processUpdate.mockClear();
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const update = { update_id: 7, message: { text: '/start' } };
+
+  test('hands updates with the right secret to the bot', async () => {
+    const response = await post(port, '/telegram/webhook', update, { 'X-Telegram-Bot-Api-Secret-Token': SECRET });
+
+    expect(response).toEqual({ status: 200, body: { ok: true } });
+    expect(bot.processUpdate).toHaveBeenCalledWith(update);
+  });
+
+  test('rejects a missing or wrong secret', async () => {
+    expect((await post(port, '/telegram/webhook', update)).status).toBe(401);
+    expect((await post(port, '/telegram/webhook', update, { 'X-Telegram-Bot-Api-Secret-Token': 'guess' })).status).toBe(401);
+    expect(bot.processUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rejects bodies that are not updates', async () => {
+    const headers = { 'X-Telegram-Bot-Api-Secret-Token': SECRET };
+
+    expect(await post(port, '/telegram/webhook', { message: {} }, headers)).toEqual({ status: 400, body: { error: 'Invalid update' } });
+    expect(await post(port, '/telegram/webhook', '{not json', headers)).toEqual({ status: 400, body: { error: 'Invalid JSON body' } });
+    expect(bot.processUpdate).not.toHaveBeenCalled();
+  });
+
+  test('only listens on the configured path', async () => {
+    const response = await post(port, '/other', update, { 'X-Telegram-Bot-Api-Secret-Token': SECRET });
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('secretsMatch', () => {
+  test('needs the exact secret', () => {
+    expect(secretsMatch(SECRET, SECRET)).toBe(true);
+    expect(secretsMatch(SECRET, `${SECRET}x`)).toBe(false);
+    expect(secretsMatch(SECRET, SECRET.toUpperCase())).toBe(false);
+    expect(secretsMatch(SECRET, undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+const SubscriptionService = require('../../src/services/SubscriptionService');
+const SubscriptionFormatter = require('../../src/utils/SubscriptionFormatter');
+const { MemoryStorage } = require('../../src/storage');
+
+describe('alert preferences', () => {
+  let service;
+
+  beforeEach(async () => {
+    const storage = new MemoryStorage();
+    await storage.init();
+    service = new SubscriptionService(storage, { domaService: {} });
+    service.startEventMonitoring = () => {};
+    await service.subscribe(1, 'example.com');
+    await service.subscribe(1, 'software.ai');
+  });
+
+  test('domain overrides win over global settings for that domain only', () => {
+    service.updatePreferences(1, { saleAlerts: false, scoreThreshold: 70 });
+    service.updatePreferences(1, { saleAlerts: true }, 'software.ai');
+
+    expect(service.getEffectivePreferences(1, 'example.com')).toMatchObject({ saleAlerts: false, scoreThreshold: 70 });
+    expect(service.getEffectivePreferences(1, 'software.ai')).toMatchObject({ saleAlerts: true, scoreThreshold: 70 });
+  });
+
+  test('refuses overrides for a domain the user does not watch', () => {
+    const result = service.updatePreferences(1, { saleAlerts: false }, 'other.com');
+    expect(result).toEqual({ success: false, message: 'Not subscribed to other.com' });
+  });
+
+  test('resetting a domain brings back the global settings', () => {
+    service.updatePreferences(1, { priceAlerts: false }, 'example.com');
+    expect(service.resetDomainPreferences(1, 'example.com').success).toBe(true);
+
+    expect(service.getEffectivePreferences(1, 'example.com').priceAlerts).toBe(true);
+    expect(service.resetDomainPreferences(1, 'example.com').success).toBe(false);
+  });
+
+  test('unsubscribing drops the domain overrides', async () => {
+    service.updatePreferences(1, { priceAlerts: false }, 'example.com');
+    await service.unsubscribe(1, 'example.com');
+    await service.subscribe(1, 'example.com');
+
+    expect(service.getUserSubscriptions(1).domainPreferences).toEqual({});
+  });
+
+  describe('filterEventsForUser', () => {
+    const sale = { type: 'SALE', message: 'Sold' };
+    const transfer = { type: 'TRANSFER', message: 'Moved' };
+    const priceMove = changePercent => ({ type: 'PRICE_CHANGE', message: 'Moved', data: { changePercent } });
+
+    test('drops event types the user switched off', () => {
+      service.updatePreferences(1, { saleAlerts: false });
+      expect(service.filterEventsForUser(1, 'example.com', [sale, transfer])).toEqual([transfer]);
+    });
+
+    test('drops price moves below the minimum change', () => {
+      service.updatePreferences(1, { priceChangePercent: 20 }, 'example.com');
+      const events = [priceMove(15), priceMove(25)];
+
+      expect(service.filterEventsForUser(1, 'example.com', events)).toEqual([events[1]]);
+      expect(service.filterEventsForUser(1, 'software.ai', events)).toEqual(events);
+    });
+
+    test('keeps every event for a user without a subscription', () => {
+      expect(service.filterEventsForUser(99, 'example.com', [sale, priceMove(50)])).toHaveLength(2);
+    });
+  });
+});
+
+describe('SubscriptionFormatter.buildPreferencesKeyboard', () => {
+  const preferences = { priceAlerts: true, saleAlerts: false, transferAlerts: true, expirationAlerts: true, scoreThreshold: 50 };
+  const buttons = markup => markup.inline_keyboard.flat();
+
+  test('global menu toggles settings and links every domain by index', () => {
+    const markup = SubscriptionFormatter.buildPreferencesKeyboard(preferences, '*', { domains: ['example.com', 'software.ai'] });
+
+    expect(buttons(markup)).toEqual(expect.arrayContaining([
+      { text: '❌ Sale', callback_data: 'alerts:t:*:saleAlerts' },
+      { text: '• 50 •', callback_data: 'alerts:s:*:50' },
+      { text: '⚙️ software.ai', callback_data: 'alerts:m:1' }
+    ]));
+  });
+
+  test('domain menu offers a reset only when it has overrides', () => {
+    const plain = SubscriptionFormatter.buildPreferencesKeyboard(preferences, '0');
+    const custom = SubscriptionFormatter.buildPreferencesKeyboard(preferences, '0', { hasOverrides: true });
+
+    expect(buttons(plain).map(button => button.callback_data)).not.toContain('alerts:r:0');
+    expect(buttons(custom).map(button => button.callback_data)).toContain('alerts:r:0');
+    expect(buttons(custom).every(button => Buffer.byteLength(button.callback_data) <= 64)).toBe(true);
+  });
+});
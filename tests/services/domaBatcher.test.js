@@ -0,0 +1,113 @@
+const { DomaBatcher, mergeOperations } = require('../../src/services/domaBatcher');
+
+const GET_NAME = `
+  query GetName($name: String!) {
+    name(name: $name) { name expiresAt }
+  }
+`;
+const GET_LISTINGS = `
+  query GetListings($sld: String, $take: Int) {
+    listings(sld: $sld, take: $take) { items { id } }
+    stats: nameStatistics(sld: $sld) { activeOffers }
+  }
+`;
+
+const compact = document => document.replace(/\s+/g, ' ');
+
+describe('mergeOperations', () => {
+  const merged = mergeOperations([
+    { document: GET_NAME, variables: { name: 'example.com' } },
+    { document: GET_NAME, variables: { name: 'software.ai' } },
+    { document: GET_LISTINGS, variables: { sld: 'example', take: 5 } }
+  ]);
+
+  test('renames variables per operation', () => {
+    expect(merged.variables).toEqual({
+      name_0: 'example.com',
+      name_1: 'software.ai',
+      sld_2: 'example',
+      take_2: 5
+    });
+    expect(compact(merged.document)).toContain('query DomaBatch($name_0: String!, $name_1: String!, $sld_2: String, $take_2: Int)');
+  });
+
+  test('aliases top-level fields per operation, keeping existing aliases', () => {
+    const document = compact(merged.document);
+    expect(document).toContain('op0_name: name(name: $name_0)');
+    expect(document).toContain('op1_name: name(name: $name_1)');
+    expect(document).toContain('op2_listings: listings(sld: $sld_2, take: $take_2)');
+    expect(document).toContain('op2_stats: nameStatistics(sld: $sld_2)');
+  });
+
+  test('splits the response back into one result per operation', () => {
+    const results = merged.split({
+      op0_name: { name: 'example.com' },
+      op1_name: null,
+      op2_listings: { items: [] },
+      op2_stats: { activeOffers: 2 }
+    });
+
+    expect(results).toEqual([
+      { data: { name: { name: 'example.com' } } },
+      { data: { name: null } },
+      { data: { listings: { items: [] }, stats: { activeOffers: 2 } } }
+    ]);
+  });
+
+  test('fails only the operations an error belongs to', () => {
+    const results = merged.split(
+      { op0_name: { name: 'example.com' }, op1_name: null, op2_listings: null, op2_stats: null },
+      [{ message: 'bad sld', path: ['op2_listings'] }]
+    );
+
+    expect(results[0]).toEqual({ data: { name: { name: 'example.com' } } });
+    expect(results[1]).toEqual({ data: { name: null } });
+    expect(results[2].error.message).toBe('bad sld');
+  });
+
+  test('fails every operation when there is no data', () => {
+    const results = merged.split(null, [{ message: 'rate limited' }]);
+    expect(results.map(result => result.error.message)).toEqual(['rate limited', 'rate limited', 'rate limited']);
+  });
+});
+
+describe('DomaBatcher', () => {
+  const echo = jest.fn(async operations => operations.map(({ variables }) => ({ data: variables })));
+
+  beforeEach(() => echo.mockClear());
+
+  test('sends queries issued within the window together', async () => {
+    const batcher = new DomaBatcher(echo, { windowMs: 5, maxOperations: 10 });
+
+    const results = await Promise.all([
+      batcher.load(GET_NAME, { name: 'a.com' }),
+      batcher.load(GET_NAME, { name: 'b.com' })
+    ]);
+
+    expect(echo).toHaveBeenCalledTimes(1);
+    expect(echo.mock.calls[0][0]).toHaveLength(2);
+    expect(results).toEqual([{ name: 'a.com' }, { name: 'b.com' }]);
+  });
+
+  test('sends a full batch right away and splits larger ones', async () => {
+    const batcher = new DomaBatcher(echo, { windowMs: 1000, maxOperations: 2 });
+
+    const pending = ['a', 'b', 'c'].map(name => batcher.load(GET_NAME, { name }));
+    expect(echo).toHaveBeenCalledTimes(1);
+
+    batcher.flush();
+    await Promise.all(pending);
+    expect(echo.mock.calls.map(([operations]) => operations.length)).toEqual([2, 1]);
+  });
+
+  test('rejects the operations that failed, or all of them when sending fails', async () => {
+    const partial = new DomaBatcher(async () => [{ data: 1 }, { error: new Error('no such name') }], { windowMs: 1 });
+    const [ok, failed] = await Promise.allSettled([partial.load(GET_NAME, {}), partial.load(GET_NAME, {})]);
+    expect(ok).toEqual({ status: 'fulfilled', value: 1 });
+    expect(failed.reason.message).toBe('no such name');
+
+    const down = new DomaBatcher(async () => { throw new Error('network down'); }, { windowMs: 1 });
+    const outcomes = await Promise.allSettled([down.load(GET_NAME, {}), down.load(GET_NAME, {})]);
+    expect(outcomes.map(outcome => outcome.reason.message)).toEqual(['network down', 'network down']);
+  });
+});
@@ -0,0 +1,80 @@
+const DomainScoringService = require('../../src/services/domainScoringService');
+const ScoreHistoryService = require('../../src/services/scoreHistoryService');
+const { MemoryStorage } = require('../../src/storage');
+const { parseDomain } = require('../../src/utils/domainParser');
+const { analyzeName } = require('../../src/utils/nameAnalyzer');
+
+describe('DomainScoringService in fixtures mode', () => {
+  let storage;
+  let history;
+  let service;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.init();
+    history = new ScoreHistoryService(storage, { maxEntries: 10 });
+    service = new DomainScoringService(history);
+  });
+
+  test('scores a recorded name from every source', async () => {
+    const result = await service.calculateDomainScore('example.com');
+
+    expect(result.domain).toBe('example.com');
+    expect(result.profile).toBe('default');
+    expect(result.degraded).toBe(false);
+    expect(result.unavailableTraits).toEqual([]);
+    expect(result.overallScore).toBeGreaterThan(0);
+    expect(result.overallScore).toBeLessThanOrEqual(100);
+    Object.values(result.scores).forEach(score => {
+      expect(score).toBeGreaterThanOrEqual(0);
+      expect(score).toBeLessThanOrEqual(100);
+    });
+  });
+
+  test('derives name traits from the fixture data', async () => {
+    const { scores, registration, linguistics } = await service.calculateDomainScore('example.com');
+
+    // Taken on net, org, io, co, ai and dev in fixtures/variants.json
+    expect(scores.crossExtension).toBe(100);
+    expect(scores.extension).toBe(service.calculateExtensionScore({ label: 'example', suffix: 'com' }));
+    expect(registration.registrar).toBeTruthy();
+    expect(registration.transferLocked).toBe(true);
+    expect(linguistics.classification).toBe('dictionary');
+  });
+
+  test('is deterministic and served from the cache on repeat', async () => {
+    const first = await service.calculateDomainScore('software.ai');
+    const second = await service.calculateDomainScore('software.ai');
+    const fresh = await service.calculateDomainScore('software.ai', { skipCache: true });
+
+    expect(second).toBe(first);
+    expect(fresh.scores).toEqual(first.scores);
+  });
+
+  test('records computed scores in history', async () => {
+    await service.calculateDomainScore('example.com');
+    await service.calculateDomainScore('example.com', { profile: 'brand' });
+
+    expect(history.getHistory('example.com').map(entry => entry.profile)).toEqual(['default', 'brand']);
+  });
+
+  test('does not treat numeric names as junk', () => {
+    const score = (domain) => {
+      const name = parseDomain(domain);
+      const linguistics = analyzeName(name.label);
+      return {
+        brand: service.calculateBrandScore(name, {}, linguistics),
+        popularity: service.calculatePopularityScore(name, {}, linguistics)
+      };
+    };
+
+    expect(score('888.com').brand).toBeGreaterThan(score('aaaa.com').brand);
+    expect(score('2024.com').brand).toBeGreaterThan(score('asdf.com').brand);
+    expect(score('888.com').popularity).toBeGreaterThan(score('aaaa.com').popularity);
+  });
+
+  test('rejects unknown weight profiles', async () => {
+    await expect(service.calculateDomainScore('example.com', { profile: 'nope' }))
+      .rejects.toThrow('Unknown weight profile: nope');
+  });
+});
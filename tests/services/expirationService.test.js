@@ -0,0 +1,62 @@
+const ExpirationService = require('../../src/services/expirationService');
+const { MemoryStorage } = require('../../src/storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRES_AT = '2025-06-30T00:00:00.000Z';
+const daysBefore = days => new Date(Date.parse(EXPIRES_AT) - days * DAY_MS);
+
+describe('ExpirationService milestones', () => {
+  let storage;
+  let service;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.init();
+    service = new ExpirationService({ domaService: {} }, storage, { leadDays: [7, 60, 30, 1], graceDays: 30 });
+  });
+
+  test('sends nothing before the first lead time', () => {
+    expect(service.getDueEvent('example.com', EXPIRES_AT, daysBefore(90))).toBeNull();
+  });
+
+  test('sends each milestone once', () => {
+    const event = service.getDueEvent('example.com', EXPIRES_AT, daysBefore(60));
+    expect(event.type).toBe('EXPIRATION');
+    expect(event.data).toMatchObject({ milestone: 60, daysLeft: 60 });
+
+    expect(service.getDueEvent('example.com', EXPIRES_AT, daysBefore(45))).toBeNull();
+    expect(service.getDueEvent('example.com', EXPIRES_AT, daysBefore(30)).data.milestone).toBe(30);
+  });
+
+  test('only sends the most urgent of several due milestones', () => {
+    const event = service.getDueEvent('example.com', EXPIRES_AT, daysBefore(5));
+    expect(event.data.milestone).toBe(7);
+    expect(storage.get('expirationMilestones', 'example.com').sent).toEqual(expect.arrayContaining([60, 30, 7]));
+
+    expect(service.getDueEvent('example.com', EXPIRES_AT, daysBefore(4))).toBeNull();
+    expect(service.getDueEvent('example.com', EXPIRES_AT, daysBefore(1)).data.milestone).toBe(1);
+  });
+
+  test('sends a single grace-period notice after expiry', () => {
+    const event = service.getDueEvent('example.com', EXPIRES_AT, new Date(Date.parse(EXPIRES_AT) + DAY_MS));
+    expect(event.data).toMatchObject({ milestone: 'expired', inGrace: true });
+    expect(event.message).toContain('can still be renewed until about 2025-07-30');
+    expect(event.data.graceEndsAt).toBe(new Date(Date.parse(EXPIRES_AT) + 30 * DAY_MS).toISOString());
+
+    expect(service.getDueEvent('example.com', EXPIRES_AT, new Date(Date.parse(EXPIRES_AT) + 2 * DAY_MS))).toBeNull();
+  });
+
+  test('does not offer a renewal once the grace period is over', () => {
+    const event = service.getDueEvent('example.com', EXPIRES_AT, new Date(Date.parse(EXPIRES_AT) + 45 * DAY_MS));
+    expect(event.data).toMatchObject({ milestone: 'expired', inGrace: false });
+    expect(event.message).toBe('Domain expired on 2025-06-30 and its grace period ended on 2025-07-30.');
+  });
+
+  test('starts over when the domain is renewed', () => {
+    service.getDueEvent('example.com', EXPIRES_AT, daysBefore(30));
+
+    const renewedAt = new Date(Date.parse(EXPIRES_AT) + 365 * DAY_MS).toISOString();
+    const event = service.getDueEvent('example.com', renewedAt, new Date(Date.parse(renewedAt) - 30 * DAY_MS));
+    expect(event.data).toMatchObject({ milestone: 30, expiresAt: renewedAt });
+  });
+});
@@ -0,0 +1,60 @@
+const FairQueue = require('../../src/services/fairQueue');
+
+// A task that finishes when release() is called
+function deferred(log, name) {
+  let release;
+  const done = new Promise((resolve) => { release = resolve; });
+  const task = async () => {
+    log.push(name);
+    await done;
+    return name;
+  };
+  return { task, release };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('FairQueue', () => {
+  test('runs at most `concurrency` tasks at once', async () => {
+    const queue = new FairQueue({ concurrency: 2 });
+    const log = [];
+    const jobs = ['a', 'b', 'c'].map(name => deferred(log, name));
+
+    const positions = jobs.map(job => queue.enqueue('user', job.task).position);
+    expect(positions).toEqual([0, 0, 1]);
+    expect(log).toEqual(['a', 'b']);
+    expect(queue.getStats()).toEqual({ running: 2, waiting: 1, owners: 1, concurrency: 2 });
+
+    jobs[0].release();
+    await flush();
+    expect(log).toEqual(['a', 'b', 'c']);
+  });
+
+  test('serves owners in turn', async () => {
+    const queue = new FairQueue({ concurrency: 1 });
+    const log = [];
+    const blocker = deferred(log, 'blocker');
+    queue.enqueue('alice', blocker.task);
+
+    const tasks = [['alice', 'a1'], ['alice', 'a2'], ['alice', 'a3'], ['bob', 'b1'], ['bob', 'b2']]
+      .map(([owner, name]) => queue.enqueue(owner, async () => { log.push(name); return name; }));
+
+    // Positions count the jobs pending when each one was queued: bob's
+    // first job only waits for alice's first, not for all of hers
+    expect(tasks.map(({ position }) => position)).toEqual([1, 2, 3, 2, 4]);
+
+    blocker.release();
+    await Promise.all(tasks.map(({ promise }) => promise));
+    expect(log).toEqual(['blocker', 'a1', 'b1', 'a2', 'b2', 'a3']);
+  });
+
+  test('passes results and errors through and keeps going', async () => {
+    const queue = new FairQueue({ concurrency: 1 });
+    const failing = queue.enqueue('user', async () => { throw new Error('boom'); });
+    const next = queue.enqueue('user', async () => 42);
+
+    await expect(failing.promise).rejects.toThrow('boom');
+    await expect(next.promise).resolves.toBe(42);
+    expect(queue.getStats()).toEqual({ running: 0, waiting: 0, owners: 0, concurrency: 1 });
+  });
+});
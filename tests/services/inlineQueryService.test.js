@@ -0,0 +1,96 @@
+const InlineQueryService = require('../../src/services/inlineQueryService');
+const DomainScoringService = require('../../src/services/domainScoringService');
+const FairQueue = require('../../src/services/fairQueue');
+const logger = require('../../src/utils/logger');
+
+describe('InlineQueryService', () => {
+  let bot;
+  let scoringService;
+  let checkRateLimit;
+  let service;
+
+  const query = (text, userId = 1) => ({ id: `q-${text}`, from: { id: userId }, query: text });
+
+  beforeEach(() => {
+    bot = { answerInlineQuery: jest.fn(async () => true) };
+    scoringService = new DomainScoringService();
+    checkRateLimit = jest.fn(() => ({ allowed: true }));
+    service = new InlineQueryService(bot, {
+      scoringService,
+      userSettingsService: { getProfile: () => 'default' },
+      scoreQueue: new FairQueue({ concurrency: 1 }),
+      checkRateLimit,
+      debounceMs: 500,
+      cacheTimeSeconds: 60,
+      maxDomains: 2
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('offers a summary and a full report per domain, charging one token each', async () => {
+    await service.handle(query('example.com, software.ai, third.io'));
+
+    expect(checkRateLimit).toHaveBeenCalledWith(1, undefined, 2);
+    const [id, results, options] = bot.answerInlineQuery.mock.calls[0];
+    expect(id).toBe('q-example.com, software.ai, third.io');
+    expect(options).toEqual({ cache_time: 60, is_personal: true });
+    expect(results.map(result => result.title)).toEqual([
+      expect.stringMatching(/example\.com [\d.]+\/100 · software\.ai [\d.]+\/100$/),
+      '📋 Full report: example.com',
+      '📋 Full report: software.ai'
+    ]);
+    expect(new Set(results.map(result => result.id)).size).toBe(3);
+    results.forEach(result => expect(Buffer.byteLength(result.id)).toBeLessThanOrEqual(64));
+  });
+
+  test('leaves out domains that could not be scored', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const calculate = scoringService.calculateDomainScore.bind(scoringService);
+    jest.spyOn(scoringService, 'calculateDomainScore').mockImplementation((domain, options) =>
+      domain === 'software.ai' ? Promise.reject(new Error('boom')) : calculate(domain, options));
+
+    await service.handle(query('example.com software.ai'));
+
+    const results = bot.answerInlineQuery.mock.calls[0][1];
+    expect(results.map(result => result.title)).toEqual([expect.stringContaining('example.com'), '📋 Full report: example.com']);
+  });
+
+  test('points to the bot when nothing looks like a domain', async () => {
+    await service.handle(query('hello'));
+
+    expect(checkRateLimit).not.toHaveBeenCalled();
+    expect(bot.answerInlineQuery).toHaveBeenCalledWith('q-hello', [], expect.objectContaining({
+      cache_time: 0,
+      switch_pm_text: 'Type a domain, e.g. example.com'
+    }));
+  });
+
+  test('says how long to wait when rate limited', async () => {
+    checkRateLimit.mockReturnValue({ allowed: false, retryAfterSeconds: 30 });
+    await service.handle(query('example.com'));
+
+    expect(bot.answerInlineQuery).toHaveBeenCalledWith('q-example.com', [], expect.objectContaining({
+      switch_pm_text: 'Too many requests, try again in 30 seconds'
+    }));
+  });
+
+  test('answers only the last query typed within the debounce window', async () => {
+    jest.useFakeTimers();
+    try {
+      const handle = jest.spyOn(service, 'handle').mockResolvedValue();
+      service.debounce(query('exam', 1));
+      jest.advanceTimersByTime(300);
+      service.debounce(query('example.com', 1));
+      service.debounce(query('other.com', 2));
+      jest.advanceTimersByTime(499);
+      expect(handle).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(handle.mock.calls.map(([answered]) => answered.query)).toEqual(['example.com', 'other.com']);
+      expect(service.pending.size).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
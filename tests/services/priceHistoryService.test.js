@@ -0,0 +1,115 @@
+const PriceHistoryService = require('../../src/services/priceHistoryService');
+const SubscriptionService = require('../../src/services/SubscriptionService');
+const { MemoryStorage } = require('../../src/storage');
+
+const point = (ask, bestOffer) => ({ timestamp: '2025-01-01T00:00:00.000Z', ask, bestOffer });
+const orders = (...prices) => prices.map(priceInUSD => ({ priceInUSD: String(priceInUSD) }));
+
+describe('PriceHistoryService', () => {
+  let storage;
+  let service;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.init();
+    service = new PriceHistoryService(storage, { maxPoints: 3 });
+  });
+
+  describe('detectPriceEvents', () => {
+    test('reports nothing without a previous point', () => {
+      expect(service.detectPriceEvents(null, point(100, null))).toEqual([]);
+    });
+
+    test('reports ask moves with their size', () => {
+      const [drop] = service.detectPriceEvents(point(200, null), point(150, null));
+      expect(drop.type).toBe('PRICE_CHANGE');
+      expect(drop.data).toMatchObject({ kind: 'ask', previousAsk: 200, ask: 150, changePercent: 25 });
+      expect(drop.message).toContain('dropped 25.0%');
+
+      const [rise] = service.detectPriceEvents(point(100, null), point(110, null));
+      expect(rise.message).toContain('rose 10.0%');
+    });
+
+    test('ignores a listing appearing or disappearing', () => {
+      expect(service.detectPriceEvents(point(null, null), point(100, null))).toEqual([]);
+      expect(service.detectPriceEvents(point(100, null), point(null, null))).toEqual([]);
+    });
+
+    test('reports a better offer that narrows the gap to the ask', () => {
+      const events = service.detectPriceEvents(point(100, 50), point(100, 80));
+      expect(events).toHaveLength(1);
+      expect(events[0].data).toMatchObject({ kind: 'offer', previousBestOffer: 50, bestOffer: 80, gap: 20 });
+    });
+
+    test('ignores lower offers and offers without an ask', () => {
+      expect(service.detectPriceEvents(point(100, 80), point(100, 50))).toEqual([]);
+      expect(service.detectPriceEvents(point(null, 50), point(null, 80))).toEqual([]);
+    });
+  });
+
+  describe('record', () => {
+    test('appends a point only when prices move, keeping maxPoints', () => {
+      service.record('example.com', orders(100, 120), orders(40));
+      const { previous } = service.record('example.com', orders(100), orders(40, 0));
+      expect(previous).toMatchObject({ ask: 100, bestOffer: 40 });
+      expect(service.getHistory('example.com')).toHaveLength(1);
+
+      [90, 80, 70].forEach(ask => service.record('example.com', orders(ask), []));
+      expect(service.getHistory('example.com').map(entry => entry.ask)).toEqual([90, 80, 70]);
+    });
+
+    test('previewHistory shows the current prices without storing them', () => {
+      service.record('example.com', orders(100), []);
+
+      expect(service.previewHistory('example.com', orders(100), []).map(entry => entry.ask)).toEqual([100]);
+      expect(service.previewHistory('example.com', orders(90), []).map(entry => entry.ask)).toEqual([100, 90]);
+      expect(service.previewHistory('other.com', orders(50), []).map(entry => entry.ask)).toEqual([50]);
+      expect(service.getHistory('example.com')).toHaveLength(1);
+      expect(service.getHistory('other.com')).toEqual([]);
+    });
+  });
+});
+
+describe('SubscriptionService price alerts', () => {
+  let listings;
+  let service;
+  let dispatched;
+
+  beforeEach(async () => {
+    const storage = new MemoryStorage();
+    await storage.init();
+    listings = { current: orders(200) };
+    const domaService = {
+      getDomainData: async () => null,
+      getDomainActivities: async () => [],
+      getDomainListings: async () => listings.current,
+      getDomainOffers: async () => []
+    };
+    service = new SubscriptionService(storage, { domaService });
+    service.startEventMonitoring = () => {};
+    dispatched = [];
+    service.dispatchEvents = async (domain, events) => dispatched.push(...events);
+  });
+
+  test('compare each check against the previous one', async () => {
+    await service.subscribe(1, 'example.com');
+    await service.checkDomainEvents('example.com', new Set([1]));
+    listings.current = orders(150);
+    await service.checkDomainEvents('example.com', new Set([1]));
+
+    expect(dispatched.map(event => event.data)).toEqual([expect.objectContaining({ previousAsk: 200, ask: 150 })]);
+  });
+
+  test('do not compare against prices from before a re-subscription', async () => {
+    await service.subscribe(1, 'example.com');
+    await service.checkDomainEvents('example.com', new Set([1]));
+    await service.unsubscribe(1, 'example.com');
+
+    listings.current = orders(100);
+    await service.subscribe(1, 'example.com');
+    await service.checkDomainEvents('example.com', new Set([1]));
+
+    expect(dispatched).toEqual([]);
+    expect(service.priceHistoryService.getHistory('example.com').map(entry => entry.ask)).toEqual([200, 100]);
+  });
+});
@@ -0,0 +1,81 @@
+const RateLimitService = require('../../src/services/rateLimitService');
+const { MemoryStorage } = require('../../src/storage');
+
+describe('RateLimitService', () => {
+  let now;
+  let service;
+
+  beforeEach(async () => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const storage = new MemoryStorage();
+    await storage.init();
+    service = new RateLimitService(storage, {
+      userCapacity: 5,
+      userRefillPerMinute: 6,
+      chatCapacity: 8,
+      chatRefillPerMinute: 6,
+      exemptUserIds: [99]
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('lets a user spend a full bucket, then limits them', () => {
+    expect(service.consume(1, 1, 3).allowed).toBe(true);
+    expect(service.consume(1, 1, 2).allowed).toBe(true);
+    expect(service.consume(1, 1, 1)).toEqual({ allowed: false, scope: 'user', retryAfterSeconds: 10 });
+  });
+
+  test('refills continuously', () => {
+    service.consume(1, 1, 5);
+
+    now += 9000;
+    expect(service.consume(1, 1, 1).allowed).toBe(false);
+    now += 1000;
+    expect(service.consume(1, 1, 1).allowed).toBe(true);
+  });
+
+  test('charges requests larger than the bucket a full bucket', () => {
+    expect(service.consume(1, 1, 20).allowed).toBe(true);
+    expect(service.consume(1, 1, 1).allowed).toBe(false);
+  });
+
+  test('a rejected request costs nothing', () => {
+    service.consume(1, 1, 4);
+    expect(service.consume(1, 1, 2).allowed).toBe(false);
+    expect(service.consume(1, 1, 1).allowed).toBe(true);
+  });
+
+  test('limits a group chat across its members', () => {
+    expect(service.consume(1, -100, 4).allowed).toBe(true);
+    expect(service.consume(2, -100, 4).allowed).toBe(true);
+    expect(service.consume(3, -100, 1)).toMatchObject({ allowed: false, scope: 'chat' });
+  });
+
+  test('charges finished work even past an empty bucket', () => {
+    expect(service.consume(1, -100, 1).allowed).toBe(true);
+    service.charge(1, -100, 6);
+
+    // The user owes 1 token (5 - 1 - 5), so waits 20 seconds for the next one; the chat has 1 of 8 left
+    expect(service.consume(1, -100, 1)).toEqual({ allowed: false, scope: 'user', retryAfterSeconds: 20 });
+    expect(service.consume(2, -100, 2).allowed).toBe(false);
+    expect(service.consume(2, -100, 1).allowed).toBe(true);
+  });
+
+  test('never charges exempt users', () => {
+    service.charge(99, 99, 50);
+    expect(service.consume(99, 99, 1).allowed).toBe(true);
+    expect(service.userBuckets.buckets.has(99)).toBe(false);
+  });
+
+  test('never limits exempt users', () => {
+    expect(service.consume(99, 99, 50).allowed).toBe(true);
+    expect(service.consume(99, 99, 50).allowed).toBe(true);
+
+    expect(service.addExemption(7, 99).success).toBe(true);
+    expect(service.consume(7, 7, 50).allowed).toBe(true);
+    expect(service.removeExemption(99, 1).success).toBe(false);
+  });
+});
@@ -0,0 +1,90 @@
+const http = require('http');
+const RdapClient = require('../../src/services/rdapClient');
+const { RdapLookup } = require('../../src/services/variantResolver');
+
+const BOOTSTRAP = {
+  version: '1.0',
+  services: [
+    [['com', 'net'], ['https://rdap.verisign.com/com/v1/']],
+    [['io'], ['https://rdap.nic.io/']]
+  ]
+};
+
+const RECORD = {
+  ldhName: 'TAKEN.COM',
+  status: ['client transfer prohibited'],
+  events: [{ eventAction: 'registration', eventDate: '2001-05-04T00:00:00Z' }]
+};
+
+describe('RdapClient', () => {
+  let server;
+  let baseUrl;
+  let bootstrapRequests;
+
+  beforeAll(async () => {
+    // Stands in for both rdap.org and IANA: 404 for every name it does not know
+    server = http.createServer((req, res) => {
+      if (req.url === '/bootstrap.json') {
+        bootstrapRequests++;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(BOOTSTRAP));
+      }
+      if (req.url === '/domain/taken.com') {
+        res.writeHead(200, { 'Content-Type': 'application/rdap+json' });
+        return res.end(JSON.stringify(RECORD));
+      }
+      res.writeHead(404);
+      return res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    bootstrapRequests = 0;
+  });
+
+  const clientWith = (options = {}) => new RdapClient({
+    baseUrl,
+    bootstrapUrl: `${baseUrl}/bootstrap.json`,
+    dataSource: 'api',
+    ...options
+  });
+
+  test('reads a 404 as unregistered for TLDs with an RDAP server', async () => {
+    const client = clientWith();
+
+    expect(await client.getDomain('free.io')).toBeNull();
+    expect(await client.getRegistration('taken.com')).toMatchObject({ createdAt: '2001-05-04T00:00:00Z' });
+    expect(bootstrapRequests).toBe(1);
+  });
+
+  test('refuses to read a 404 for a TLD without an RDAP server', async () => {
+    const client = clientWith();
+
+    await expect(client.getDomain('taken.de')).rejects.toThrow('No RDAP server for taken.de');
+    expect(await client.getRegistration('taken.de')).toBeNull();
+  });
+
+  test('reports names under such TLDs as unknown rather than available', async () => {
+    const lookup = new RdapLookup(clientWith());
+
+    const answers = await lookup.check(['free.com', 'free.de']);
+
+    expect(answers.map(answer => answer.status)).toEqual(['available', 'unknown']);
+  });
+
+  test('trusts every 404 when the bootstrap check is off', async () => {
+    const client = clientWith({ bootstrapUrl: '' });
+
+    expect(await client.getDomain('free.de')).toBeNull();
+    expect(bootstrapRequests).toBe(0);
+  });
+
+  test('parses bootstrap TLDs case- and dot-insensitively', () => {
+    const tlds = RdapClient.parseBootstrap({ services: [[['COM', '.Shop.'], []]] });
+    expect([...tlds]).toEqual(['com', 'shop']);
+  });
+});
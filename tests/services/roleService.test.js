@@ -0,0 +1,73 @@
+const RoleService = require('../../src/services/roleService');
+const logger = require('../../src/utils/logger');
+const { MemoryStorage } = require('../../src/storage');
+
+const ADMIN = 1;
+const OPERATOR = 2;
+const USER = 3;
+
+describe('RoleService', () => {
+  let roles;
+
+  beforeEach(async () => {
+    const storage = new MemoryStorage();
+    await storage.init();
+    roles = new RoleService(storage, { adminUserIds: [ADMIN], operatorUserIds: [OPERATOR] });
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('roles from the environment rank admins above operators', () => {
+    expect(roles.getRole(ADMIN)).toBe('admin');
+    expect(roles.hasRole(ADMIN, 'operator')).toBe(true);
+    expect(roles.hasRole(OPERATOR, 'operator')).toBe(true);
+    expect(roles.hasRole(OPERATOR, 'admin')).toBe(false);
+    expect(roles.getRole(USER)).toBe('user');
+  });
+
+  test('granted roles are stored and can be revoked', () => {
+    expect(roles.setRole(USER, 'operator', ADMIN)).toEqual({ success: true, message: `User ${USER} is now operator` });
+    expect(roles.hasRole(USER, 'operator')).toBe(true);
+
+    roles.setRole(USER, 'user', ADMIN);
+    expect(roles.getRole(USER)).toBe('user');
+  });
+
+  test('environment roles cannot be demoted, only raised', () => {
+    expect(roles.setRole(ADMIN, 'operator', ADMIN).success).toBe(false);
+    expect(roles.getRole(ADMIN)).toBe('admin');
+
+    roles.setRole(OPERATOR, 'admin', ADMIN);
+    expect(roles.getRole(OPERATOR)).toBe('admin');
+  });
+
+  test('rejects unknown roles', () => {
+    expect(roles.setRole(USER, 'owner', ADMIN).message).toBe('Unknown role: owner. Use one of user, operator, admin');
+  });
+
+  test('lists staff with where their role comes from', () => {
+    roles.setRole(USER, 'operator', ADMIN);
+    roles.setRole(OPERATOR, 'admin', ADMIN);
+
+    expect(roles.getStaff()).toEqual([
+      { userId: ADMIN, role: 'admin', source: 'env' },
+      { userId: OPERATOR, role: 'admin', source: 'storage' },
+      { userId: USER, role: 'operator', source: 'storage' }
+    ]);
+  });
+
+  test('blocks users but never staff', () => {
+    expect(roles.block(OPERATOR, ADMIN).message).toBe('Staff members cannot be blocked');
+
+    expect(roles.block(USER, OPERATOR, 'spam').success).toBe(true);
+    expect(roles.isBlocked(USER)).toBe(true);
+    expect(roles.getBlock(USER)).toMatchObject({ blockedBy: OPERATOR, reason: 'spam' });
+    expect(roles.block(USER, OPERATOR).success).toBe(false);
+    expect(roles.getBlockedCount()).toBe(1);
+
+    expect(roles.unblock(USER, ADMIN).success).toBe(true);
+    expect(roles.isBlocked(USER)).toBe(false);
+    expect(roles.unblock(USER, ADMIN).success).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+const ScoreHistoryService = require('../../src/services/scoreHistoryService');
+const ResponseFormatter = require('../../src/utils/responseFormatter');
+const { MemoryStorage } = require('../../src/storage');
+
+const scored = (overallScore, scores, day = 1, profile = 'default') => ({
+  domain: 'example.com',
+  profile,
+  timestamp: `2025-01-0${day}T12:00:00.000Z`,
+  overallScore,
+  scores,
+  breakdown: {}
+});
+
+describe('ScoreHistoryService', () => {
+  let service;
+
+  beforeEach(async () => {
+    const storage = new MemoryStorage();
+    await storage.init();
+    service = new ScoreHistoryService(storage, { maxEntries: 3 });
+  });
+
+  test('keeps the latest maxEntries scores without the breakdown', () => {
+    [50, 60, 70, 80].forEach((score, index) => service.record(scored(score, { length: score }, index + 1)));
+
+    const history = service.getHistory('example.com');
+    expect(history.map(entry => entry.overallScore)).toEqual([60, 70, 80]);
+    expect(history[0]).toEqual({ timestamp: '2025-01-02T12:00:00.000Z', profile: 'default', overallScore: 60, scores: { length: 60 } });
+  });
+
+  test('filters by weight profile', () => {
+    service.record(scored(50, {}, 1, 'default'));
+    service.record(scored(65, {}, 2, 'brand'));
+
+    expect(service.getHistory('example.com', 'brand').map(entry => entry.overallScore)).toEqual([65]);
+    expect(service.getHistory('example.com')).toHaveLength(2);
+    expect(service.getHistory('other.com')).toEqual([]);
+  });
+});
+
+describe('ResponseFormatter.formatScoreHistory', () => {
+  test('asks for a first score when nothing is recorded', () => {
+    expect(ResponseFormatter.formatScoreHistory('example.com', [], 'default'))
+      .toContain('No scores recorded yet. Use /score example.com to record one.');
+  });
+
+  test('plots the trend and lists trait changes, biggest first', () => {
+    const history = [
+      scored(40, { length: 60, popularity: 20, age: 50 }, 1),
+      scored(20, { length: 60, popularity: 10, age: 50 }, 2),
+      scored(60, { length: 55, popularity: 70, age: 50 }, 3)
+    ];
+
+    const response = ResponseFormatter.formatScoreHistory('example.com', history, 'default');
+
+    expect(response).toContain('*Trend:* ▅▁█');
+    expect(response).toContain('• Range: 20 - 60 over 3 scores');
+    expect(response).toContain('• Since 2025-01-01: ▲ 50.0%');
+    expect(response).toContain('Changes since 2025-01-02 12:00');
+    expect(response.indexOf('Popularity: 10 → 70 (+60)')).toBeLessThan(response.indexOf('Length Score: 60 → 55 (-5)'));
+    expect(response).not.toContain('Age & History');
+  });
+
+  test('says so when no trait moved', () => {
+    const history = [scored(50, { length: 60 }, 1), scored(50, { length: 60 }, 2)];
+    expect(ResponseFormatter.formatScoreHistory('example.com', history, 'default')).toContain('No trait scores changed.');
+  });
+});
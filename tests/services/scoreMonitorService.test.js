@@ -0,0 +1,88 @@
+const ScoreMonitorService = require('../../src/services/scoreMonitorService');
+const SubscriptionService = require('../../src/services/SubscriptionService');
+const UserSettingsService = require('../../src/services/userSettingsService');
+const { MemoryStorage } = require('../../src/storage');
+
+describe('ScoreMonitorService', () => {
+  let storage;
+  let subscriptions;
+  let settings;
+  let monitor;
+  let alerts;
+  let nextScore;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.init();
+    subscriptions = new SubscriptionService(storage, { domaService: {} });
+    subscriptions.startEventMonitoring = () => {};
+    alerts = [];
+    subscriptions.sendEventAlert = async (userId, domain, events) => alerts.push({ userId, domain, events });
+    settings = new UserSettingsService(storage);
+
+    nextScore = { overallScore: 40, scores: { length: 60, popularity: 20 } };
+    const scoringService = {
+      calculateDomainScore: jest.fn(async (domain, { profile }) => ({
+        domain,
+        profile,
+        timestamp: '2025-01-01T00:00:00.000Z',
+        ...nextScore
+      }))
+    };
+    monitor = new ScoreMonitorService(subscriptions, scoringService, settings, storage, { schedule: '0 * * * *', topMovers: 1 });
+
+    await subscriptions.subscribe(1, 'example.com', { scoreThreshold: 50 });
+  });
+
+  const check = () => monitor.checkDomainScore('example.com', subscriptions.domainWatchers.get('example.com'));
+
+  test('only records a snapshot on the first check', async () => {
+    await check();
+    expect(alerts).toEqual([]);
+    expect(storage.get('scoreSnapshots', 'example.com').default.overallScore).toBe(40);
+  });
+
+  test('alerts once the threshold is crossed, naming the biggest mover', async () => {
+    await check();
+    nextScore = { overallScore: 55, scores: { length: 60, popularity: 50 } };
+    await check();
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].events[0].message).toBe('Score rose above your threshold of 50: 40 → 55\nBiggest changes: Popularity +30');
+
+    await check();
+    expect(alerts).toHaveLength(1);
+  });
+
+  test('keeps the last complete snapshot when scoring is degraded', async () => {
+    await check();
+    nextScore = { overallScore: 90, scores: {}, degraded: true };
+    await check();
+
+    expect(alerts).toEqual([]);
+    expect(storage.get('scoreSnapshots', 'example.com').default.overallScore).toBe(40);
+  });
+
+  test('keeps one snapshot per weight profile in use', async () => {
+    await subscriptions.subscribe(2, 'example.com');
+    settings.setProfile(2, 'investor');
+    await check();
+
+    expect(Object.keys(storage.get('scoreSnapshots', 'example.com')).sort()).toEqual(['default', 'investor']);
+  });
+
+  test('forgets the snapshot when the last watcher leaves', async () => {
+    await check();
+    storage.set('expirationMilestones', 'example.com', { expiresAt: '2025-06-30T00:00:00.000Z', sent: [60] });
+    await subscriptions.unsubscribe(1, 'example.com');
+
+    expect(storage.get('scoreSnapshots', 'example.com')).toBeUndefined();
+    expect(storage.get('expirationMilestones', 'example.com')).toBeUndefined();
+
+    // A score that moved while nobody watched is a new baseline, not a crossing
+    await subscriptions.subscribe(1, 'example.com', { scoreThreshold: 50 });
+    nextScore = { overallScore: 70, scores: { length: 60, popularity: 80 } };
+    await check();
+    expect(alerts).toEqual([]);
+  });
+});
@@ -0,0 +1,79 @@
+const DomainScoringService = require('../../src/services/domainScoringService');
+const ResponseFormatter = require('../../src/utils/responseFormatter');
+const logger = require('../../src/utils/logger');
+
+describe('score provenance and confidence', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new DomainScoringService();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('calculateConfidence', () => {
+    const weights = { length: 0.5, extension: 0.3, marketTrends: 0.2 };
+    const provenance = {
+      length: { quality: 'real' },
+      extension: { quality: 'estimated' },
+      marketTrends: { quality: 'default' }
+    };
+
+    test('counts real data fully, estimates half and defaults not at all', () => {
+      expect(service.calculateConfidence(provenance, weights, [], {})).toBe(65);
+    });
+
+    test('halves stale traits and drops unavailable ones', () => {
+      expect(service.calculateConfidence(provenance, weights, [], { length: '2025-01-01T00:00:00.000Z' })).toBe(40);
+      expect(service.calculateConfidence(provenance, weights, ['length'], {})).toBe(15);
+    });
+  });
+
+  describe('getTraitProvenance', () => {
+    test('marks heuristics and baselines standing in for missing providers', () => {
+      const provenance = service.getTraitProvenance({ basic: {} }, { createdAt: null });
+
+      expect(provenance.popularity).toEqual({ source: 'Vocabulary, name length and extension', quality: 'estimated', missing: ['Moz domain authority'] });
+      expect(provenance.traffic.quality).toBe('default');
+      expect(provenance.marketTrends.missing).toEqual(['Market trend data']);
+      expect(provenance.age).toMatchObject({ quality: 'estimated', missing: ['Registration date'] });
+      expect(provenance.blockchain).toMatchObject({ quality: 'real', missing: [] });
+    });
+
+    test('uses measured data when a provider answered', () => {
+      const provenance = service.getTraitProvenance({ moz: { domainAuthority: 40 }, basic: {} }, { createdAt: '2001-01-01T00:00:00Z' });
+
+      expect(provenance.popularity.quality).toBe('real');
+      expect(provenance.traffic).toEqual({ source: 'Moz domain authority', quality: 'real', missing: [] });
+      expect(provenance.age.quality).toBe('real');
+    });
+  });
+
+  test('every score carries provenance for each weighted trait', async () => {
+    const result = await service.calculateDomainScore('example.com');
+
+    expect(Object.keys(result.provenance).sort()).toEqual(Object.keys(result.weights).sort());
+    expect(result.missingInputs).toEqual(expect.arrayContaining(['Moz domain authority', 'Market trend data']));
+    expect(result.confidence).toBe(service.calculateConfidence(result.provenance, result.weights, [], {}));
+    expect(result.breakdown.length).toBe(Object.keys(result.weights).length);
+
+    const report = ResponseFormatter.formatDomainScore(result);
+    expect(report).toContain(`*Confidence:* ${result.confidence}%`);
+    expect(report).toContain('*Missing inputs:* ');
+  });
+
+  test('names the failed source and lowers the confidence when a trait is unavailable', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const listings = jest.spyOn(service.domaService, 'getDomainListings').mockRejectedValue(new Error('Doma API is down'));
+    const partial = await service.calculateDomainScore('example.com');
+    listings.mockRestore();
+    const complete = await service.calculateDomainScore('example.com');
+
+    expect(partial.degraded).toBe(true);
+    expect(partial.unavailableTraits).toEqual(['saleVolume']);
+    expect(partial.scores.saleVolume).toBeNull();
+    expect(partial.provenance.saleVolume.missing).toEqual(['Doma listings']);
+    expect(partial.missingInputs).toContain('Doma listings');
+    expect(partial.confidence).toBeLessThan(complete.confidence);
+  });
+});
@@ -0,0 +1,86 @@
+const SubscriptionService = require('../../src/services/SubscriptionService');
+const { MemoryStorage } = require('../../src/storage');
+
+const item = (id, timestamp) => ({ id, timestamp });
+
+describe('SubscriptionService watermarks', () => {
+  let service;
+
+  beforeEach(async () => {
+    const storage = new MemoryStorage();
+    await storage.init();
+    service = new SubscriptionService(storage, { domaService: {} });
+  });
+
+  describe('advanceWatermark', () => {
+    test('starts at the latest item', () => {
+      const watermark = service.advanceWatermark(undefined, [
+        item('a', '2025-01-01T00:00:00Z'),
+        item('b', '2025-01-03T00:00:00Z'),
+        item('c', '2025-01-02T00:00:00Z')
+      ]);
+
+      expect(watermark).toEqual({ timestamp: '2025-01-03T00:00:00Z', ids: ['b'] });
+    });
+
+    test('keeps every id seen at the latest timestamp', () => {
+      const watermark = service.advanceWatermark({ timestamp: '2025-01-03T00:00:00Z', ids: ['b'] }, [
+        item('b', '2025-01-03T00:00:00Z'),
+        item('d', '2025-01-03T00:00:00Z')
+      ]);
+
+      expect(watermark).toEqual({ timestamp: '2025-01-03T00:00:00Z', ids: ['b', 'd'] });
+    });
+
+    test('never moves backwards', () => {
+      const current = { timestamp: '2025-01-03T00:00:00Z', ids: ['b'] };
+      expect(service.advanceWatermark(current, [item('a', '2025-01-01T00:00:00Z')])).toEqual(current);
+      expect(service.advanceWatermark(current, [])).toEqual(current);
+    });
+
+    test('does not modify the given watermark', () => {
+      const current = { timestamp: '2025-01-03T00:00:00Z', ids: ['b'] };
+      service.advanceWatermark(current, [item('d', '2025-01-03T00:00:00Z')]);
+      expect(current.ids).toEqual(['b']);
+    });
+  });
+
+  describe('getNewItems', () => {
+    const watermark = { timestamp: '2025-01-02T00:00:00Z', ids: ['b'] };
+
+    test('returns items after the watermark, oldest first', () => {
+      const items = [
+        item('d', '2025-01-04T00:00:00Z'),
+        item('a', '2025-01-01T00:00:00Z'),
+        item('c', '2025-01-03T00:00:00Z')
+      ];
+
+      expect(service.getNewItems(watermark, items).map(({ id }) => id)).toEqual(['c', 'd']);
+    });
+
+    test('returns unseen items at the watermark timestamp', () => {
+      const items = [item('b', '2025-01-02T00:00:00Z'), item('e', '2025-01-02T00:00:00Z')];
+      expect(service.getNewItems(watermark, items).map(({ id }) => id)).toEqual(['e']);
+    });
+
+    test('returns everything without a watermark and nothing without items', () => {
+      const items = [item('a', '2025-01-01T00:00:00Z')];
+      expect(service.getNewItems(undefined, items)).toEqual(items);
+      expect(service.getNewItems(watermark, [])).toEqual([]);
+      expect(service.getNewItems(watermark, null)).toEqual([]);
+    });
+  });
+
+  describe('detectNewEvents', () => {
+    test('only records watermarks on the first check, then reports new items once', () => {
+      const listings = [{ id: 'l1', timestamp: '2025-01-01T00:00:00Z', price: 1 }];
+      expect(service.detectNewEvents('example.com', null, [], listings, [])).toEqual([]);
+
+      listings.push({ id: 'l2', timestamp: '2025-01-02T00:00:00Z', price: 2 });
+      const events = service.detectNewEvents('example.com', null, [], listings, []);
+      expect(events.map(event => [event.type, event.data.id])).toEqual([['LISTING', 'l2']]);
+
+      expect(service.detectNewEvents('example.com', null, [], listings, [])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const SuggestionService = require('../../src/services/suggestionService');
+const DomainScoringService = require('../../src/services/domainScoringService');
+const ScoreHistoryService = require('../../src/services/scoreHistoryService');
+const { MemoryStorage } = require('../../src/storage');
+const config = require('../../src/config/config');
+
+const thesaurus = new Map([['coffee', ['brew', 'espresso', 'java', 'roast']]]);
+
+describe('SuggestionService', () => {
+  describe('parseQuery', () => {
+    test('tells TLDs from keywords by their leading dot', () => {
+      expect(SuggestionService.parseQuery('Coffee, shop .IO .ai')).toEqual({ keywords: ['coffee', 'shop'], tlds: ['io', 'ai'] });
+    });
+
+    test('drops duplicates and keeps at most three keywords', () => {
+      expect(SuggestionService.parseQuery('a b a c d .com .com').keywords).toEqual(['a', 'b', 'c']);
+      expect(SuggestionService.parseQuery('a b a c d .com .com').tlds).toEqual(['com']);
+    });
+  });
+
+  describe('generateCandidates', () => {
+    const service = new SuggestionService({ scoringService: {}, variantResolver: {}, thesaurus });
+    const candidates = service.generateCandidates(['coffee'], ['com', 'io']);
+    const kinds = Object.fromEntries(candidates.map(({ domain, kind }) => [domain, kind]));
+
+    test('puts keywords, synonyms, compounds and affixes on every TLD', () => {
+      expect(kinds).toMatchObject({
+        'coffee.com': 'keyword',
+        'coffee.io': 'keyword',
+        'brew.com': 'synonym',
+        'coffeebrew.io': 'compound',
+        'brewcoffee.com': 'compound',
+        'getcoffee.com': 'affix',
+        'coffeehub.io': 'affix'
+      });
+    });
+
+    test('uses at most three synonyms per keyword', () => {
+      expect(kinds['roast.com']).toBeUndefined();
+    });
+
+    test('adds TLD hacks', () => {
+      expect(kinds['coff.ee']).toBe('hack');
+      expect(kinds['brew.coffee']).toBe('hack');
+    });
+
+    test('returns each valid name once', () => {
+      const domains = candidates.map(({ domain }) => domain);
+      expect(new Set(domains).size).toBe(domains.length);
+    });
+  });
+
+  describe('suggest', () => {
+    let history;
+    let scoringService;
+
+    beforeEach(async () => {
+      const storage = new MemoryStorage();
+      await storage.init();
+      history = new ScoreHistoryService(storage, { maxEntries: 10 });
+      scoringService = new DomainScoringService(history);
+    });
+
+    test('drops taken names and ranks the rest by score', async () => {
+      const taken = new Set(['coffee.com', 'coffee.io']);
+      const variantResolver = {
+        checkNames: jest.fn(async names => names.map(name => ({ status: taken.has(name) ? 'taken' : 'available' })))
+      };
+      const service = new SuggestionService({ scoringService, variantResolver, thesaurus });
+
+      const result = await service.suggest(['coffee'], { tlds: ['com', 'io'], limit: 3 });
+
+      expect(variantResolver.checkNames.mock.calls[0][0].length).toBeLessThanOrEqual(40);
+      expect(result.taken).toBe(2);
+      expect(result.suggestions).toHaveLength(3);
+      result.suggestions.forEach(suggestion => expect(taken.has(suggestion.domain)).toBe(false));
+      const scores = result.suggestions.map(suggestion => suggestion.overallScore);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    });
+
+    test('reports how many names went to scoring, at most SUGGEST_MAX_SCORED', async () => {
+      const score = jest.spyOn(scoringService, 'calculateDomainScore');
+      const allTaken = { checkNames: async names => names.map(() => ({ status: 'taken' })) };
+      const allFree = { checkNames: async names => names.map(() => ({ status: 'available' })) };
+
+      const none = await new SuggestionService({ scoringService, variantResolver: allTaken, thesaurus }).suggest(['coffee'], { tlds: ['com'] });
+      expect(none.scored).toBe(0);
+
+      const some = await new SuggestionService({ scoringService, variantResolver: allFree, thesaurus }).suggest(['coffee'], { tlds: ['com'] });
+      expect(some.scored).toBe(config.suggestions.maxScored);
+      expect(score).toHaveBeenCalledTimes(some.scored);
+      score.mockRestore();
+    });
+
+    test('does not record or cache the scores of candidates', async () => {
+      const variantResolver = { checkNames: async names => names.map(() => ({ status: 'available' })) };
+      const service = new SuggestionService({ scoringService, variantResolver, thesaurus });
+
+      const { suggestions } = await service.suggest(['coffee'], { tlds: ['com'] });
+
+      expect(suggestions.length).toBeGreaterThan(0);
+      expect(history.storage.count('scoreHistory')).toBe(0);
+      expect(await scoringService.cache.get('scores', `default:${suggestions[0].domain}`)).toBeFalsy();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const TelegramNotifier = require('../../src/services/telegramNotifier');
+const SubscriptionService = require('../../src/services/SubscriptionService');
+const { MemoryStorage } = require('../../src/storage');
+const logger = require('../../src/utils/logger');
+
+const telegramError = (statusCode, parameters) => {
+  const error = new Error(`ETELEGRAM: ${statusCode}`);
+  error.response = { statusCode, body: { parameters } };
+  return error;
+};
+
+describe('TelegramNotifier', () => {
+  let bot;
+  let sent;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    sent = [];
+    bot = {
+      sendMessage: jest.fn(async (chatId, text) => {
+        sent.push({ chatId, text, at: Date.now() });
+      })
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('spaces messages to the same chat', async () => {
+    const notifier = new TelegramNotifier(bot, { perChatIntervalMs: 1000 });
+    notifier.enqueue(1, 'first');
+    notifier.enqueue(1, 'second');
+    notifier.enqueue(2, 'other');
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sent.map(message => message.text)).toEqual(['first', 'other']);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(sent.map(message => message.text)).toEqual(['first', 'other', 'second']);
+  });
+
+  test('pauses every chat for retry_after on 429 and resends the message first', async () => {
+    bot.sendMessage.mockRejectedValueOnce(telegramError(429, { retry_after: 5 }));
+    const notifier = new TelegramNotifier(bot);
+    notifier.enqueue(1, 'limited');
+    notifier.enqueue(2, 'waiting');
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sent).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(sent).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(sent.map(message => message.text)).toEqual(['limited', 'waiting']);
+    expect(bot.sendMessage).toHaveBeenCalledTimes(3);
+  });
+
+  test('drops a blocked chat and reports it', async () => {
+    const onBlocked = jest.fn();
+    bot.sendMessage.mockRejectedValueOnce(telegramError(403));
+    const notifier = new TelegramNotifier(bot, { onBlocked });
+    notifier.enqueue(1, 'blocked');
+    notifier.enqueue(1, 'also blocked');
+    notifier.enqueue(2, 'delivered');
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(onBlocked).toHaveBeenCalledWith(1);
+    expect(sent.map(message => message.text)).toEqual(['delivered']);
+    expect(notifier.queue).toEqual([]);
+  });
+
+  test('unsubscribes a chat that blocked the bot', async () => {
+    const storage = new MemoryStorage();
+    await storage.init();
+    const subscriptions = new SubscriptionService(storage, { domaService: {} });
+    subscriptions.startEventMonitoring = () => {};
+    await subscriptions.subscribe(1, 'example.com');
+    await subscriptions.subscribe(2, 'example.com');
+
+    bot.sendMessage.mockRejectedValueOnce(telegramError(403));
+    const notifier = new TelegramNotifier(bot, { onBlocked: chatId => subscriptions.unsubscribeAll(chatId) });
+    notifier.notify(1, 'example.com', [{ type: 'SALE', message: 'Sold' }]);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(subscriptions.getUserSubscriptions(1).domains).toEqual([]);
+    expect([...subscriptions.domainWatchers.get('example.com')]).toEqual([2]);
+  });
+
+  test('backs off exponentially and gives up after maxRetries', async () => {
+    bot.sendMessage.mockRejectedValue(new Error('ETIMEDOUT'));
+    const notifier = new TelegramNotifier(bot, { maxRetries: 2 });
+    notifier.enqueue(1, 'flaky');
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(bot.sendMessage).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(bot.sendMessage).toHaveBeenCalledTimes(3);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(bot.sendMessage).toHaveBeenCalledTimes(3);
+    expect(notifier.queue).toEqual([]);
+    expect(logger.error).toHaveBeenCalledWith('Error sending alert to chat 1:', expect.any(Error));
+  });
+
+  test('forgets chats once their interval has passed', async () => {
+    const notifier = new TelegramNotifier(bot, { perChatIntervalMs: 1000 });
+    notifier.enqueue(1, 'a');
+    notifier.enqueue(2, 'b');
+    await jest.advanceTimersByTimeAsync(0);
+    expect(notifier.lastSentByChat.size).toBe(2);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    notifier.enqueue(3, 'c');
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect([...notifier.lastSentByChat.keys()]).toEqual([3]);
+  });
+});
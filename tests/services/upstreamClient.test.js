@@ -0,0 +1,103 @@
+const { UpstreamClient, UpstreamError, CircuitBreaker } = require('../../src/services/upstreamClient');
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } });
+
+describe('CircuitBreaker', () => {
+  test('opens after failureThreshold consecutive failures', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000 });
+
+    breaker.recordFailure(0);
+    breaker.recordFailure(0);
+    breaker.recordSuccess();
+    breaker.recordFailure(0);
+    breaker.recordFailure(0);
+    expect(breaker.state).toBe('closed');
+
+    breaker.recordFailure(0);
+    expect(breaker.state).toBe('open');
+    expect(breaker.tryAcquire(999)).toBe(false);
+  });
+
+  test('lets a single trial call through once the reset timeout passed', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+    breaker.recordFailure(0);
+
+    expect(breaker.tryAcquire(1000)).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.tryAcquire(1001)).toBe(false);
+  });
+
+  test('closes after a successful trial and reopens after a failed one', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 5, resetTimeoutMs: 1000 });
+    for (let i = 0; i < 5; i++) breaker.recordFailure(0);
+
+    breaker.tryAcquire(1000);
+    breaker.recordFailure(1000);
+    expect(breaker.state).toBe('open');
+    expect(breaker.tryAcquire(1999)).toBe(false);
+
+    breaker.tryAcquire(2000);
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+  });
+});
+
+describe('UpstreamClient', () => {
+  const options = { timeoutMs: 50, retries: 2, baseDelayMs: 1, maxDelayMs: 1, failureThreshold: 3, resetTimeoutMs: 60000 };
+
+  test('retries transport failures, then succeeds', async () => {
+    const client = new UpstreamClient('test', options);
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+      .mockResolvedValue('ok');
+
+    await expect(client.call(fn)).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(client.getState()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('passes client errors through without retrying or tripping the breaker', async () => {
+    const client = new UpstreamClient('test', options);
+    const fn = jest.fn().mockRejectedValue(httpError(404));
+
+    await expect(client.call(fn)).rejects.toThrow('HTTP 404');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(client.getState().failures).toBe(0);
+  });
+
+  test('gives up with an UpstreamError and opens the circuit', async () => {
+    const client = new UpstreamClient('test', options);
+    const fn = jest.fn().mockRejectedValue(httpError(500));
+
+    const error = await client.call(fn).catch(caught => caught);
+    expect(error).toBeInstanceOf(UpstreamError);
+    expect(error.message).toBe('test: HTTP 500');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(client.getState().state).toBe('open');
+
+    const rejected = await client.call(fn).catch(caught => caught);
+    expect(rejected.circuitOpen).toBe(true);
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('times out slow calls and aborts them', async () => {
+    const client = new UpstreamClient('test', { ...options, retries: 0 });
+    let signal;
+
+    await expect(client.call((abortSignal) => {
+      signal = abortSignal;
+      return new Promise(() => {});
+    })).rejects.toThrow('test: timed out after 50ms');
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('waits for Retry-After, capped at maxDelayMs', () => {
+    const client = new UpstreamClient('test', { ...options, maxDelayMs: 4000 });
+    const limited = seconds => ({ response: { status: 429, headers: { 'retry-after': String(seconds) } } });
+
+    expect(client.getRetryDelay(0, limited(2))).toBe(2000);
+    expect(client.getRetryDelay(0, limited(60))).toBe(4000);
+  });
+});
@@ -0,0 +1,93 @@
+const { VariantResolver, DomaLookup, RdapLookup } = require('../../src/services/variantResolver');
+const { Cache, MemoryCache } = require('../../src/cache');
+const logger = require('../../src/utils/logger');
+
+// Lookup answering from a name -> status map, 'unknown' for anything else
+const lookupOf = (name, statuses) => ({
+  name,
+  check: jest.fn(async names => names.map(domain => ({ status: statuses[domain] || 'unknown' })))
+});
+
+describe('VariantResolver', () => {
+  test('checks the own suffix first, then every other configured TLD', async () => {
+    const resolver = new VariantResolver({ lookups: [lookupOf('fixture', {})], tlds: ['com', 'io', 'ai'] });
+    const { label, variants } = await resolver.resolve('coffee.io');
+
+    expect(label).toBe('coffee');
+    expect(variants.map(variant => variant.name)).toEqual(['coffee.io', 'coffee.com', 'coffee.ai']);
+  });
+
+  test('asks later lookups only about names earlier ones could not answer', async () => {
+    const doma = lookupOf('doma', { 'coffee.com': 'taken' });
+    const rdap = lookupOf('rdap', { 'coffee.io': 'available' });
+    const resolver = new VariantResolver({ lookups: [doma, rdap], tlds: ['com', 'io', 'ai'] });
+
+    const statuses = await resolver.checkNames(['coffee.com', 'coffee.io', 'coffee.ai']);
+
+    expect(rdap.check).toHaveBeenCalledWith(['coffee.io', 'coffee.ai'], {});
+    expect(statuses).toEqual([
+      { status: 'taken', tokenized: false, source: 'doma' },
+      { status: 'available', tokenized: false, source: 'rdap' },
+      { status: 'unknown', tokenized: false, source: null }
+    ]);
+  });
+
+  test('caches definite answers only', async () => {
+    const cache = new Cache(new MemoryCache(), { ttlSeconds: { variants: 60 } });
+    const rdap = lookupOf('rdap', { 'coffee.com': 'taken' });
+    const resolver = new VariantResolver({ lookups: [rdap], cache });
+
+    await resolver.checkNames(['coffee.com', 'coffee.ai']);
+    await resolver.checkNames(['coffee.com', 'coffee.ai']);
+    expect(rdap.check).toHaveBeenLastCalledWith(['coffee.ai'], {});
+
+    await resolver.checkNames(['coffee.com'], { skipCache: true });
+    expect(rdap.check).toHaveBeenLastCalledWith(['coffee.com'], { skipCache: true });
+  });
+});
+
+describe('DomaLookup', () => {
+  test('searches once per label and reports tokenized names as taken', async () => {
+    const domaService = {
+      getSimilarDomains: jest.fn(async () => [
+        { name: 'coffee.com', createdAt: '2024-01-01T00:00:00Z' },
+        { name: 'coffee.io', createdAt: null }
+      ])
+    };
+    const lookup = new DomaLookup(domaService);
+
+    const answers = await lookup.check(['coffee.com', 'coffee.io', 'coffee.ai']);
+
+    expect(domaService.getSimilarDomains).toHaveBeenCalledTimes(1);
+    expect(answers).toEqual([
+      { status: 'taken', tokenized: true },
+      { status: 'taken', tokenized: false },
+      { status: 'unknown' }
+    ]);
+  });
+
+  test('leaves names unknown when Doma fails', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const lookup = new DomaLookup({ getSimilarDomains: async () => { throw new Error('down'); } });
+
+    expect(await lookup.check(['coffee.com'])).toEqual([{ status: 'unknown' }]);
+    jest.restoreAllMocks();
+  });
+});
+
+describe('RdapLookup', () => {
+  test('reads a registry record as taken and its absence as available', async () => {
+    const rdapClient = {
+      getDomain: jest.fn(async name => {
+        if (name === 'broken.com') throw new Error('timeout');
+        return name === 'coffee.com' ? { ldhName: 'COFFEE.COM' } : null;
+      })
+    };
+    const lookup = new RdapLookup(rdapClient);
+
+    const answers = await lookup.check(['coffee.com', 'free.com', 'broken.com', 'coffee.eth']);
+
+    expect(answers.map(answer => answer.status)).toEqual(['taken', 'available', 'unknown', 'unknown']);
+    expect(rdapClient.getDomain).not.toHaveBeenCalledWith('coffee.eth');
+  });
+});
@@ -0,0 +1,5 @@
+// Specs run offline against the recorded fixtures (see fixtures/), with
+// only errors logged
+process.env.DOMA_DATA_SOURCE = 'fixtures';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStorage } = require('../../src/storage');
+const { CURRENT_VERSION } = require('../../src/storage/migrations');
+
+describe('FileStorage', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'doma-storage-'));
+    filePath = path.join(dir, 'nested', 'storage.json');
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips collections through the file', async () => {
+    const storage = new FileStorage(filePath, { writeDelayMs: 0 });
+    await storage.init();
+    storage.set('subscriptions', 42, { domains: ['example.com'], preferences: {} });
+    storage.set('watermarks', 'example.com', { timestamp: '2025-01-01T00:00:00Z', ids: ['a'] });
+    storage.delete('watermarks', 'example.com');
+    await storage.close();
+
+    const reopened = new FileStorage(filePath);
+    await reopened.init();
+
+    expect(reopened.get('subscriptions', '42')).toEqual({ domains: ['example.com'], preferences: {} });
+    expect(reopened.get('watermarks', 'example.com')).toBeUndefined();
+    expect(reopened.data.schemaVersion).toBe(CURRENT_VERSION);
+  });
+
+  test('writes the migrated schema when opening an old file', async () => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify({ schemaVersion: 1, collections: { subscriptions: {} } }));
+
+    const storage = new FileStorage(filePath);
+    await storage.init();
+
+    const written = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    expect(written.schemaVersion).toBe(CURRENT_VERSION);
+    expect(written.collections.watermarks).toEqual({});
+  });
+
+  test('replaces the file through a temporary file', async () => {
+    const storage = new FileStorage(filePath);
+    await storage.init();
+    const renameSpy = jest.spyOn(fs.promises, 'rename');
+
+    storage.set('roles', 7, 'operator');
+    await storage.flush();
+
+    expect(renameSpy).toHaveBeenCalledWith(`${filePath}.tmp`, filePath);
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    renameSpy.mockRestore();
+  });
+
+  test('keeps the previous file when a write fails', async () => {
+    const storage = new FileStorage(filePath);
+    await storage.init();
+    storage.set('roles', 7, 'operator');
+    await storage.flush();
+
+    const writeSpy = jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('disk full'));
+    storage.set('roles', 8, 'admin');
+    await expect(storage.flush()).rejects.toThrow('disk full');
+    writeSpy.mockRestore();
+
+    const onDisk = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    expect(onDisk.collections.roles).toEqual({ 7: 'operator' });
+  });
+
+  test('serializes overlapping flushes', async () => {
+    const storage = new FileStorage(filePath);
+    await storage.init();
+
+    storage.set('roles', 1, 'operator');
+    const first = storage.flush();
+    storage.set('roles', 2, 'admin');
+    const second = storage.flush();
+    await Promise.all([first, second]);
+
+    const onDisk = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    expect(onDisk.collections.roles).toEqual({ 1: 'operator', 2: 'admin' });
+  });
+});
@@ -0,0 +1,88 @@
+const { migrations, runMigrations, CURRENT_VERSION } = require('../../src/storage/migrations');
+
+describe('runMigrations', () => {
+  test('brings empty data to the current schema', () => {
+    const data = {};
+    const applied = runMigrations(data);
+
+    expect(applied[0]).toBe(1);
+    expect(applied[applied.length - 1]).toBe(CURRENT_VERSION);
+    expect(data.schemaVersion).toBe(CURRENT_VERSION);
+    expect(data.collections).toMatchObject({
+      subscriptions: {},
+      watermarks: {},
+      scoreSnapshots: {},
+      priceHistory: {},
+      roles: {}
+    });
+  });
+
+  test('applies only the migrations newer than the stored version', () => {
+    const data = { schemaVersion: CURRENT_VERSION - 1, collections: {} };
+    expect(runMigrations(data)).toEqual([CURRENT_VERSION]);
+    expect(runMigrations(data)).toEqual([]);
+  });
+
+  test('upgrades v2 subscriptions in place', () => {
+    const data = {
+      schemaVersion: 2,
+      collections: {
+        subscriptions: { 42: { domains: ['example.com'], preferences: { minPriceUSD: 0 } } },
+        watermarks: {}
+      }
+    };
+
+    runMigrations(data);
+
+    const userSub = data.collections.subscriptions[42];
+    expect(userSub.domains).toEqual(['example.com']);
+    expect(userSub.domainPreferences).toEqual({});
+    expect(userSub.preferences).toEqual({ minPriceUSD: 0, priceChangePercent: 10 });
+  });
+
+  test('keeps a price change preference that is already set', () => {
+    const data = {
+      schemaVersion: 5,
+      collections: { subscriptions: { 42: { preferences: { priceChangePercent: 25 } } }, scoreSnapshots: {} }
+    };
+
+    runMigrations(data);
+
+    expect(data.collections.subscriptions[42].preferences.priceChangePercent).toBe(25);
+  });
+
+  test('moves v5 score snapshots under the default profile', () => {
+    const snapshot = { overallScore: 71, checkedAt: '2025-01-01T00:00:00.000Z' };
+    const data = {
+      schemaVersion: 6,
+      collections: { subscriptions: {}, scoreSnapshots: { 'example.com': snapshot } }
+    };
+
+    // Later migrations clear snapshots, so apply this one on its own
+    migrations.find(migration => migration.version === 7).up(data);
+
+    expect(data.collections.scoreSnapshots['example.com']).toEqual({ default: snapshot });
+  });
+
+  test('drops scores computed with the weights from before the age trait', () => {
+    const data = {
+      schemaVersion: 10,
+      collections: {
+        scoreSnapshots: { 'example.com': { default: { overallScore: 71 } } },
+        scoreHistory: { 'example.com': [{ overallScore: 71 }] },
+        priceHistory: { 'example.com': [{ priceUSD: 100 }] }
+      }
+    };
+
+    runMigrations(data);
+
+    expect(data.collections.scoreSnapshots).toEqual({});
+    expect(data.collections.scoreHistory).toEqual({});
+    expect(data.collections.priceHistory['example.com']).toHaveLength(1);
+  });
+
+  test('refuses data written by a newer version', () => {
+    const data = { schemaVersion: CURRENT_VERSION + 1, collections: {} };
+    expect(() => runMigrations(data)).toThrow(/newer than supported/);
+  });
+});
@@ -0,0 +1,72 @@
+const { PublicSuffixList, parseDomain, getPublicSuffixList } = require('../../src/utils/domainParser');
+
+describe('PublicSuffixList', () => {
+  const list = new PublicSuffixList([
+    '// ===BEGIN ICANN DOMAINS===',
+    'com',
+    'uk',
+    'co.uk',
+    'ck',
+    '*.ck',
+    '!www.ck',
+    '// 日本',
+    'テスト',
+    '// ===BEGIN PRIVATE DOMAINS===',
+    'github.io'
+  ].join('\n'));
+
+  test('uses the longest matching rule', () => {
+    expect(list.parse('shop.example.co.uk')).toEqual({
+      subdomain: 'shop',
+      label: 'example',
+      suffix: 'co.uk',
+      registrableDomain: 'example.co.uk',
+      listed: true
+    });
+  });
+
+  test('applies wildcard and exception rules', () => {
+    expect(list.parse('foo.bar.ck')).toMatchObject({ label: 'foo', suffix: 'bar.ck' });
+    expect(list.parse('www.ck')).toMatchObject({ label: 'www', suffix: 'ck' });
+  });
+
+  test('ignores private rules unless asked', () => {
+    expect(list.parse('user.github.io')).toMatchObject({ label: 'github', suffix: 'io', listed: false });
+    expect(list.parse('user.github.io', { allowPrivate: true })).toMatchObject({ label: 'user', suffix: 'github.io' });
+  });
+
+  test('falls back to the last label for unlisted TLDs', () => {
+    expect(list.parse('vitalik.eth')).toMatchObject({ label: 'vitalik', suffix: 'eth', listed: false });
+  });
+
+  test('matches Unicode names against their ASCII rules', () => {
+    expect(list.parse('例え.テスト')).toMatchObject({ label: '例え', suffix: 'テスト', listed: true });
+    expect(list.parse('xn--r8jz45g.xn--zckzah')).toMatchObject({ label: 'xn--r8jz45g', suffix: 'xn--zckzah', listed: true });
+  });
+
+  test('has no registrable domain for a public suffix', () => {
+    expect(list.parse('co.uk')).toMatchObject({ label: '', registrableDomain: null });
+  });
+
+  test('lists ICANN top-level domains only', () => {
+    expect(list.getTopLevelDomains()).toEqual(['com', 'uk', 'ck', 'xn--zckzah']);
+  });
+});
+
+describe('bundled Public Suffix List', () => {
+  test.each([
+    ['example.com', 'example', 'com'],
+    ['shop.example.co.uk', 'example', 'co.uk'],
+    ['city.kawasaki.jp', 'city', 'kawasaki.jp'],
+    ['a.b.kawasaki.jp', 'a', 'b.kawasaki.jp'],
+    ['café.fr', 'café', 'fr']
+  ])('splits %s', (domain, label, suffix) => {
+    expect(parseDomain(domain)).toMatchObject({ label, suffix });
+  });
+
+  test('provides the TLDs used for domain hacks', () => {
+    const tlds = getPublicSuffixList().getTopLevelDomains();
+    expect(tlds).toEqual(expect.arrayContaining(['com', 'io', 'us', 'coffee']));
+    expect(tlds).not.toContain('co.uk');
+  });
+});
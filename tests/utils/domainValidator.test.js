@@ -0,0 +1,47 @@
+const DomainValidator = require('../../src/utils/domainValidator');
+
+describe('DomainValidator', () => {
+  describe('validateDomain', () => {
+    test('returns the ASCII and Unicode forms of internationalized names', () => {
+      expect(DomainValidator.validateDomain('Café.com')).toEqual({ valid: true, domain: 'xn--caf-dma.com', unicode: 'café.com' });
+      expect(DomainValidator.validateDomain('xn--caf-dma.com')).toEqual({ valid: true, domain: 'xn--caf-dma.com', unicode: 'café.com' });
+    });
+
+    test('accepts emoji sequences on web3 TLDs', () => {
+      expect(DomainValidator.validateDomain('👨‍👩‍👧.eth')).toEqual({ valid: true, domain: 'xn--1uga80807abag.eth', unicode: '👨‍👩‍👧.eth' });
+      expect(DomainValidator.validateDomain('😀️.eth').unicode).toBe('😀.eth');
+    });
+
+    test('rejects invisible characters and stray joiners', () => {
+      expect(DomainValidator.validateDomain('a​b.eth').valid).toBe(false);
+      expect(DomainValidator.validateDomain('a‍b.eth').valid).toBe(false);
+    });
+
+    test('rejects public suffixes', () => {
+      expect(DomainValidator.validateDomain('co.uk')).toEqual({
+        valid: false,
+        error: 'Domain is a public suffix, not a registrable name'
+      });
+    });
+  });
+
+  test('counts graphemes rather than code points', () => {
+    expect(DomainValidator.countCharacters('👨‍👩‍👧')).toBe(1);
+    expect(DomainValidator.countCharacters('café')).toBe(4);
+  });
+
+  describe('getScripts', () => {
+    test('flags labels mixing scripts', () => {
+      // Cyrillic а in a Latin name
+      expect(DomainValidator.getScripts('pаypal.com')).toEqual({
+        scripts: ['Latin', 'Cyrillic'],
+        mixedScript: true,
+        mixedLabels: ['pаypal']
+      });
+    });
+
+    test('allows Japanese writing mixed with Latin', () => {
+      expect(DomainValidator.getScripts('sonyカメラ例.jp').mixedScript).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { NameAnalyzer, analyzeName } = require('../../src/utils/nameAnalyzer');
+
+describe('NameAnalyzer', () => {
+  describe('with small word lists', () => {
+    const analyzer = new NameAnalyzer({
+      words: ['best', 'coffee', 'shop', 'bake', 'web', 'a', 'be', 'st'],
+      terms: ['shop']
+    });
+
+    test('splits labels into the fewest words', () => {
+      expect(analyzer.segment('bestcoffeeshop')).toEqual(['best', 'coffee', 'shop']);
+      expect(analyzer.segment('coffeexyz')).toBeNull();
+    });
+
+    test('recognizes inflected words', () => {
+      expect(analyzer.segment('coffeeshops')).toEqual(['coffee', 'shops']);
+      expect(analyzer.isWord('baker')).toBe(true);
+      expect(analyzer.isWord('baking')).toBe(true);
+      // Stems must have three letters
+      expect(analyzer.isWord('bes')).toBe(false);
+    });
+
+    test('ignores one-letter words', () => {
+      expect(analyzer.segment('a')).toBeNull();
+    });
+
+    test('reports commercial terms among the words', () => {
+      expect(analyzer.analyze('best-coffee-shop')).toMatchObject({
+        classification: 'compound',
+        words: ['best', 'coffee', 'shop'],
+        terms: ['shop']
+      });
+    });
+  });
+
+  describe('with the bundled word lists', () => {
+    test.each([
+      ['coffee', 'dictionary'],
+      ['bestcoffeeshop', 'compound'],
+      ['web3', 'compound'],
+      ['zillow', 'brandable'],
+      ['brkfstlab', 'random'],
+      ['xkcdq', 'random']
+    ])('classifies %s as %s', (label, classification) => {
+      expect(analyzeName(label).classification).toBe(classification);
+    });
+
+    test('flags repeated letters and keyboard runs as random', () => {
+      expect(analyzeName('aaaa')).toMatchObject({ classification: 'random', patterns: ['repeated'] });
+      expect(analyzeName('asdf')).toMatchObject({ classification: 'random', patterns: ['keyboard'] });
+      expect(analyzeName('qwertyshop').patterns).toEqual(['keyboard']);
+    });
+
+    test('classifies digits-only labels as numeric, without junk patterns', () => {
+      ['888', '2024', '1234', '24-7'].forEach(label => {
+        expect(analyzeName(label)).toMatchObject({ classification: 'numeric', pronounceability: null, patterns: [] });
+      });
+    });
+
+    test('scores pronounceable letters higher', () => {
+      expect(analyzeName('zillow').pronounceability).toBeGreaterThan(analyzeName('xkcdq').pronounceability);
+      expect(analyzeName('coffee').pronounceability).toBe(100);
+    });
+
+    test('leaves labels outside ASCII unclassified', () => {
+      expect(analyzeName('münchen')).toEqual({ classification: null, words: [], terms: [], pronounceability: null, patterns: [] });
+    });
+  });
+});
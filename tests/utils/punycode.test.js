@@ -0,0 +1,32 @@
+const url = require('url');
+const punycode = require('../../src/utils/punycode');
+
+describe('punycode', () => {
+  // Labels UTS-46 accepts, checked against Node's own conversion
+  const labels = ['münchen', 'bücher', '例え', '😀', 'ليهمابتكلموشعربي؟'];
+
+  test.each(labels)('encodes %s like url.domainToASCII', (label) => {
+    expect(`xn--${punycode.encode(label)}`).toBe(url.domainToASCII(label));
+  });
+
+  test.each(labels)('decodes %s back', (label) => {
+    expect(punycode.decode(punycode.encode(label))).toBe(label);
+  });
+
+  test('encodes emoji ZWJ sequences that UTS-46 rejects', () => {
+    const family = '👨‍👩‍👧';
+    expect(url.domainToASCII(family)).toBe('');
+    expect(punycode.encode(family)).toBe('1uga80807abag');
+    expect(punycode.decode('1uga80807abag')).toBe(family);
+  });
+
+  test('keeps basic code points before the delimiter', () => {
+    expect(punycode.encode('café')).toBe('caf-dma');
+    expect(punycode.decode('caf-dma')).toBe('café');
+  });
+
+  test('rejects malformed input', () => {
+    expect(() => punycode.decode('caf-d')).toThrow('Invalid punycode: truncated input');
+    expect(() => punycode.decode('caf-d!a')).toThrow('Invalid punycode: bad digit');
+  });
+});